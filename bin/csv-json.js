@@ -0,0 +1,465 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import {
+  convert,
+  convertSheet,
+  readWorkbook,
+  isSpreadsheetName,
+  ParseError,
+  DEFAULT_OPTIONS,
+  DUPLICATE_HEADER_STRATEGIES,
+  OUTPUT_FORMATS,
+  DUPLICATE_KEY_POLICIES,
+  SQL_DIALECTS,
+  DEFAULT_SQL_BATCH_SIZE,
+  serializeObjects,
+  SCHEMA_FORMATS,
+  inferShape,
+  generateSchema,
+  parseJSONSchema,
+  validateRows,
+  compilePipeline,
+  checkFixedColumns,
+  diffDatasets,
+  formatDiff,
+  DIFF_FORMATS,
+  ENCODINGS,
+  detectEncoding,
+  decodeBytes
+} from "../src/lib/index.js";
+
+// ————————————————————————————————————————————————————————————
+// csv-json: the web UI's converter on the command line. Uses the same module
+// and defaults as the page, so both produce byte-identical output.
+// Exit codes: 0 ok, 1 bad usage or unreadable input, 2 parse error, bad key in keyed
+// output, --compare or bad primary key in sql output, 3 rows that failed --validate.
+// ————————————————————————————————————————————————————————————
+const USAGE = `Usage: csv-json [options] [file ...]
+       csv-json --compare <keys> [options] before after
+
+Converts CSV, fixed-width text (or DynamoDB JSON) to JSON, NDJSON, YAML, XML or SQL.
+Reads stdin when no file or "-" is given; .xlsx and .ods files are read by sheet.
+DynamoDB JSON may be items, Export to S3 JSON Lines, scan/query output or Streams records.
+
+Options:
+  -m, --mode <csv|fixed|ddb>
+                            Input type (default: csv)
+      --columns <layout>    Fixed-width layout as name:start:width,… with start the
+                            1-based character position, e.g. "id:1:8,name:9:20";
+                            without it the layout is suggested from the alignment
+  -d, --delimiter <str>     Field delimiter, e.g. "," ";" "|", "\\t" or "||" (default: auto-detect)
+      --quote <char|none>   Quote character (default: auto-detect " or ')
+      --escape <char|none>  Escape character in quoted fields, e.g. "\\"; none means quotes
+                            are only escaped by doubling them (default: auto-detect)
+      --comment <prefix>    Skip lines starting with this prefix, e.g. "#"
+      --skip-lines <n>      Skip the first n lines before the header
+      --trim                Trim whitespace around unquoted fields
+      --header <auto|yes|no>
+                            Whether the first row is the header; no names the
+                            columns col_1, col_2, …, auto detects it (default: yes)
+  -e, --encoding <name>     Input encoding: auto (default), utf-8, utf-16le, utf-16be,
+                            windows-1252 or iso-8859-1
+      --sheet <name|n>      Sheet to read from .xlsx and .ods files, by name or number
+                            (default: the first visible sheet); --skip-lines, --trim and
+                            --header apply to its rows
+  -f, --format <json|ndjson|keyed|yaml|xml|sql>
+                            json: one array (default)
+                            ndjson: one compact object per line
+                            keyed: one object with a property per row, named by --key-by
+                            yaml: a YAML sequence of mappings
+                            xml: <rows><row>…</row></rows>
+                            sql: CREATE TABLE typed from the data, then batched INSERTs
+      --indent <n>          Spaces per nesting level for json, keyed, yaml and xml (default: 2)
+      --minify              Same as --indent 0: json, keyed and xml on a single line
+      --key-by <column>     Column whose value names each row in keyed output
+      --duplicate-keys <fail|first|last|array>
+                            Keyed output with rows sharing a key: exit with status 2
+                            (default), keep the first or the last, or make every
+                            value an array of rows
+      --sql-dialect <postgres|mysql|sqlite>
+                            Quoting and column types of sql output (default: postgres)
+      --table <name>        Table for sql output; schema.table is allowed (default: data)
+      --primary-key <cols>  Comma-separated PRIMARY KEY column(s) of sql output
+      --batch-size <n>      Rows per INSERT statement in sql output (default: 500)
+      --no-nested           Don't parse stringified JSON cells
+      --no-unmarshall       Don't unmarshall DynamoDB AttributeValues
+      --numbers <number|safe|string|decimal>
+                            DynamoDB N values: JS numbers (default), numbers unless digits
+                            would be lost, always strings, or {"$numberDecimal": "…"}
+      --binary <base64|hex|utf8>
+                            DynamoDB B values: as stored (default), hex, or UTF-8 text
+      --stream-output <images|changes>
+                            Streams records: item images (default), or the event, key
+                            and field-level changes of each record
+      --no-infer            Don't infer null/boolean/number from strings
+      --infer-by <cell|column>
+                            Infer types per cell (default) or one type per column
+      --null-tokens <list>  Comma-separated texts read as null by column inference
+      --preserve <column|value>
+                            Column inference: leading-zero/large integers make the whole
+                            column text (default), or only those values
+      --unflatten           Build nested objects from headers like address.city and tags[0]
+      --path-separator <str>
+                            Key separator in those headers (default: ".")
+      --collision <flat|nested|scalar|error>
+                            A header that is both a value and a path parent (address and
+                            address.city): keep the path as a flat key (default), keep the
+                            nested path, keep the scalar, or exit with status 2
+      --duplicate-headers <suffix|array|first|last|fail>
+                            Columns sharing a name: rename them name_2, name_3, …
+                            (default), collect their values into an array, keep the
+                            first or the last, or exit with status 2
+      --strict              Keep a quote inside an unquoted field as text
+      --fail-on-malformed   Exit with status 2 on any malformed quote or ragged row
+      --keep-extra          Keep cells beyond the header as _extra_1, _extra_2, …
+  -t, --transform <pipeline>
+                            Filter, reshape, sort or group each file's rows, e.g.
+                            'where total > 10 | select id, total | sort total desc'
+                            (--validate checks the rows it produces)
+      --schema <json-schema|typescript|zod>
+                            Print a schema for one row of the result instead of the data
+      --type-name <name>    Name of the row type in --schema output (default: Row)
+      --validate <schema.json>
+                            Check every row against a JSON Schema: failures go to stderr,
+                            only valid rows to stdout, and the exit status is 3 if any
+                            row failed
+      --rejected <file>     With --validate, write the failing rows to this file
+                            (in the --format of the output)
+      --compare <cols>      Compare two files instead: match their rows on these
+                            comma-separated key columns and print the rows added,
+                            removed and changed, with each changed field before and after
+      --ignore <cols>       With --compare, comma-separated fields to leave out, such as
+                            updatedAt or address.zip
+      --ignore-whitespace   With --compare, ignore leading, trailing and repeated spaces
+      --ignore-case         With --compare, ignore differences in letter case
+      --diff-format <json|csv>
+                            With --compare: a JSON report (default), or CSV with one
+                            line per change
+  -h, --help                Show this help
+
+Problems found in the CSV are printed to stderr as file:line:column: kind: message,
+followed by a note when the delimiter guess was close or no header row was found.
+Rows failing --validate are printed as file:line: schema: /path (column N "name") message.
+DynamoDB numbers that do not fit a JS number are named on stderr as well, and so is
+the LastEvaluatedKey of scan/query output that has more pages.
+`;
+
+const EXIT_USAGE = 1;
+const EXIT_PARSE = 2;
+const EXIT_INVALID = 3;
+
+function fail(message, code) {
+  process.stderr.write(`csv-json: ${message}\n`);
+  process.exit(code);
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Decodes like the page does for uploads: detected (or given) encoding, BOM dropped.
+// .xlsx and .ods files give the rows of one sheet instead of text.
+async function readInput(path, encoding, sheet) {
+  const bytes = new Uint8Array(path === "-" ? await readStdin() : await readFile(path));
+  if (isSpreadsheetName(path)) return { rows: pickSheet((await readWorkbook(bytes)).sheets, sheet).rows };
+  return { text: decodeBytes(bytes, encoding === "auto" ? detectEncoding(bytes).encoding : encoding) };
+}
+
+// "id:1:8,name:9:20" → [{ name: "id", start: 1, width: 8 }, …]; names may hold colons.
+function parseLayout(text) {
+  const columns = text.split(",").map(part => {
+    const m = /^(.*):(\d+):(\d+)$/.exec(part.trim());
+    if (!m) throw new Error(`"${part.trim()}" is not name:start:width`);
+    return { name: m[1], start: Number(m[2]), width: Number(m[3]) };
+  });
+  checkFixedColumns(columns);
+  return columns;
+}
+
+// A sheet by name or 1-based number; by default the first one that is not hidden.
+function pickSheet(sheets, wanted) {
+  if (wanted === undefined) {
+    const found = sheets.find(s => !s.hidden) ?? sheets[0];
+    if (!found) throw new Error("the workbook has no worksheets");
+    return found;
+  }
+  const found = sheets.find(s => s.name === wanted) ?? (/^[1-9]\d*$/.test(wanted) ? sheets[Number(wanted) - 1] : undefined);
+  if (!found) throw new Error(`no sheet "${wanted}"; the workbook has ${sheets.map(s => JSON.stringify(s.name)).join(", ")}`);
+  return found;
+}
+
+// Schema failures as file:line: schema: /path (column N "header") message;
+// DynamoDB input has no lines, so its rows are named by number instead.
+function printValidation(name, report) {
+  for (const f of report.failures) {
+    for (const e of f.errors) {
+      const where = f.line == null ? `row ${f.row}` : f.line;
+      const column = e.column == null ? "" : ` (column ${e.column} ${JSON.stringify(e.header)})`;
+      process.stderr.write(`${name}:${where}: schema: ${e.path || "row"}${column} ${e.message}\n`);
+    }
+  }
+  if (report.truncated) process.stderr.write(`${name}: only the first ${report.failures.length} of ${report.rejected} failing rows are listed\n`);
+}
+
+function printDiagnostics(name, diagnostics) {
+  for (const d of diagnostics) {
+    process.stderr.write(`${name}:${d.line}:${d.column}: ${d.kind}: ${d.message}\n`);
+  }
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        mode: { type: "string", short: "m", default: DEFAULT_OPTIONS.mode },
+        columns: { type: "string" },
+        delimiter: { type: "string", short: "d" },
+        quote: { type: "string" },
+        escape: { type: "string" },
+        comment: { type: "string", default: DEFAULT_OPTIONS.comment },
+        "skip-lines": { type: "string", default: String(DEFAULT_OPTIONS.skipLines) },
+        trim: { type: "boolean", default: false },
+        header: { type: "string", default: "yes" },
+        encoding: { type: "string", short: "e", default: "auto" },
+        sheet: { type: "string" },
+        format: { type: "string", short: "f", default: "json" },
+        indent: { type: "string", default: "2" },
+        minify: { type: "boolean", default: false },
+        "key-by": { type: "string", default: "" },
+        "duplicate-keys": { type: "string", default: "fail" },
+        "sql-dialect": { type: "string", default: "postgres" },
+        table: { type: "string", default: "data" },
+        "primary-key": { type: "string", default: "" },
+        "batch-size": { type: "string", default: String(DEFAULT_SQL_BATCH_SIZE) },
+        "no-nested": { type: "boolean", default: false },
+        "no-unmarshall": { type: "boolean", default: false },
+        numbers: { type: "string", default: DEFAULT_OPTIONS.numbers },
+        binary: { type: "string", default: DEFAULT_OPTIONS.binary },
+        "stream-output": { type: "string", default: DEFAULT_OPTIONS.streamOutput },
+        "no-infer": { type: "boolean", default: false },
+        "infer-by": { type: "string", default: DEFAULT_OPTIONS.inferBy },
+        "null-tokens": { type: "string" },
+        preserve: { type: "string", default: DEFAULT_OPTIONS.preserve },
+        unflatten: { type: "boolean", default: false },
+        "path-separator": { type: "string", default: DEFAULT_OPTIONS.pathSeparator },
+        collision: { type: "string", default: DEFAULT_OPTIONS.collision },
+        "duplicate-headers": { type: "string", default: DEFAULT_OPTIONS.duplicateHeaders },
+        strict: { type: "boolean", default: false },
+        "fail-on-malformed": { type: "boolean", default: false },
+        "keep-extra": { type: "boolean", default: false },
+        transform: { type: "string", short: "t", default: "" },
+        schema: { type: "string" },
+        "type-name": { type: "string", default: "Row" },
+        validate: { type: "string" },
+        rejected: { type: "string" },
+        compare: { type: "string" },
+        ignore: { type: "string" },
+        "ignore-whitespace": { type: "boolean", default: false },
+        "ignore-case": { type: "boolean", default: false },
+        "diff-format": { type: "string" },
+        help: { type: "boolean", short: "h", default: false }
+      }
+    });
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`, EXIT_USAGE);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!["csv", "fixed", "ddb"].includes(values.mode)) fail(`unknown mode "${values.mode}"`, EXIT_USAGE);
+  let fixedColumns = null;
+  if (values.columns !== undefined) {
+    if (values.mode !== "fixed") fail("--columns needs --mode fixed", EXIT_USAGE);
+    try {
+      fixedColumns = parseLayout(values.columns);
+    } catch (err) {
+      fail(`--columns: ${err.message}`, EXIT_USAGE);
+    }
+  }
+  if (values.encoding !== "auto" && !ENCODINGS.some(e => e.value === values.encoding)) {
+    fail(`unknown encoding "${values.encoding}"`, EXIT_USAGE);
+  }
+  if (!OUTPUT_FORMATS.some(f => f.value === values.format)) fail(`unknown format "${values.format}"`, EXIT_USAGE);
+  if (!/^\d+$/.test(values.indent) || Number(values.indent) > 8) fail(`--indent must be a whole number from 0 to 8, not "${values.indent}"`, EXIT_USAGE);
+  if (values.format === "keyed" && !values["key-by"]) fail("--format keyed needs --key-by <column>", EXIT_USAGE);
+  if (!SQL_DIALECTS.some(d => d.value === values["sql-dialect"])) fail(`unknown --sql-dialect "${values["sql-dialect"]}"`, EXIT_USAGE);
+  if (!values.table) fail("--table cannot be empty", EXIT_USAGE);
+  if (!/^[1-9]\d*$/.test(values["batch-size"])) fail(`--batch-size must be a whole number above 0, not "${values["batch-size"]}"`, EXIT_USAGE);
+  if (values.schema !== undefined && !SCHEMA_FORMATS.some(f => f.value === values.schema)) {
+    fail(`unknown --schema "${values.schema}"`, EXIT_USAGE);
+  }
+  if (values.rejected !== undefined && values.validate === undefined) fail("--rejected needs --validate <schema.json>", EXIT_USAGE);
+  let schema = null;
+  if (values.validate !== undefined) {
+    try {
+      schema = parseJSONSchema(await readFile(values.validate, "utf8"));
+      validateRows([], schema); // a bad pattern or $ref fails before any input is read
+    } catch (err) {
+      fail(`${values.validate}: ${err.message}`, EXIT_USAGE);
+    }
+  }
+  if (!DUPLICATE_KEY_POLICIES.includes(values["duplicate-keys"])) fail(`unknown --duplicate-keys "${values["duplicate-keys"]}"`, EXIT_USAGE);
+  if (!["number", "safe", "string", "decimal"].includes(values.numbers)) fail(`unknown --numbers "${values.numbers}"`, EXIT_USAGE);
+  if (!["base64", "hex", "utf8"].includes(values.binary)) fail(`unknown --binary "${values.binary}"`, EXIT_USAGE);
+  if (!["images", "changes"].includes(values["stream-output"])) fail(`unknown --stream-output "${values["stream-output"]}"`, EXIT_USAGE);
+  if (!["flat", "nested", "scalar", "error"].includes(values.collision)) fail(`unknown --collision "${values.collision}"`, EXIT_USAGE);
+  if (!DUPLICATE_HEADER_STRATEGIES.includes(values["duplicate-headers"])) {
+    fail(`unknown --duplicate-headers "${values["duplicate-headers"]}"`, EXIT_USAGE);
+  }
+  if (!values["path-separator"]) fail("--path-separator cannot be empty", EXIT_USAGE);
+  if (values.delimiter === "") fail("--delimiter cannot be empty", EXIT_USAGE);
+  for (const name of ["quote", "escape"]) {
+    if (values[name] !== undefined && values[name] !== "none" && values[name].length !== 1) {
+      fail(`--${name} must be a single character or "none"`, EXIT_USAGE);
+    }
+  }
+  if (!["auto", "yes", "no"].includes(values.header)) fail(`unknown --header "${values.header}"`, EXIT_USAGE);
+  if (!/^\d+$/.test(values["skip-lines"])) fail(`--skip-lines must be a whole number, not "${values["skip-lines"]}"`, EXIT_USAGE);
+  if (!["cell", "column"].includes(values["infer-by"])) fail(`unknown --infer-by "${values["infer-by"]}"`, EXIT_USAGE);
+  if (!["column", "value"].includes(values.preserve)) fail(`unknown --preserve "${values.preserve}"`, EXIT_USAGE);
+  if (values.compare !== undefined) {
+    if (positionals.length !== 2) fail("--compare needs two files: before and after", EXIT_USAGE);
+    if (values.schema !== undefined || values.validate !== undefined) fail("--compare cannot be combined with --schema or --validate", EXIT_USAGE);
+    if (values["diff-format"] !== undefined && !DIFF_FORMATS.some(f => f.value === values["diff-format"])) {
+      fail(`unknown --diff-format "${values["diff-format"]}"`, EXIT_USAGE);
+    }
+  } else {
+    for (const name of ["ignore", "ignore-whitespace", "ignore-case", "diff-format"]) {
+      if (values[name] !== undefined && values[name] !== false) fail(`--${name} needs --compare <keys>`, EXIT_USAGE);
+    }
+  }
+  try {
+    compilePipeline(values.transform);
+  } catch (err) {
+    fail(`--transform: ${err.message}`, EXIT_USAGE);
+  }
+
+  const options = {
+    mode: values.mode,
+    fixedColumns,
+    delimiter: values.delimiter === undefined ? null : values.delimiter.replace(/\\t/g, "\t"),
+    quote: values.quote === undefined ? null : values.quote === "none" ? "" : values.quote,
+    escape: values.escape === undefined ? null : values.escape === "none" ? "" : values.escape,
+    comment: values.comment,
+    skipLines: Number(values["skip-lines"]),
+    trim: values.trim,
+    header: values.header === "auto" ? "auto" : values.header === "yes",
+    parseNestedJSON: !values["no-nested"],
+    doUnmarshall: !values["no-unmarshall"],
+    numbers: values.numbers,
+    binary: values.binary,
+    streamOutput: values["stream-output"],
+    doInferTypes: !values["no-infer"],
+    inferBy: values["infer-by"],
+    nullTokens: values["null-tokens"] === undefined
+      ? DEFAULT_OPTIONS.nullTokens
+      : ["", ...values["null-tokens"].split(",").map(t => t.trim()).filter(Boolean)],
+    preserve: values.preserve,
+    unflatten: values.unflatten,
+    pathSeparator: values["path-separator"],
+    collision: values.collision,
+    duplicateHeaders: values["duplicate-headers"],
+    strict: values.strict,
+    failOnMalformed: values["fail-on-malformed"],
+    extraCells: values["keep-extra"] ? "keep" : "drop",
+    transform: values.transform
+  };
+
+  const objects = [];
+  const rejected = [];
+  const datasets = []; // each file's rows, for --compare
+  for (const path of positionals.length ? positionals : ["-"]) {
+    let input;
+    try {
+      input = await readInput(path, values.encoding, values.sheet);
+    } catch (err) {
+      fail(`cannot read ${path}: ${err.message}`, EXIT_USAGE);
+    }
+    const name = path === "-" ? "stdin" : path;
+    try {
+      const result = input.rows ? convertSheet(input.rows, options) : convert(input.text, options);
+      printDiagnostics(name, result.diagnostics);
+      if (result.delimiterReport?.close) {
+        const [best] = result.delimiterReport.candidates;
+        process.stderr.write(`${name}: delimiter ${JSON.stringify(best.delimiter)} narrowly beat ${JSON.stringify(result.delimiterReport.runnerUp)}; pass --delimiter if the columns look wrong\n`);
+      }
+      if (result.headerRow?.detected && !result.headerRow.header) {
+        process.stderr.write(`${name}: no header row detected (${result.headerRow.reason}); columns are named col_1, col_2, …\n`);
+      }
+      if (result.precisionLoss.length) {
+        const what = options.numbers === "number" ? "precision lost in" : "kept as text to avoid precision loss:";
+        process.stderr.write(`${name}: ${what} ${result.precisionLoss.join(", ")}\n`);
+      }
+      if (result.envelope?.lastEvaluatedKey) {
+        process.stderr.write(`${name}: more pages remain; LastEvaluatedKey ${JSON.stringify(result.envelope.lastEvaluatedKey)}\n`);
+      }
+      if (schema) {
+        const { report, valid, rejected: failed } = validateRows(result.objects, schema, result);
+        printValidation(name, report);
+        // One push per row: spreading a large file's rows into push() overflows the call stack
+        for (const obj of valid) objects.push(obj);
+        for (const obj of failed) rejected.push(obj);
+      } else {
+        for (const obj of result.objects) objects.push(obj);
+        datasets.push(result.objects);
+      }
+    } catch (err) {
+      if (err instanceof ParseError) {
+        printDiagnostics(name, err.diagnostics);
+        fail(`${name}: ${err.message}`, EXIT_PARSE);
+      }
+      throw err;
+    }
+  }
+
+  if (values.compare !== undefined) {
+    const list = text => (text ?? "").split(",").map(c => c.trim()).filter(Boolean);
+    let output;
+    try {
+      const diff = diffDatasets(datasets[0], datasets[1], {
+        keys: list(values.compare),
+        ignore: list(values.ignore),
+        ignoreWhitespace: values["ignore-whitespace"],
+        ignoreCase: values["ignore-case"]
+      });
+      output = formatDiff(diff, { format: values["diff-format"], indent: values.minify ? 0 : Number(values.indent) });
+    } catch (err) {
+      fail(err.message, EXIT_PARSE);
+    }
+    process.stdout.write(output);
+    return;
+  }
+  if (values.schema) {
+    process.stdout.write(generateSchema(inferShape(objects), values.schema, { name: values["type-name"] }));
+    return;
+  }
+  const format = {
+    format: values.format,
+    indent: values.minify ? 0 : Number(values.indent),
+    keyBy: values["key-by"],
+    duplicateKeys: values["duplicate-keys"],
+    sqlDialect: values["sql-dialect"],
+    sqlTable: values.table,
+    primaryKey: values["primary-key"],
+    batchSize: Number(values["batch-size"])
+  };
+  let output;
+  try {
+    output = serializeObjects(objects, format);
+    if (values.rejected !== undefined) await writeFile(values.rejected, serializeObjects(rejected, format));
+  } catch (err) {
+    // an unwritable --rejected file, a bad key in keyed output or a bad primary key in sql output
+    fail(err.message, err.code ? EXIT_USAGE : EXIT_PARSE);
+  }
+  process.stdout.write(output);
+  if (rejected.length) process.exitCode = EXIT_INVALID; // set, not exit(), so piped output is flushed
+}
+
+main().catch(err => fail(err?.stack || String(err), EXIT_USAGE));
@@ -1,235 +1,144 @@
-import React, { useState, useRef } from "react";
+import React, { useState, useRef, useEffect } from "react";
+import PreviewTable from "./PreviewTable.jsx";
+import FixedWidthEditor from "./FixedWidthEditor.jsx";
+import ProfileTable from "./ProfileTable.jsx";
+import {
+  convert,
+  ParseError,
+  MAX_DIAGNOSTICS,
+  DEFAULT_NULL_TOKENS,
+  parseCSV,
+  createCSVParser,
+  detectDelimiterByStructure,
+  detectDialect,
+  CLOSE_SCORE_GAP,
+  parseJSONRecords,
+  objectsToCSV,
+  unmarshallDeep,
+  unmarshallItem,
+  marshallItem,
+  toBatchWriteRequests,
+  coerceDeep,
+  inferScalar,
+  convertRowsToObjects,
+  deepEqual,
+  ENCODINGS,
+  ENCODING_SAMPLE_BYTES,
+  detectEncoding,
+  decodeBytes,
+  syncColumnMap,
+  headerPaths,
+  sanitizeSettings,
+  settingsToHash,
+  settingsFromHash,
+  loadPresets,
+  savePresets,
+  upsertPreset,
+  presetsToFile,
+  presetsFromFile,
+  OUTPUT_FORMATS,
+  DUPLICATE_KEY_POLICIES,
+  serializeObjects,
+  outputFileName,
+  SCHEMA_FORMATS,
+  inferShape,
+  generateSchema,
+  parseJSONSchema,
+  compileSchema,
+  validateRows,
+  compilePipeline,
+  applyTransform,
+  readWorkbook,
+  isSpreadsheetName,
+  convertSheet,
+  isBlankRow,
+  checkFixedColumns,
+  parseHTMLTables,
+  rowsToCSV,
+  diffDatasets,
+  formatDiff,
+  profileRows,
+  DIFF_FORMATS,
+  SQL_DIALECTS,
+  DEFAULT_SQL_BATCH_SIZE
+} from "./lib/index.js";
 
-// ————————————————————————————————————————————————————————————
-// CSV parser (RFC 4180-ish): commas, quotes, CRLF, escaped quotes "".
-// ————————————————————————————————————————————————————————————
-function parseCSV(text, delimiter = ",") {
-  const rows = [];
-  let field = "";
-  let row = [];
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i++) {
-    const char = text[i];
-    const next = text[i + 1];
-
-    if (inQuotes) {
-      if (char === '"' && next === '"') {
-        field += '"';
-        i++; // skip the escaped quote
-      } else if (char === '"') {
-        inQuotes = false; // closing quote
-      } else {
-        field += char;
-      }
-    } else {
-      if (char === '"') {
-        inQuotes = true; // opening quote
-      } else if (char === delimiter) {
-        row.push(field);
-        field = "";
-      } else if (char === "\n") {
-        row.push(field);
-        rows.push(row);
-        row = [];
-        field = "";
-      } else if (char === "\r") {
-        // ignore CR (\r) — handle CRLF
-        continue;
-      } else {
-        field += char;
-      }
-    }
-  }
-  // push last field / row if any
-  if (field !== "" || inQuotes || row.length > 0) {
-    row.push(field);
-    rows.push(row);
-  }
-  return rows;
-}
-
-// ————————————————————————————————————————————————————————————
-// Robust delimiter detection
-// ————————————————————————————————————————————————————————————
-const CANDIDATES = [",", "\t", ";", "|", ":"]; // common delimiters
-function detectDelimiterByStructure(sample) {
-  const text = sample.split(/\r?\n/).slice(0, 20).join("\n");
-  let best = ",";
-  let bestScore = -Infinity;
-
-  for (const d of CANDIDATES) {
-    const rows = parseCSV(text, d);
-    if (rows.length < 2) continue; // need header+1
-    const lens = rows.map(r => r.length);
-    const headerCols = lens[0];
-    const nonEmpty = rows.slice(1).filter(r => r.some(c => (c ?? "").trim() !== ""));
-    const matching = nonEmpty.filter(r => r.length === headerCols).length;
-    const uniqueLens = new Set(lens).size;
-    // score: prefer >1 columns, many rows matching header length, lower variance
-    if (headerCols > 1) {
-      const mean = lens.reduce((a, c) => a + c, 0) / lens.length;
-      const variance = lens.reduce((a, c) => a + (c - mean) ** 2, 0) / lens.length;
-      const score = matching * 100 - variance * 10 - (uniqueLens - 1) * 5;
-      if (score > bestScore) { bestScore = score; best = d; }
-    }
-  }
-  return best;
-}
-
-// ————————————————————————————————————————————————————————————
-// Helpers for nested JSON detection + parsing
-// ————————————————————————————————————————————————————————————
-function looksLikeJSON(value) {
-  if (typeof value !== "string") return false;
-  const t = value.trim();
-  if (!t) return false;
-  return t.startsWith("{") || t.startsWith("[") || (t.startsWith('"') && (t[1] === '{' || t[1] === '['));
-}
-
-// ————————————————————————————————————————————————————————————
-// DynamoDB AttributeValue (AV) unmarshalling
-// ————————————————————————————————————————————————————————————
-const AV_KEYS = new Set(["S","N","BOOL","NULL","M","L","SS","NS","BS","B"]);
+// Files above this size skip the textarea and are streamed through the worker.
+const LARGE_FILE_BYTES = 5 * 1024 * 1024;
+// Rows shown in the table view (the worker sends at most 50)
+const PREVIEW_ROWS = 50;
+// Pause in typing a transform pipeline before the result is updated
+const TRANSFORM_DELAY_MS = 300;
 
-function isAttributeValue(obj) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return false;
-  const keys = Object.keys(obj);
-  if (keys.length !== 1) return false;
-  return AV_KEYS.has(keys[0]);
-}
+// Status wording for the DynamoDB input formats unwrapDynamoDBExport recognises
+const ENVELOPE_LABELS = {
+  items: "",
+  export: " from Item records (S3 export / GetItem)",
+  scan: " from Scan/Query output",
+  stream: " from Streams records",
+  mixed: " from mixed DynamoDB formats"
+};
 
-function unmarshallAV(av) {
-  const [t] = Object.keys(av);
-  const v = av[t];
-  switch (t) {
-    case 'S': return String(v);
-    case 'N': return Number(v);
-    case 'BOOL': return Boolean(v);
-    case 'NULL': return null;
-    case 'SS': return Array.isArray(v) ? v.map(String) : [];
-    case 'NS': return Array.isArray(v) ? v.map(Number) : [];
-    case 'L': return Array.isArray(v) ? v.map(unmarshallDeep) : [];
-    case 'M': return unmarshallMap(v);
-    case 'B': return v; // leave as-is
-    case 'BS': return v; // leave as-is
-    default: return v;
-  }
-}
+// Delimiters offered in the picker; anything else is typed in as "Other"
+const DELIMITER_CHOICES = [
+  { value: ",", label: "Comma (,)" },
+  { value: "\t", label: "Tab (\\t)" },
+  { value: ";", label: "Semicolon (;)" },
+  { value: "|", label: "Pipe (|)" },
+  { value: ":", label: "Colon (:)" },
+  { value: "||", label: "Double pipe (||)" },
+  { value: "~|~", label: "Tilde pipe (~|~)" }
+];
 
-function unmarshallMap(obj) {
-  const out = {};
-  for (const [k, v] of Object.entries(obj || {})) {
-    out[k] = unmarshallDeep(v);
-  }
-  return out;
-}
+// JSON → CSV results, for Copy and Download; the other modes use an OUTPUT_FORMATS entry
+const CSV_OUTPUT = { value: 'csv', label: "CSV", extension: "csv", contentType: "text/csv" };
+// What Copy and Download save from the profile view
+const PROFILE_FILE = { label: "column profile", extension: "profile.json", contentType: "application/json" };
 
-function maybeMapOfAVs(obj) {
-  const entries = Object.values(obj || {});
-  if (entries.length === 0) return false;
-  return entries.every(x => isAttributeValue(x));
-}
+// Wording for the keyed output's duplicate-key policies
+const DUPLICATE_KEY_LABELS = {
+  fail: "Repeated key: fail",
+  first: "Repeated key: keep first row",
+  last: "Repeated key: keep last row",
+  array: "Every key holds an array of rows"
+};
 
-function unmarshallDeep(value) {
-  if (isAttributeValue(value)) return unmarshallAV(value);
-  if (Array.isArray(value)) return value.map(unmarshallDeep);
-  if (value && typeof value === 'object') {
-    if (value.M && isAttributeValue({ M: value.M })) return unmarshallAV({ M: value.M });
-    if (maybeMapOfAVs(value)) return unmarshallMap(value);
-    const out = {};
-    for (const [k, v] of Object.entries(value)) out[k] = unmarshallDeep(v);
-    return out;
-  }
-  return value;
+// Status wording for the dialect a CSV was parsed with; the usual quote/escape go unmentioned.
+function dialectLabel({ delimiter, quote, escape }) {
+  const parts = [`delimiter "${delimiter.replace(/\t/g, "\\t")}"`];
+  if (quote !== '"') parts.push(quote ? `quote ${quote}` : "no quoting");
+  if (escape) parts.push(`escape ${escape}`);
+  return parts.join(", ");
 }
 
 // ————————————————————————————————————————————————————————————
-// Type inference (outside DynamoDB AV)
+// Utils: byte sizes + cross-browser copy
 // ————————————————————————————————————————————————————————————
-function inferScalar(str) {
-  if (typeof str !== 'string') return str;
-  const t = str.trim();
-  if (t === '') return str; // keep empty strings as-is
-  const lower = t.toLowerCase();
-  if (lower === 'null') return null;
-  if (lower === 'true') return true;
-  if (lower === 'false') return false;
-  if (/^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(t)) {
-    const n = Number(t);
-    if (Number.isFinite(n)) return n;
-  }
-  return str;
-}
-
-function coerceDeep(value) {
-  if (Array.isArray(value)) return value.map(coerceDeep);
-  if (value && typeof value === 'object') {
-    const out = {};
-    for (const [k, v] of Object.entries(value)) out[k] = coerceDeep(v);
-    return out;
-  }
-  return inferScalar(value);
-}
-
-function convertRowsToObjects(rows, { parseNestedJSON, doUnmarshall, doInferTypes }) {
-  if (!rows.length) return [];
-  const headers = rows[0].map(h => h?.trim?.() ?? "");
-  const dataRows = rows.slice(1);
-  return dataRows
-    .filter(r => r.some(cell => (cell ?? "").trim() !== ""))
-    .map(r => {
-      const obj = {};
-      headers.forEach((h, idx) => {
-        let v = r[idx] ?? "";
-        if (parseNestedJSON && looksLikeJSON(v)) {
-          try { v = JSON.parse(v); } catch {}
-        }
-        if (doUnmarshall && v && typeof v === 'object') {
-          v = unmarshallDeep(v);
-        }
-        if (doInferTypes) {
-          v = coerceDeep(v);
-        }
-        obj[h || `col_${idx + 1}`] = v;
-      });
-      return obj;
-    });
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
 }
 
-// ————————————————————————————————————————————————————————————
-// Simple deep equality for test assertions
-// ————————————————————————————————————————————————————————————
-function deepEqual(a, b) {
-  if (Object.is(a, b)) return true;
-  if (typeof a !== typeof b) return false;
-  if (typeof a !== 'object' || a === null || b === null) return false;
-  if (Array.isArray(a) !== Array.isArray(b)) return false;
-  if (Array.isArray(a)) {
-    if (a.length !== b.length) return false;
-    for (let i = 0; i < a.length; i++) if (!deepEqual(a[i], b[i])) return false;
-    return true;
+// Browsers can refuse storage (private mode, blocked cookies); presets then last for the session.
+function presetStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
   }
-  const ak = Object.keys(a); const bk = Object.keys(b);
-  if (ak.length !== bk.length) return false;
-  for (const k of ak) if (!deepEqual(a[k], b[k])) return false;
-  return true;
 }
 
-// ————————————————————————————————————————————————————————————
-// Utils: random file name + cross-browser copy
-// ————————————————————————————————————————————————————————————
-function randomName(len = 16) {
-  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  if (window.crypto && window.crypto.getRandomValues) {
-    const arr = new Uint32Array(len);
-    window.crypto.getRandomValues(arr);
-    return Array.from(arr, n => alphabet[n % alphabet.length]).join('');
-  }
-  // Fallback
-  let out = '';
-  for (let i = 0; i < len; i++) out += alphabet[Math.floor(Math.random() * alphabet.length)];
-  return out;
+function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  // Safari needs the link in the DOM
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
 async function copyText(text) {
@@ -257,93 +166,868 @@ async function copyText(text) {
 
 export default function App() {
   const [csv, setCsv] = useState("");
-  const [json, setJson] = useState("[]");
+  const [output, setOutput] = useState("[]");
   const [status, setStatus] = useState("");
   const [delimiter, setDelimiter] = useState(",");
   const [autoDelim, setAutoDelim] = useState(true);
+  // CSV dialect: quote ('auto', a char, or '' for none), escape ('auto', '' for doubled
+  // quotes, or a char), comment prefix, leading lines to skip, and whitespace trimming
+  const [quote, setQuote] = useState('auto');
+  const [escape, setEscape] = useState('auto');
+  const [comment, setComment] = useState('');
+  const [skipLines, setSkipLines] = useState(0);
+  const [trim, setTrim] = useState(false);
+  // dialect: what the last CSV conversion used, with detected values filled in
+  const [dialect, setDialect] = useState(null);
+  // header: 'auto' (detectHeaderRow), 'yes' or 'no' (col_1 … col_n names)
+  const [header, setHeader] = useState('yes');
+  // detection: the last CSV conversion's { delimiterReport, headerRow }
+  const [detection, setDetection] = useState(null);
   const [parseNestedJSON, setParseNestedJSON] = useState(true);
   const [doUnmarshall, setDoUnmarshall] = useState(true);
   const [doInferTypes, setDoInferTypes] = useState(true);
+  // How DynamoDB N and B values are unmarshalled (see unmarshallDeep)
+  const [numbers, setNumbers] = useState('number');
+  const [binary, setBinary] = useState('base64');
+  // streamOutput (DDB JSON mode, Streams records): 'images' or per-record 'changes'
+  const [streamOutput, setStreamOutput] = useState('images');
   const [testResults, setTestResults] = useState([]);
-  // inputMode: 'csv' for CSV-to-JSON, 'ddb' for direct DynamoDB JSON unmarshalling
+  // inputMode: 'csv' for CSV-to-JSON, 'fixed' for fixed-width text, 'ddb' for direct DynamoDB
+  // JSON unmarshalling, 'marshall' for plain JSON to DynamoDB items, 'json' for the reverse
+  // JSON-to-CSV conversion, 'compare' for a keyed diff of two datasets
   const [inputMode, setInputMode] = useState('csv');
+  // fixedColumns: the fixed-width layout [{ name, start, width }], or null to suggest one on Convert
+  const [fixedColumns, setFixedColumns] = useState(null);
+  // CSV and fixed-width text both become rows with headers, so they share the table, pipeline and validation
+  const rowInput = inputMode === 'csv' || inputMode === 'fixed';
+  // Compare mode: `csv` holds the before data and afterText the after data, both read as compareFormat.
+  // compareKeys and compareIgnore are comma-separated column names; diffFormat is a DIFF_FORMATS value
+  const [afterText, setAfterText] = useState('');
+  const [compareFormat, setCompareFormat] = useState('csv');
+  const [compareKeys, setCompareKeys] = useState('');
+  const [compareIgnore, setCompareIgnore] = useState('');
+  const [ignoreWhitespace, setIgnoreWhitespace] = useState(false);
+  const [ignoreCase, setIgnoreCase] = useState(false);
+  const [diffFormat, setDiffFormat] = useState('json');
+  // flattenMode (JSON → CSV): 'dot' for a.b.c columns, 'json' for stringified JSON cells
+  const [flattenMode, setFlattenMode] = useState('dot');
+  // ddbOutput (CSV and JSON → DDB modes): 'plain' JSON, DynamoDB 'items', or 'batch' BatchWriteItem requests
+  const [ddbOutput, setDdbOutput] = useState('plain');
+  const [tableName, setTableName] = useState('');
+  const [detectSets, setDetectSets] = useState(false);
+  // outputFormat: an OUTPUT_FORMATS value; indent 0 minifies; keyBy/duplicateKeys for 'keyed'
+  const [outputFormat, setOutputFormat] = useState('json');
+  const [indent, setIndent] = useState(2);
+  const [keyBy, setKeyBy] = useState('');
+  const [duplicateKeys, setDuplicateKeys] = useState('fail');
+  // sqlDialect/sqlTable/primaryKey/batchSize: CREATE TABLE and INSERT settings for 'sql'
+  const [sqlDialect, setSqlDialect] = useState('postgres');
+  const [sqlTable, setSqlTable] = useState('');
+  const [primaryKey, setPrimaryKey] = useState('');
+  const [batchSize, setBatchSize] = useState(DEFAULT_SQL_BATCH_SIZE);
+  // outputKind: what the current result was written as (an OUTPUT_FORMATS entry or CSV_OUTPUT)
+  const [outputKind, setOutputKind] = useState(OUTPUT_FORMATS[0]);
+  // largeFile: a File too big for the textarea; converted by the streaming worker instead
+  const [largeFile, setLargeFile] = useState(null);
+  // loadedFile: the uploaded file's { name, bytes, detected } so it can be re-decoded;
+  // bytes is null for a large file, which the worker decodes as it streams
+  const [loadedFile, setLoadedFile] = useState(null);
+  // workbook: an uploaded .xlsx/.ods as { name, format, sheets } (see readWorkbook), shown
+  // in place of the textarea; sheetIndex picks its sheet and sheetHeaderRow the 1-based
+  // row holding the headers (rows above it are skipped; 0 reads every row as data)
+  const [workbook, setWorkbook] = useState(null);
+  // pastedTables: the tables of the last HTML paste ({ tables, index, start, end }, the
+  // chosen one's text filling csv[start, end)) while there is a choice; null otherwise
+  const [pastedTables, setPastedTables] = useState(null);
+  const [sheetIndex, setSheetIndex] = useState(0);
+  const [sheetHeaderRow, setSheetHeaderRow] = useState(1);
+  // encoding: 'auto' (use loadedFile.detected) or one of ENCODINGS
+  const [encoding, setEncoding] = useState('auto');
+  // job: progress of a running worker conversion ({ bytesRead, totalBytes, rows }) or null
+  const [job, setJob] = useState(null);
+  // outputBlob: full worker output; `output` then only holds a preview of it
+  const [outputBlob, setOutputBlob] = useState(null);
+  // Malformed-CSV handling: strict quotes, fail instead of converting, and what to do with extra cells
+  const [strict, setStrict] = useState(false);
+  const [failOnMalformed, setFailOnMalformed] = useState(false);
+  const [extraCells, setExtraCells] = useState('drop');
+  // duplicateHeaders: how same-named columns are kept (see DUPLICATE_HEADER_STRATEGIES)
+  const [duplicateHeaders, setDuplicateHeaders] = useState('suffix');
+  const [diagnostics, setDiagnostics] = useState([]);
+  // inferBy: 'cell' decides each value alone, 'column' picks one type per CSV column
+  const [inferBy, setInferBy] = useState('cell');
+  const [nullTokensText, setNullTokensText] = useState(DEFAULT_NULL_TOKENS.filter(Boolean).join(", "));
+  const [preserve, setPreserve] = useState('column');
+  const [columnTypes, setColumnTypes] = useState(null);
+  // Path-style headers (address.city, tags[0]) → nested objects
+  const [unflatten, setUnflatten] = useState(false);
+  const [pathSeparator, setPathSeparator] = useState('.');
+  const [collision, setCollision] = useState('flat');
+  // columnMap: rename/drop/order/type per CSV column, edited in the table view (see syncColumnMap)
+  const [columnMap, setColumnMap] = useState(null);
+  // previewRows: first converted rows for the table view; outputView: 'json', 'table' or 'schema'
+  const [previewRows, setPreviewRows] = useState(null);
+  const [outputView, setOutputView] = useState('json');
+  // schemaShape: every converted row merged by inferShape, for the 'schema' view
+  const [schemaShape, setSchemaShape] = useState(null);
+  // profile: the result's column profile for the 'profile' view (see createProfileStats),
+  // { pending: true } while profileWorker runs, or { error } if it failed
+  const [profile, setProfile] = useState(null);
+  const profileWorkerRef = useRef(null);
+  // convertedRef: whether the last Convert produced rows, so the live transform has something to redo
+  const convertedRef = useRef(false);
+  const [schemaFormat, setSchemaFormat] = useState('json-schema');
+  const [schemaName, setSchemaName] = useState('Row');
+  // validationSchema: JSON Schema text every converted row is checked against ('' = none);
+  // validation: { report, valid, rejected } with the rows split into two Blobs
+  const [validationSchema, setValidationSchema] = useState('');
+  const [validation, setValidation] = useState(null);
+  // transform: pipeline text run over the converted rows (see transform.js); '' = none
+  const [transform, setTransform] = useState('');
+  // presets: saved [{ name, settings }]; presetName: the name being loaded or saved
+  const [presets, setPresets] = useState(() => (presetStorage() ? loadPresets(presetStorage()) : []));
+  const [presetName, setPresetName] = useState('');
   const fileInputRef = useRef(null);
+  const presetFileRef = useRef(null);
+  const schemaFileRef = useRef(null);
+  const textareaRef = useRef(null);
+  const workerRef = useRef(null);
+
+  // ————————————————————————————————————————————————————————————
+  // Presets: every conversion setting plus the column mapping, never the input
+  // ————————————————————————————————————————————————————————————
+  const settingSetters = {
+    inputMode: setInputMode,
+    delimiter: setDelimiter,
+    autoDelim: setAutoDelim,
+    fixedColumns: setFixedColumns,
+    quote: setQuote,
+    escape: setEscape,
+    comment: setComment,
+    skipLines: setSkipLines,
+    trim: setTrim,
+    header: setHeader,
+    encoding: setEncoding,
+    parseNestedJSON: setParseNestedJSON,
+    doUnmarshall: setDoUnmarshall,
+    numbers: setNumbers,
+    binary: setBinary,
+    streamOutput: setStreamOutput,
+    doInferTypes: setDoInferTypes,
+    inferBy: setInferBy,
+    nullTokensText: setNullTokensText,
+    preserve: setPreserve,
+    flattenMode: setFlattenMode,
+    ddbOutput: setDdbOutput,
+    tableName: setTableName,
+    detectSets: setDetectSets,
+    outputFormat: setOutputFormat,
+    indent: setIndent,
+    keyBy: setKeyBy,
+    duplicateKeys: setDuplicateKeys,
+    sqlDialect: setSqlDialect,
+    sqlTable: setSqlTable,
+    primaryKey: setPrimaryKey,
+    batchSize: setBatchSize,
+    validationSchema: setValidationSchema,
+    transform: setTransform,
+    strict: setStrict,
+    failOnMalformed: setFailOnMalformed,
+    extraCells: setExtraCells,
+    duplicateHeaders: setDuplicateHeaders,
+    unflatten: setUnflatten,
+    pathSeparator: setPathSeparator,
+    collision: setCollision,
+    compareFormat: setCompareFormat,
+    compareKeys: setCompareKeys,
+    compareIgnore: setCompareIgnore,
+    ignoreWhitespace: setIgnoreWhitespace,
+    ignoreCase: setIgnoreCase,
+    diffFormat: setDiffFormat,
+    columnMap: setColumnMap
+  };
+
+  function currentSettings() {
+    return {
+      inputMode, delimiter, autoDelim, fixedColumns, quote, escape, comment, skipLines, trim, header, encoding, parseNestedJSON, doUnmarshall, numbers, binary, streamOutput,
+      doInferTypes, inferBy, nullTokensText, preserve, flattenMode, ddbOutput, tableName, detectSets, outputFormat, indent,
+      keyBy, duplicateKeys, sqlDialect, sqlTable, primaryKey, batchSize, validationSchema, transform, strict, failOnMalformed, extraCells,
+      duplicateHeaders, unflatten, pathSeparator, collision, compareFormat, compareKeys, compareIgnore, ignoreWhitespace, ignoreCase,
+      diffFormat, columnMap
+    };
+  }
+
+  // Applies sanitized settings; returns the names that were not valid.
+  function applySettings(raw) {
+    const { settings, ignored } = sanitizeSettings(raw);
+    for (const [key, value] of Object.entries(settings)) settingSetters[key](value);
+    return ignored;
+  }
+
+  // Returns why the presets could not be stored (a full or locked-down storage), or null.
+  function persistPresets(next) {
+    setPresets(next);
+    const storage = presetStorage();
+    if (!storage) return null;
+    try {
+      savePresets(storage, next);
+      return null;
+    } catch (err) {
+      return err?.name === 'QuotaExceededError' ? "local storage is full" : (err?.message || String(err));
+    }
+  }
+
+  function handleSavePreset() {
+    const name = presetName.trim();
+    if (!name) {
+      setStatus("Error: Enter a preset name.");
+      return;
+    }
+    const failure = persistPresets(upsertPreset(presets, name, currentSettings()));
+    if (failure) {
+      setStatus(`Error: Could not store preset "${name}" (${failure}); it lasts until you close the page.`);
+      return;
+    }
+    setStatus(`Saved preset "${name}".` + (presetStorage() ? "" : " This browser blocks local storage, so it lasts until you close the page."));
+  }
+
+  function handleLoadPreset(name) {
+    setPresetName(name);
+    const preset = presets.find(p => p.name === name);
+    if (!preset) return;
+    applySettings(preset.settings);
+    setStatus(`Loaded preset "${name}". Convert to apply it.`);
+  }
+
+  function handleDeletePreset() {
+    const name = presetName.trim();
+    if (!presets.some(p => p.name === name)) return;
+    const failure = persistPresets(presets.filter(p => p.name !== name));
+    setPresetName('');
+    setStatus(failure ? `Error: Deleted preset "${name}" on this page only; storing the change failed (${failure}).` : `Deleted preset "${name}".`);
+  }
+
+  function handleExportPresets() {
+    downloadBlob(new Blob([presetsToFile(presets)], { type: "application/json;charset=utf-8" }), "csv-json-presets.json");
+    setStatus(`Exported ${presets.length} preset(s).`);
+  }
+
+  async function handleImportPresets(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = presetsFromFile(await file.text());
+      const failure = persistPresets(imported.reduce((list, p) => upsertPreset(list, p.name, p.settings), presets));
+      setStatus(failure
+        ? `Error: Could not store the ${imported.length} preset(s) from ${file.name} (${failure}); they last until you close the page.`
+        : `Imported ${imported.length} preset(s) from ${file.name}.`);
+    } catch (err) {
+      setStatus("Error importing presets: " + (err.message || String(err)));
+    }
+  }
+
+  async function handleCopyPresetLink() {
+    const url = window.location.href.split("#")[0] + settingsToHash(currentSettings());
+    const ok = await copyText(url);
+    setStatus(ok ? "Copied a link with the current settings (no data)." : "Error: Copy failed. Your browser may block clipboard access.");
+  }
+
+  // A #preset=… link sets the page up on open, and when another one is pasted into the address bar.
+  useEffect(() => {
+    function applyHash() {
+      try {
+        const fromHash = settingsFromHash(window.location.hash);
+        if (!fromHash) return;
+        const ignored = applySettings(fromHash.settings);
+        setStatus("Loaded settings from the link." + (ignored.length ? ` Ignored unknown or invalid: ${ignored.join(", ")}.` : ""));
+      } catch (err) {
+        setStatus("Error: " + err.message);
+      }
+    }
+    applyHash();
+    window.addEventListener("hashchange", applyHash);
+    return () => window.removeEventListener("hashchange", applyHash);
+  }, []);
+
+  // The output settings shared by serializeOutput and the worker.
+  function outputOptions() {
+    return {
+      format: outputFormat,
+      indent,
+      keyBy: keyBy.trim(),
+      duplicateKeys,
+      sqlDialect,
+      sqlTable: sqlTable.trim() || "data",
+      primaryKey: primaryKey.trim(),
+      batchSize
+    };
+  }
+
+  // Writes result objects in the chosen output format.
+  function serializeOutput(objects) {
+    return serializeObjects(objects, outputOptions());
+  }
+
+  // Marshalls plain objects per the DynamoDB output settings; returns [outputText, statusSuffix].
+  function marshallForOutput(objects, format) {
+    if (outputFormat === 'keyed') throw new Error("Keyed output is for plain JSON rows; choose another format for DynamoDB items.");
+    if (outputFormat === 'sql') throw new Error("SQL output is for plain rows; choose another format for DynamoDB items.");
+    const items = objects.map(o => marshallItem(o, { detectSets }));
+    if (format === 'batch') {
+      const table = tableName.trim();
+      if (!table) throw new Error("Enter a table name for BatchWriteItem output.");
+      const batches = toBatchWriteRequests(items, table);
+      return [serializeOutput(batches), ` Marshalled into ${batches.length} BatchWriteItem request(s) for "${table}".`];
+    }
+    return [serializeOutput(items), " Marshalled to DynamoDB JSON."];
+  }
+
+  // The result text for plain rows, per the DynamoDB output and format settings.
+  function outputText(objects) {
+    return ddbOutput === 'plain' ? serializeOutput(objects) : marshallForOutput(objects, ddbOutput)[0];
+  }
+
+  // The parsed validation schema, or null when none is given. Throws on a broken schema.
+  function schemaForValidation() {
+    if (!validationSchema.trim()) return null;
+    const schema = parseJSONSchema(validationSchema);
+    compileSchema(schema);
+    return schema;
+  }
+
+  // Splits converted rows by the validation schema; returns a status suffix.
+  function applyValidation(schema, objects, sources) {
+    if (!schema) return "";
+    const { report, valid, rejected } = validateRows(objects, schema, sources);
+    const type = `${OUTPUT_FORMATS.find(f => f.value === outputFormat).contentType};charset=utf-8`;
+    setValidation({
+      report,
+      valid: new Blob([outputText(valid)], { type }),
+      rejected: new Blob([outputText(rejected)], { type })
+    });
+    return validationNote(report);
+  }
+
+  function validationNote(report) {
+    return report.rejected
+      ? ` ${report.rejected} of ${report.valid + report.rejected} row(s) failed the schema; see Validation.`
+      : " Every row passed the schema.";
+  }
+
+  // Status suffix for a pipeline that changed the row count.
+  function transformNote(before, after) {
+    return before === after ? "" : ` The transform turned them into ${after} row(s).`;
+  }
+
+  // Column inference options; an empty cell always counts as null.
+  function columnInferenceOptions() {
+    const tokens = nullTokensText.split(",").map(t => t.trim()).filter(Boolean);
+    return { inferBy, nullTokens: ["", ...tokens], preserve };
+  }
+
+  // The dialect panel as convert() options; 'auto' becomes null so it is detected.
+  function dialectOptions() {
+    if (!autoDelim && !delimiter) throw new Error("Enter a delimiter, or turn on auto-detection");
+    return {
+      delimiter: autoDelim ? null : delimiter,
+      quote: quote === 'auto' ? null : quote,
+      escape: escape === 'auto' ? null : escape,
+      comment,
+      skipLines,
+      trim,
+      header: header === 'auto' ? 'auto' : header === 'yes'
+    };
+  }
 
-  function handleConvert() {
+  // Status suffix for a doubtful delimiter guess or a first row read as data.
+  function detectionNote({ delimiterReport, headerRow }) {
+    let note = "";
+    if (delimiterReport?.close) {
+      const shown = d => `"${d.replace(/\t/g, "\\t")}"`;
+      note += ` The delimiter was a close call between ${shown(delimiterReport.candidates[0].delimiter)} and ${shown(delimiterReport.runnerUp)}; see Detection.`;
+    }
+    if (headerRow && !headerRow.header) note += " The first row was read as data; columns are named col_1, col_2, ….";
+    return note;
+  }
+
+  // Status suffix naming the attributes whose N values do not fit a JS number.
+  function precisionNote(paths) {
+    if (!paths.length) return "";
+    const shown = paths.slice(0, 5).join(", ") + (paths.length > 5 ? `, … (${paths.length} in all)` : "");
+    return numbers === 'number'
+      ? ` Precision lost in ${shown}; choose "Numbers as text when too precise" to keep the digits.`
+      : ` Kept as text to avoid precision loss: ${shown}.`;
+  }
+
+  function convertInWorker(file, map, schema) {
+    if (ddbOutput === 'batch' && !tableName.trim()) {
+      setStatus("Error: Enter a table name for BatchWriteItem output.");
+      return;
+    }
+    const worker = new Worker(new URL("./workers/convertWorker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    setJob({ bytesRead: 0, totalBytes: file.size, rows: 0 });
+    setStatus(`Converting ${file.name}…`);
+    const finish = () => {
+      worker.terminate();
+      workerRef.current = null;
+      setJob(null);
+    };
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setJob(data);
+      } else if (data.type === 'done') {
+        finish();
+        if (!data.hasHeader) {
+          setOutput("[]");
+          setStatus("No rows detected. Make sure there's a header row.");
+          return;
+        }
+        setDelimiter(data.delimiter);
+        setDialect(data.dialect);
+        setDetection({ delimiterReport: data.delimiterReport, headerRow: data.headerRow });
+        setOutputBlob(data.blob);
+        setDiagnostics(data.diagnostics);
+        setColumnTypes(data.columns);
+        setColumnMap(syncColumnMap(map, data.headers));
+        setPreviewRows(data.sample);
+        setSchemaShape(data.shape);
+        setProfile(data.profile);
+        if (data.validation) setValidation({ report: data.validation, valid: data.validBlob, rejected: data.rejectedBlob });
+        setOutput(data.truncated ? `${data.preview}\n…` : data.preview);
+        setStatus(`Parsed ${data.rows} row(s) with ${dialectLabel(data.dialect)}.${transformNote(data.rows, data.outputRows)}` +
+          (data.truncated ? ` Showing the first part of ${formatBytes(data.blob.size)}; Download saves all of it.` : "") +
+          (data.diagnostics.length ? ` ${data.diagnostics.length} problem(s) found.` : "") +
+          detectionNote(data) +
+          precisionNote(data.precisionLoss) +
+          (data.validation ? validationNote(data.validation) : ""));
+      } else if (data.type === 'error') {
+        finish();
+        setDiagnostics(data.diagnostics || []);
+        setStatus("Error: " + data.message);
+      }
+    };
+    worker.onerror = e => {
+      finish();
+      setStatus("Error: " + (e.message || "worker failed"));
+    };
+    const { delimiter: givenDelimiter, ...dialectRest } = dialectOptions();
+    worker.postMessage({
+      type: 'start',
+      file,
+      encoding: encoding === 'auto' ? loadedFile?.detected.encoding ?? 'utf-8' : encoding,
+      delimiter: givenDelimiter,
+      options: {
+        ...dialectRest,
+        parseNestedJSON,
+        doUnmarshall,
+        numbers,
+        binary,
+        doInferTypes,
+        strict,
+        failOnMalformed,
+        extraCells,
+        duplicateHeaders,
+        unflatten,
+        pathSeparator: pathSeparator || '.',
+        collision,
+        columnMap: map,
+        transform,
+        ...columnInferenceOptions()
+      },
+      ddbOutput,
+      tableName: tableName.trim(),
+      detectSets,
+      output: outputOptions(),
+      validation: schema
+    });
+  }
+
+  // Profiles the result off the main thread, so a large paste does not freeze the page.
+  function profileInWorker(objects) {
+    const worker = new Worker(new URL("./workers/profileWorker.js", import.meta.url), { type: "module" });
+    profileWorkerRef.current = worker;
+    setProfile({ pending: true });
+    const finish = result => {
+      worker.terminate();
+      if (profileWorkerRef.current !== worker) return; // a newer Convert replaced it
+      profileWorkerRef.current = null;
+      setProfile(result);
+    };
+    worker.onmessage = ({ data }) => finish(data.type === 'done' ? data.profile : { error: data.message });
+    worker.onerror = e => finish({ error: e.message || "worker failed" });
+    worker.postMessage({ type: 'start', rows: objects });
+  }
+
+  // Selects the offending spot in the input textarea and scrolls it into view.
+  function jumpToDiagnostic(d) {
+    const ta = textareaRef.current;
+    if (!ta) return;
+    let offset = d.offset;
+    if (offset == null) {
+      offset = 0;
+      for (let l = 1; l < (d.line ?? 1); l++) {
+        const nl = csv.indexOf("\n", offset);
+        if (nl === -1) break;
+        offset = nl + 1;
+      }
+    }
+    ta.focus();
+    ta.setSelectionRange(offset, offset + 1);
+    const lineHeight = parseFloat(getComputedStyle(ta).lineHeight) || 20;
+    ta.scrollTop = Math.max(0, ((d.line ?? 1) - 3) * lineHeight);
+  }
+
+  // Layout edits reconvert like table edits, once the layout is valid.
+  function handleFixedColumnsChange(next) {
+    setFixedColumns(next);
+    if (!output) return;
+    try {
+      checkFixedColumns(next);
+    } catch {
+      return; // shown under the layout
+    }
+    handleConvert(columnMap, next);
+  }
+
+  // Table edits reconvert right away, except for large files, which take a full worker run.
+  function handleColumnMapChange(next) {
+    setColumnMap(next);
+    if (largeFile) {
+      setStatus("Column changes apply when you Convert again.");
+      return;
+    }
+    handleConvert(next);
+  }
+
+  // A preview cell; with unflattened headers, a column's value sits at its path.
+  function previewCell(row, name) {
+    if (!unflatten || name in row) return row[name];
+    const path = headerPaths([name], { pathSeparator: pathSeparator || '.' }).paths.get(name);
+    return path ? path.reduce((v, k) => v?.[k], row) : undefined;
+  }
+
+  function handleCancel() {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setJob(null);
+    setStatus("Conversion cancelled.");
+  }
+
+  // `map` and `layout` let a table or layout edit convert before state updates.
+  function handleConvert(map = columnMap, layout = fixedColumns) {
+    convertedRef.current = false;
     try {
       setStatus("");
-      if (inputMode === 'ddb') {
-        // Treat entire input as a single DynamoDB JSON object or an array of such objects
-        let raw = csv.trim();
-        if (!raw) {
-          setJson('[]');
+      setOutputBlob(null);
+      setDiagnostics([]);
+      setColumnTypes(null);
+      setDetection(null);
+      setPreviewRows(null);
+      setSchemaShape(null);
+      profileWorkerRef.current?.terminate();
+      profileWorkerRef.current = null;
+      setProfile(null);
+      setValidation(null);
+      setOutputKind(inputMode === 'json' ? CSV_OUTPUT : OUTPUT_FORMATS.find(f => f.value === outputFormat));
+      const schema = rowInput || inputMode === 'ddb' ? schemaForValidation() : null;
+      const stages = rowInput || inputMode === 'ddb' ? compilePipeline(transform) : [];
+      if (inputMode === 'csv' && largeFile) {
+        convertInWorker(largeFile, map, schema);
+        return;
+      }
+      if (inputMode === 'compare') {
+        if (!csv.trim() || !afterText.trim()) {
+          setOutput('');
+          setStatus('Paste the data before and after the change.');
+          return;
+        }
+        // Both sides are read as in CSV or DDB JSON mode, without the column table or pipeline
+        const read = (text, side) => {
+          try {
+            return compareFormat === 'ddb'
+              ? convert(text, { mode: 'ddb', doUnmarshall, numbers, binary, streamOutput, doInferTypes }).objects
+              : convert(text, { mode: 'csv', ...dialectOptions(), parseNestedJSON, doUnmarshall, numbers, binary, doInferTypes, ...columnInferenceOptions() }).objects;
+          } catch (err) {
+            throw new Error(`In the ${side} data: ${err.message}`);
+          }
+        };
+        const before = read(csv, "before");
+        const after = read(afterText, "after");
+        const list = text => text.split(",").map(k => k.trim()).filter(Boolean);
+        const keys = list(compareKeys);
+        const diff = diffDatasets(before, after, { keys, ignore: list(compareIgnore), ignoreWhitespace, ignoreCase });
+        setOutputKind(DIFF_FORMATS.find(f => f.value === diffFormat));
+        setOutput(formatDiff(diff, { format: diffFormat, indent }));
+        setStatus(`Compared ${before.length} and ${after.length} row(s) by ${keys.join(", ")}: ${diff.added.length} added, ` +
+          `${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged.`);
+        return;
+      }
+      if (inputMode === 'marshall') {
+        let records;
+        try {
+          records = parseJSONRecords(csv);
+        } catch (err) {
+          setOutput('[]');
+          setStatus('Error parsing JSON: ' + (err.message || String(err)));
+          return;
+        }
+        if (!records.length) {
+          setOutput('[]');
           setStatus('No input provided.');
           return;
         }
-        let parsed;
+        const [text, note] = marshallForOutput(records, ddbOutput === 'batch' ? 'batch' : 'items');
+        setOutput(text);
+        setStatus(`Read ${records.length} object(s).${note}`);
+        return;
+      }
+      if (inputMode === 'json') {
+        let records;
         try {
-          parsed = JSON.parse(raw);
+          records = parseJSONRecords(csv);
         } catch (err) {
-          setJson('[]');
+          setOutput('');
           setStatus('Error parsing JSON: ' + (err.message || String(err)));
           return;
         }
-        // Allow single object or array of objects
-        const items = Array.isArray(parsed) ? parsed : [parsed];
-        const transformed = items.map(item => doUnmarshall ? unmarshallDeep(item) : item).map(item => doInferTypes ? coerceDeep(item) : item);
-        setJson(JSON.stringify(transformed, null, 2));
-        setStatus(`Unmarshalled ${transformed.length} DynamoDB object(s).`);
+        if (!records.length) {
+          setOutput('');
+          setStatus('No input provided.');
+          return;
+        }
+        if (doUnmarshall) records = records.map(r => unmarshallItem(r, { numbers, binary }));
+        if (!delimiter) throw new Error("Enter a delimiter");
+        setOutput(objectsToCSV(records, { delimiter, flatten: flattenMode }));
+        setStatus(`Wrote ${records.length} row(s) with delimiter "${delimiter.replace("\t", "\\t")}".`);
         return;
       }
-      // CSV mode
-      const sample = csv.slice(0, 4000);
-      const delim = autoDelim ? detectDelimiterByStructure(sample) : delimiter;
-      setDelimiter(delim);
-      const rows = parseCSV(csv, delim);
-      if (!rows.length) {
-        setJson("[]");
+      if (inputMode === 'ddb') {
+        // Treat entire input as a single DynamoDB JSON object or an array of such objects
+        if (!csv.trim()) {
+          setOutput('[]');
+          setStatus('No input provided.');
+          return;
+        }
+        const { objects: unmarshalled, precisionLoss, envelope } = convert(csv, { mode: 'ddb', doUnmarshall, numbers, binary, streamOutput, doInferTypes });
+        const { objects } = applyTransform(unmarshalled, stages);
+        convertedRef.current = true;
+        setOutput(serializeOutput(objects));
+        setSchemaShape(inferShape(objects));
+        profileInWorker(objects);
+        setStatus(`Unmarshalled ${unmarshalled.length} DynamoDB object(s)${ENVELOPE_LABELS[envelope.format]}.` +
+          transformNote(unmarshalled.length, objects.length) +
+          (envelope.count != null ? ` Count: ${envelope.count}.` : "") +
+          (envelope.lastEvaluatedKey ? ` More pages remain; LastEvaluatedKey: ${JSON.stringify(envelope.lastEvaluatedKey)}.` : "") +
+          precisionNote(precisionLoss) +
+          applyValidation(schema, objects));
+        return;
+      }
+      // CSV and fixed-width modes; the pipeline runs here rather than in convert() so the table keeps the converted columns
+      const cellOptions = {
+        parseNestedJSON,
+        doUnmarshall,
+        numbers,
+        binary,
+        doInferTypes,
+        strict,
+        failOnMalformed,
+        extraCells,
+        duplicateHeaders,
+        unflatten,
+        pathSeparator: pathSeparator || '.',
+        collision,
+        columnMap: map,
+        ...columnInferenceOptions()
+      };
+      const sheet = inputMode === 'csv' ? workbook?.sheets[sheetIndex] : null;
+      const {
+        objects: converted, delimiter: delim, dialect: used, delimiterReport, headerRow, diagnostics: found, columns, precisionLoss, headers,
+        rowLines: convertedLines, columnSources, fixedColumns: layoutUsed
+      } = inputMode === 'fixed'
+        ? convert(csv, { mode: 'fixed', fixedColumns: layout, comment, skipLines, header: header === 'auto' ? 'auto' : header === 'yes', ...cellOptions })
+        : sheet
+          ? convertSheet(sheet.rows, { ...cellOptions, trim, skipLines: Math.max(0, sheetHeaderRow - 1), header: sheetHeaderRow > 0 })
+          : convert(csv, { mode: 'csv', ...dialectOptions(), ...cellOptions });
+      if (layoutUsed && layoutUsed !== layout) setFixedColumns(layoutUsed);
+      if (delim) {
+        setDelimiter(delim);
+        setDialect(used);
+      }
+      setDetection({ delimiterReport, headerRow });
+      setDiagnostics(found);
+      setColumnTypes(columns);
+      if (headers) setColumnMap(syncColumnMap(map, headers));
+      setPreviewRows(converted.slice(0, PREVIEW_ROWS));
+      const { objects, rowLines } = applyTransform(converted, stages, { rowLines: convertedLines });
+      setSchemaShape(inferShape(objects));
+      profileInWorker(objects);
+      if (!converted.length) {
+        setOutput("[]");
         setStatus("No rows detected. Make sure there's a header row.");
         return;
       }
-      const objects = convertRowsToObjects(rows, { parseNestedJSON, doUnmarshall, doInferTypes });
-      setJson(JSON.stringify(objects, null, 2));
-      setStatus(`Parsed ${objects.length} row(s) with delimiter "${delim.replace("\t", "\\t")}".`);
+      convertedRef.current = true;
+      const [text, note] = ddbOutput === 'plain' ? [serializeOutput(objects), ""] : marshallForOutput(objects, ddbOutput);
+      setOutput(text);
+      const read = layoutUsed ? `Parsed ${converted.length} row(s) in ${layoutUsed.length} fixed-width column(s)`
+        : sheet ? `Read ${converted.length} row(s) from sheet "${sheet.name}"` : `Parsed ${converted.length} row(s) with ${dialectLabel(used)}`;
+      setStatus(`${read}.${transformNote(converted.length, objects.length)}${note}` +
+        (found.length ? ` ${found.length} problem(s) found; see the list under the input.` : "") +
+        detectionNote({ delimiterReport, headerRow }) +
+        precisionNote(precisionLoss) +
+        applyValidation(schema, objects, { rowLines, columnSources }));
     } catch (e) {
+      if (e instanceof ParseError) {
+        setOutput('[]');
+        setDiagnostics(e.diagnostics);
+        setStatus("Error: " + e.message);
+        return;
+      }
       console.error(e);
       setStatus("Error: " + (e?.message || String(e)));
     }
   }
 
+  function encodingLabel(value) {
+    return ENCODINGS.find(e => e.value === value)?.label ?? value;
+  }
+
+  // Files are read as bytes so the encoding can be detected and changed afterwards.
+  async function loadFile(file) {
+    try {
+      setPastedTables(null);
+      if (isSpreadsheetName(file.name)) {
+        await loadWorkbook(file);
+        return;
+      }
+      setWorkbook(null);
+      const large = inputMode === 'csv' && file.size > LARGE_FILE_BYTES;
+      const head = new Uint8Array(await file.slice(0, ENCODING_SAMPLE_BYTES).arrayBuffer());
+      const detected = detectEncoding(head, { complete: file.size <= ENCODING_SAMPLE_BYTES });
+      const read = `as ${encodingLabel(detected.encoding)} (${detected.reason}${detected.bom ? ", removed" : ""})`;
+      setEncoding('auto');
+      if (large) {
+        setLoadedFile({ name: file.name, bytes: null, detected });
+        setLargeFile(file);
+        setCsv("");
+        setStatus(`${file.name} is ${formatBytes(file.size)}; it will be converted in the background, read ${read}.`);
+        return;
+      }
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      setLargeFile(null);
+      setLoadedFile({ name: file.name, bytes, detected });
+      setCsv(decodeBytes(bytes, detected.encoding));
+      setStatus(`Read ${file.name} ${read}.`);
+    } catch (e) {
+      setStatus("Error reading file: " + (e?.message || String(e)));
+    }
+  }
+
+  // Workbooks convert from their cells, so there is no text or encoding to show.
+  async function loadWorkbook(file) {
+    const book = await readWorkbook(new Uint8Array(await file.arrayBuffer()));
+    if (!book.sheets.length) throw new Error(`${file.name} has no worksheets`);
+    const first = Math.max(0, book.sheets.findIndex(s => !s.hidden));
+    setInputMode('csv');
+    setLargeFile(null);
+    setLoadedFile({ name: file.name, bytes: null, detected: null });
+    setWorkbook({ name: file.name, ...book });
+    selectSheet(book.sheets, first);
+    setStatus(`Read ${file.name}: ${book.sheets.length} sheet(s). Pick a sheet and header row, then Convert.`);
+  }
+
+  // The header row defaults to the sheet's first non-blank row.
+  function selectSheet(sheets, index) {
+    setSheetIndex(index);
+    setSheetHeaderRow(sheets[index].rows.findIndex(r => !isBlankRow(r)) + 1 || 1);
+  }
+
+  function clearWorkbook() {
+    setWorkbook(null);
+    setLoadedFile(null);
+    setStatus("");
+  }
+
+  // Re-decodes the loaded file without uploading it again.
+  function handleEncodingChange(value) {
+    setEncoding(value);
+    if (!loadedFile) return;
+    const chosen = value === 'auto' ? loadedFile.detected.encoding : value;
+    if (loadedFile.bytes) setCsv(decodeBytes(loadedFile.bytes, chosen));
+    setStatus(`${loadedFile.bytes ? "Re-read" : "Will read"} ${loadedFile.name} as ${encodingLabel(chosen)}.`);
+  }
+
+  // Spreadsheets and web pages copy a text/html table next to tab-separated text.
+  // The table keeps merged cells and line breaks in cells, so it is pasted as CSV
+  // in place of the text; without one the paste goes ahead as usual.
+  function handlePaste(e) {
+    if (inputMode !== 'csv') return;
+    const html = e.clipboardData?.getData("text/html");
+    if (!html || !/<table/i.test(html)) return;
+    const tables = parseHTMLTables(html);
+    if (!tables.length) return;
+    e.preventDefault();
+    const { selectionStart: start, selectionEnd: end } = e.currentTarget;
+    pasteTable(tables, 0, start, end);
+  }
+
+  // Puts table `index` of a paste into csv[start, end).
+  function pasteTable(tables, index, start, end) {
+    const table = tables[index];
+    const text = rowsToCSV(table.rows, { delimiter: autoDelim ? "," : delimiter });
+    setCsv(csv.slice(0, start) + text + csv.slice(end));
+    setLoadedFile(null);
+    setPastedTables(tables.length > 1 ? { tables, index, start, end: start + text.length } : null);
+    setStatus(`Pasted ${tableLabel(table, index)} from the clipboard's HTML` +
+      (tables.length > 1 ? `; ${tables.length} tables were copied, pick another under the input.` : "."));
+  }
+
+  function tableLabel(table, index) {
+    const size = `${table.rows.length} row(s) × ${table.rows[0].length} column(s)`;
+    return `${table.caption ? `"${table.caption}"` : `table ${index + 1}`} (${size})`;
+  }
+
   function handleFile(e) {
     const file = e.target.files?.[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = ev => setCsv(String(ev.target?.result || ""));
-    reader.readAsText(file);
+    loadFile(file);
+    e.target.value = "";
   }
 
   function handleDrop(e) {
     e.preventDefault();
     const file = e.dataTransfer.files?.[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = ev => setCsv(String(ev.target?.result || ""));
-    reader.readAsText(file);
+    loadFile(file);
+  }
+
+  // The schema view's text, or null when the output itself is shown.
+  function shownSchema() {
+    if (outputView !== 'schema' || !schemaShape) return null;
+    const format = SCHEMA_FORMATS.find(f => f.value === schemaFormat);
+    return { format, text: generateSchema(schemaShape, schemaFormat, { name: schemaName.trim() || "Row" }) };
+  }
+
+  // The profile view, like the schema view, is what Copy and Download save while it is shown.
+  function shownProfile() {
+    if (outputView !== 'profile' || !profile?.columns) return null;
+    return { format: PROFILE_FILE, text: JSON.stringify(profile, null, 2) };
   }
 
   function handleDownload() {
     try {
-      const name = `${randomName(16)}.json`;
-      const blob = new Blob([json], { type: "application/json;charset=utf-8" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = name;
-      // Safari needs the link in the DOM
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      setTimeout(() => URL.revokeObjectURL(url), 0);
+      const shown = shownSchema() ?? shownProfile();
+      if (shown) {
+        const name = outputFileName(loadedFile?.name, shown.format.extension);
+        downloadBlob(new Blob([shown.text], { type: `${shown.format.contentType};charset=utf-8` }), name);
+        setStatus(`Downloaded ${name}.`);
+        return;
+      }
+      const name = outputFileName(loadedFile?.name, outputKind.extension);
+      const blob = outputBlob || new Blob([output], { type: `${outputKind.contentType};charset=utf-8` });
+      downloadBlob(blob, name);
       setStatus(`Downloaded ${name}.`);
     } catch (e) {
       console.error(e);
@@ -351,9 +1035,56 @@ export default function App() {
     }
   }
 
+  // Saves the rows that passed ('valid') or failed ('rejected') the validation schema.
+  function handleDownloadValidated(which) {
+    const name = outputFileName(loadedFile?.name, `${which}.${outputKind.extension}`);
+    downloadBlob(validation[which], name);
+    setStatus(`Downloaded ${name}.`);
+  }
+
+  // The transform is live: once typing pauses, a valid pipeline re-runs the last
+  // pasted conversion. Nothing runs before a first Convert has produced rows, and
+  // large files wait for Convert, as each run reads the whole file.
+  useEffect(() => {
+    if (!convertedRef.current || largeFile || job || (!rowInput && inputMode !== 'ddb')) return;
+    const timer = setTimeout(() => {
+      try {
+        compilePipeline(transform);
+      } catch {
+        return; // shown under the pipeline box
+      }
+      handleConvert();
+    }, TRANSFORM_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [transform]);
+
+  async function handleSchemaFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const text = await file.text();
+      parseJSONSchema(text);
+      setValidationSchema(text);
+      setStatus(`Loaded the schema ${file.name}; rows are checked against it on Convert.`);
+    } catch (err) {
+      setStatus("Error loading schema: " + (err?.message || String(err)));
+    }
+  }
+
   async function handleCopy() {
-    const ok = await copyText(json);
-    setStatus(ok ? "Copied JSON to clipboard." : "Copy failed. Your browser may block clipboard access.");
+    const shown = shownSchema() ?? shownProfile();
+    if (shown) {
+      const ok = await copyText(shown.text);
+      setStatus(ok ? `Copied the ${shown.format.label} to clipboard.` : "Copy failed. Your browser may block clipboard access.");
+      return;
+    }
+    if (outputBlob) {
+      setStatus("Output is too large to copy; use Download instead.");
+      return;
+    }
+    const ok = await copyText(output);
+    setStatus(ok ? `Copied ${outputKind.extension.toUpperCase()} to clipboard.` : "Copy failed. Your browser may block clipboard access.");
   }
 
   function runTests() {
@@ -457,113 +1188,1157 @@ export default function App() {
       expected: [{ productId: "SKU123", details: { name: "Widget", price: 19.99, tags: ["hardware", "sale"] }, inStock: true }]
     });
 
-    const results = [];
-    for (const tc of cases) {
-      try {
-        if (tc.directDDB) {
-          const parsed = JSON.parse(tc.input);
-          const items = Array.isArray(parsed) ? parsed : [parsed];
-          const transformed = items.map(unmarshallDeep).map(coerceDeep);
-          const pass = deepEqual(transformed, tc.expected);
-          results.push({ name: tc.name, pass, out: transformed, expected: tc.expected });
-        } else {
-          const delim = detectDelimiterByStructure(tc.input);
-          const rows = parseCSV(tc.input, delim);
-          const out = convertRowsToObjects(rows, { parseNestedJSON: tc.parseNested, doUnmarshall: tc.unmarshall, doInferTypes: tc.infer });
-          const pass = deepEqual(out, tc.expected);
-          results.push({ name: tc.name + ` (d=${JSON.stringify(delim)})`, pass, out, expected: tc.expected });
-        }
-      } catch (err) {
-        results.push({ name: tc.name, pass: false, error: String(err) });
-      }
-    }
-    setTestResults(results);
-    setStatus(`Ran ${cases.length} test(s). ${results.filter(r => r.pass).length} passed, ${results.filter(r => !r.pass).length} failed.`);
-  }
+    cases.push({
+      name: "JSON → CSV dot-path flattening",
+      jsonToCsv: true,
+      input: '[{"id":1,"user":{"name":"A","zip":"02134"}},{"id":2,"extra":true}]',
+      delim: ",",
+      flatten: "dot",
+      expected: 'id,user.name,user.zip,extra\n1,A,02134,\n2,,,true'
+    });
 
-  return (
-    <div className="min-h-screen bg-gray-50 text-gray-900 p-6">
-      <div className="max-w-6xl mx-auto space-y-6">
-        <header className="flex items-center justify-between">
-          <h1 className="text-2xl font-bold">CSV → JSON Converter</h1>
-          <div className="text-sm text-gray-600">Runs locally in your browser. No upload.</div>
-        </header>
+    cases.push({
+      name: "JSON → CSV with a || delimiter quotes cells holding a |, so they round-trip",
+      jsonToCsv: true,
+      roundTrip: true,
+      input: '[{"a":"x|","b":"|y","c":"p|q"},{"a":"plain","b":"","c":"~|~"}]',
+      delim: "||",
+      flatten: "dot",
+      expected: [
+        { a: "x|", b: "|y", c: "p|q" },
+        { a: "plain", b: "", c: "~|~" }
+      ]
+    });
 
-        <section className="grid md:grid-cols-2 gap-6 items-stretch">
-          {/* Input side */}
-          <div className="bg-white rounded-2xl shadow p-4 flex flex-col">
-            <div className="flex items-center justify-between mb-2">
-              <h2 className="font-semibold">{inputMode === 'csv' ? 'Paste CSV' : 'Paste DDBJ'}</h2>
-              <div className="flex items-center gap-3 text-sm">
-                <div className="flex items-center gap-2 mr-4">
-                  <label className="inline-flex items-center gap-1">
-                    <input
-                      type="radio"
-                      name="mode"
-                      value="csv"
-                      className="accent-blue-600"
-                      checked={inputMode === 'csv'}
-                      onChange={() => setInputMode('csv')}
-                    />
-                    CSV
-                  </label>
-                  <label className="inline-flex items-center gap-1">
-                    <input
-                      type="radio"
-                      name="mode"
-                      value="ddb"
-                      className="accent-blue-600"
-                      checked={inputMode === 'ddb'}
+    cases.push({
+      name: "JSON → CSV keeps a nested object as a JSON cell when its dot path collides with a key",
+      jsonToCsv: true,
+      input: '[{"a.b":1,"a":{"b":2,"c":3},"x":{"y":4}}]',
+      delim: ",",
+      flatten: "dot",
+      expected: 'a.b,a,x.y\n1,"{""b"":2,""c"":3}",4'
+    });
+
+    cases.push({
+      name: "JSON → CSV round-trips through parseCSV",
+      jsonToCsv: true,
+      roundTrip: true,
+      input: '{"id":7,"note":"says \\"hi\\", twice\\nthen leaves","meta":{"tags":["a","b"]},"gone":null}\n{"id":8,"note":"plain","meta":{},"gone":false}',
+      delim: ",",
+      flatten: "json",
+      expected: [
+        { id: 7, note: 'says "hi", twice\nthen leaves', meta: { tags: ["a", "b"] }, gone: null },
+        { id: 8, note: "plain", meta: {}, gone: false }
+      ]
+    });
+
+    cases.push({
+      name: "marshall round-trips through unmarshallItem",
+      marshall: true,
+      input: { id: "SKU1", price: 19.99, qty: 0, ok: false, gone: null, tags: ["a", "b"], nums: [1, 2], dims: { w: 2, h: [], info: {} } },
+      detectSets: true,
+      expected: { id: "SKU1", price: 19.99, qty: 0, ok: false, gone: null, tags: ["a", "b"], nums: [1, 2], dims: { w: 2, h: [], info: {} } }
+    });
+
+    cases.push({
+      name: "marshall detects SS/NS only when asked",
+      marshall: true,
+      raw: true,
+      input: { tags: ["a", "b"], dup: ["x", "x"], nums: [1, 2] },
+      detectSets: true,
+      expected: { tags: { SS: ["a", "b"] }, dup: { L: [{ S: "x" }, { S: "x" }] }, nums: { NS: ["1", "2"] } }
+    });
+
+    cases.push({
+      name: "an item whose only attribute is named S round-trips instead of reading as an AV",
+      marshall: true,
+      input: { S: "x" },
+      expected: { S: "x" }
+    });
+
+    cases.push({
+      name: "an item whose only attribute is named M round-trips instead of reading as an AV",
+      marshall: true,
+      input: { M: { N: 1, tags: ["a"] } },
+      expected: { M: { N: 1, tags: ["a"] } }
+    });
+
+    cases.push({
+      name: "marshall writes N/NS digits out instead of exponent form",
+      marshall: true,
+      raw: true,
+      input: { big: 1e21, small: -1.5e-7, plain: 12.5, nums: [2.5e22, 1e-7] },
+      detectSets: true,
+      expected: { big: { N: "1000000000000000000000" }, small: { N: "-0.00000015" }, plain: { N: "12.5" }, nums: { NS: ["25000000000000000000000", "0.0000001"] } }
+    });
+
+    cases.push({
+      name: "BatchWriteItem chunks of 25",
+      batch: true,
+      input: Array.from({ length: 60 }, (_, i) => ({ id: i })),
+      expected: [25, 25, 10]
+    });
+
+    cases.push({
+      name: "streaming parser matches parseCSV across 1-char chunks",
+      chunked: true,
+      input: `a,b\r\n"x ""quoted"", y","multi\nline"\r\n"",end""\n"tail"`,
+      delim: ","
+    });
+
+    cases.push({
+      name: "streaming parser matches parseCSV with a multi-char delimiter, comments and escapes",
+      chunked: true,
+      input: `#c|x\n~|~a~|~b\n'it\\'s'~|~x~|y\n#~|~\n1~|~~|~2`,
+      delim: "~|~",
+      options: { quote: "'", escape: "\\", comment: "#" }
+    });
+
+    cases.push({
+      name: "dialect detection proposes single quotes and backslash escapes",
+      dialect: true,
+      input: `# generated\nid;name;note\n1;'Smith; J';'says \\'hi\\''\n2;'Doe';''`,
+      options: { comment: "#" },
+      expected: { delimiter: ";", quote: "'", escape: "\\" }
+    });
+
+    cases.push({
+      name: "delimiter report flags a close call",
+      dialect: true,
+      report: true,
+      input: `a,b;c\n1,2;3\n4,5;6`,
+      options: {},
+      expected: { delimiter: ",", close: true, runnerUp: ";" }
+    });
+
+    cases.push({
+      name: "headerless CSV detected and named col_1…col_n",
+      diagnose: true,
+      input: `1,Alice,2024-01-05\n2,Bob,2024-02-11`,
+      options: { header: 'auto' },
+      expected: {
+        objects: [ { col_1: 1, col_2: "Alice", col_3: "2024-01-05" }, { col_1: 2, col_2: "Bob", col_3: "2024-02-11" } ],
+        diagnostics: []
+      }
+    });
+
+    cases.push({
+      name: "text header over words of the same length stays the header by default",
+      diagnose: true,
+      input: `name,city\nJohn,Rome\nJane,Oslo`,
+      options: {},
+      expected: { objects: [ { name: "John", city: "Rome" }, { name: "Jane", city: "Oslo" } ], diagnostics: [] }
+    });
+
+    cases.push({
+      name: "text header over words of the same length stays the header when detected",
+      diagnose: true,
+      input: `name,city\nJohn,Rome\nJane,Oslo`,
+      options: { header: 'auto' },
+      expected: { objects: [ { name: "John", city: "Rome" }, { name: "Jane", city: "Oslo" } ], diagnostics: [] }
+    });
+
+    cases.push({
+      name: "dialect panel: skipped lines, comments, || delimiter, backslash escapes, trim",
+      diagnose: true,
+      input: `exported 2024-05-01\n# id||name\nid||name\n1||"O\\"Neil"\n2|| Bob `,
+      options: { delimiter: null, skipLines: 1, comment: "#", trim: true },
+      expected: {
+        objects: [ { id: 1, name: 'O"Neil' }, { id: 2, name: "Bob" } ],
+        diagnostics: []
+      }
+    });
+
+    cases.push({
+      name: "duplicate headers suffixed, blank ones named and reported",
+      diagnose: true,
+      input: `id,name,name, \n1,Ann,Lee,x`,
+      options: {},
+      expected: {
+        objects: [ { id: 1, name: "Ann", name_2: "Lee", col_4: "x" } ],
+        diagnostics: [ { kind: "blank-header", line: 1, column: 1 }, { kind: "duplicate-header", line: 1, column: 1 } ]
+      }
+    });
+
+    cases.push({
+      name: "duplicate headers collected into an array, also after a mapping rename",
+      diagnose: true,
+      input: `tag,tag,label\na,b,c`,
+      options: {
+        duplicateHeaders: "array",
+        columnMap: [ { source: "tag", name: "tag", type: "auto", drop: false }, { source: "label", name: "tag", type: "string", drop: false } ]
+      },
+      expected: {
+        objects: [ { tag: ["a", "b", "c"] } ],
+        diagnostics: [ { kind: "duplicate-header", line: 1, column: 1 }, { kind: "duplicate-header", line: 1, column: 1 } ]
+      }
+    });
+
+    cases.push({
+      name: "strict mode keeps a stray quote and reports it",
+      diagnose: true,
+      input: `a,b\n1,5" pipe\n2,ok`,
+      options: { strict: true },
+      expected: {
+        objects: [ { a: 1, b: '5" pipe' }, { a: 2, b: "ok" } ],
+        diagnostics: [ { kind: "stray-quote", line: 2, column: 4 } ]
+      }
+    });
+
+    cases.push({
+      name: "ragged rows reported, extra cells kept",
+      diagnose: true,
+      input: `a,b\n1\n2,3,4`,
+      options: { extraCells: "keep" },
+      expected: {
+        objects: [ { a: 1, b: "" }, { a: 2, b: 3, _extra_1: 4 } ],
+        diagnostics: [ { kind: "ragged-row", line: 2, column: 1 }, { kind: "extra-columns", line: 3, column: 1 } ]
+      }
+    });
+
+    cases.push({
+      name: "unterminated quote reported at its opening",
+      diagnose: true,
+      input: `a,b\n1,"open\n2,3`,
+      options: {},
+      expected: {
+        objects: [ { a: 1, b: "open\n2,3" } ],
+        diagnostics: [ { kind: "unterminated-quote", line: 2, column: 3 } ]
+      }
+    });
+
+    cases.push({
+      name: "column inference keeps ZIPs and big ids, nulls N/A",
+      columnTypes: true,
+      input: `zip,id,amt,day\n02134,1234567890123456789,1.5,2024-01-02\n10001,7,N/A,2024-02-03`,
+      options: { inferBy: "column" },
+      expected: {
+        objects: [
+          { zip: "02134", id: "1234567890123456789", amt: 1.5, day: "2024-01-02" },
+          { zip: "10001", id: "7", amt: null, day: "2024-02-03" }
+        ],
+        types: ["string", "string", "decimal", "date"]
+      }
+    });
+
+    cases.push({
+      name: "column inference can keep only odd values as text",
+      columnTypes: true,
+      input: `zip\n02134\n10001`,
+      options: { inferBy: "column", preserve: "value" },
+      expected: { objects: [ { zip: "02134" }, { zip: 10001 } ], types: ["integer"] }
+    });
+
+    cases.push({
+      name: "DDB numbers: safe keeps digits only when needed",
+      directDDB: true,
+      options: { numbers: "safe" },
+      input: '{"id":{"N":"12345678901234567890"},"price":{"N":"19.90"},"note":{"S":"42"}}',
+      expected: [ { id: "12345678901234567890", price: 19.9, note: 42 } ]
+    });
+
+    cases.push({
+      name: "DDB numbers: decimal mode tags every N",
+      directDDB: true,
+      options: { numbers: "decimal" },
+      input: '[{"a":{"N":"0.1"},"ns":{"NS":["1","2"]}}]',
+      expected: [ { a: { $numberDecimal: "0.1" }, ns: [ { $numberDecimal: "1" }, { $numberDecimal: "2" } ] } ]
+    });
+
+    cases.push({
+      name: "DDB binary decoded as hex and UTF-8",
+      directDDB: true,
+      options: { binary: "utf8" },
+      input: '{"txt":{"B":"aGk="},"raw":{"B":"/w=="},"bs":{"BS":["aGk="]}}',
+      expected: [ { txt: "hi", raw: "/w==", bs: ["hi"] } ]
+    });
+
+    cases.push({
+      name: "DDB S3 export JSON Lines unwrap Item",
+      ddbExport: true,
+      input: '{"Item":{"pk":{"S":"a"},"n":{"N":"1"}}}\n{"Item":{"pk":{"S":"b"},"n":{"N":"2"}}}',
+      expected: { format: "export", objects: [ { pk: "a", n: 1 }, { pk: "b", n: 2 } ] }
+    });
+
+    cases.push({
+      name: "DDB scan pages unwrap Items and sum Count",
+      ddbExport: true,
+      input: '{"Items":[{"pk":{"S":"a"}}],"Count":1,"LastEvaluatedKey":{"pk":{"S":"a"}}}\n{"Items":[{"pk":{"S":"b"}}],"Count":1}',
+      expected: { format: "scan", count: 2, objects: [ { pk: "a" }, { pk: "b" } ] }
+    });
+
+    cases.push({
+      name: "DDB Streams records as field-level changes",
+      ddbExport: true,
+      options: { streamOutput: "changes" },
+      input: JSON.stringify({ Records: [
+        { eventName: "MODIFY", dynamodb: { Keys: { pk: { S: "a" } }, OldImage: { pk: { S: "a" }, qty: { N: "1" }, addr: { M: { city: { S: "Oslo" } } } }, NewImage: { pk: { S: "a" }, qty: { N: "2" }, addr: { M: { city: { S: "Bergen" } } }, tag: { S: "x" } } } },
+        { eventName: "REMOVE", dynamodb: { Keys: { pk: { S: "b" } } } }
+      ] }),
+      expected: {
+        format: "stream",
+        objects: [
+          { eventName: "MODIFY", keys: { pk: "a" }, changes: [
+            { path: "qty", change: "changed", old: 1, new: 2 },
+            { path: "addr.city", change: "changed", old: "Oslo", new: "Bergen" },
+            { path: "tag", change: "added", new: "x" }
+          ] },
+          { eventName: "REMOVE", keys: { pk: "b" }, changes: null }
+        ]
+      }
+    });
+
+    cases.push({
+      name: "path headers build nested objects and arrays",
+      diagnose: true,
+      input: `id,address.city,address.zip,tags[0],tags[1],meta\n1,Oslo,0150,a,,"{""x"":1}"\n2,Bergen,5003,b,c,`,
+      options: { unflatten: true, inferBy: "column" },
+      expected: {
+        objects: [
+          { id: 1, address: { city: "Oslo", zip: "0150" }, tags: ["a"], meta: { x: 1 } },
+          { id: 2, address: { city: "Bergen", zip: "5003" }, tags: ["b", "c"], meta: null }
+        ],
+        diagnostics: []
+      }
+    });
+
+    cases.push({
+      name: "an array index past MAX_PATH_INDEX stays part of an ordinary key",
+      diagnose: true,
+      input: `id,a[99999999999],b.c[10000],d[2]\n1,x,y,z`,
+      options: { unflatten: true },
+      expected: {
+        objects: [ { id: 1, "a[99999999999]": "x", b: { "c[10000]": "y" }, d: [null, null, "z"] } ],
+        diagnostics: []
+      }
+    });
+
+    cases.push({
+      name: "a __proto__ path segment is an ordinary key, not the prototype",
+      diagnose: true,
+      input: `id,__proto__.x,a.__proto__\n1,kept,too`,
+      options: { unflatten: true },
+      expected: {
+        objects: [ { id: 1, ["__proto__"]: { x: "kept" }, a: { ["__proto__"]: "too" } } ],
+        diagnostics: []
+      }
+    });
+
+    cases.push({
+      name: "path header collisions follow the chosen rule",
+      diagnose: true,
+      input: `a__b,a,a__c\n1,2,3`,
+      options: { unflatten: true, pathSeparator: "__", collision: "nested" },
+      expected: {
+        objects: [ { a: { b: 1, c: 3 } } ],
+        diagnostics: [ { kind: "header-collision", line: 1, column: 1 } ]
+      }
+    });
+
+    cases.push({
+      name: "UTF-8 BOM stripped from the first header",
+      encoding: true,
+      input: [0xef, 0xbb, 0xbf, ...new TextEncoder().encode("id,name\n1,Zoë")],
+      expected: { encoding: "utf-8", objects: [ { id: 1, name: "Zoë" } ] }
+    });
+
+    cases.push({
+      name: "Windows-1252 bytes detected and decoded",
+      encoding: true,
+      input: [0x6e, 0x61, 0x6d, 0x65, 0x0a, 0x4a, 0x6f, 0x73, 0xe9, 0x20, 0x96, 0x20, 0x80, 0x35],
+      expected: { encoding: "windows-1252", objects: [ { name: "José – €5" } ] }
+    });
+
+    cases.push({
+      name: "UTF-16LE without a BOM detected",
+      encoding: true,
+      input: Array.from("a,b\n1,ü", c => [c.charCodeAt(0), 0]).flat(),
+      expected: { encoding: "utf-16le", objects: [ { a: 1, b: "ü" } ] }
+    });
+
+    cases.push({
+      name: "column mapping renames, drops, reorders and retypes",
+      diagnose: true,
+      input: `id,zip,ok,notes\n1,0150,yes,\n2,5003,no,x`,
+      options: {
+        columnMap: [
+          { source: "zip", name: "postcode", type: "string", drop: false },
+          { source: "id", name: "id", type: "auto", drop: false },
+          { source: "ok", name: "active", type: "boolean", drop: false },
+          { source: "notes", name: "notes", type: "auto", drop: true }
+        ]
+      },
+      expected: {
+        objects: [ { postcode: "0150", id: 1, active: true }, { postcode: "5003", id: 2, active: false } ],
+        diagnostics: []
+      }
+    });
+
+    cases.push({
+      name: "YAML output quotes strings that would read as other types",
+      output: { format: "yaml" },
+      options: { inferBy: "column" },
+      input: `id,zip,ok,tags\n1,02134,yes,"[""a"",""b""]"\n2,10001,maybe,[]`,
+      expected: `- id: 1\n  zip: "02134"\n  ok: "yes"\n  tags:\n    - a\n    - b\n- id: 2\n  zip: "10001"\n  ok: maybe\n  tags: []\n`
+    });
+
+    cases.push({
+      name: "minified XML escapes values and renames invalid element names",
+      output: { format: "xml", indent: 0 },
+      input: `id,unit price\n1,<5 & up`,
+      expected: `<?xml version="1.0" encoding="UTF-8"?><rows><row><id>1</id><unit_price name="unit price">&lt;5 &amp; up</unit_price></row></rows>\n`
+    });
+
+    cases.push({
+      name: "keyed output collects rows sharing a key",
+      output: { format: "keyed", keyBy: "sku", duplicateKeys: "array", indent: 0 },
+      input: `sku,qty\nA1,2\nB2,1\nA1,5`,
+      expected: `{"A1":[{"sku":"A1","qty":2},{"sku":"A1","qty":5}],"B2":[{"sku":"B2","qty":1}]}`
+    });
+
+    cases.push({
+      name: "SQL output types columns, keeps JSON cells as JSONB and writes null as NULL",
+      output: { format: "sql", sqlTable: "orders", primaryKey: "id", batchSize: 2 },
+      input: `id,total,paid,meta,note\n1,9.5,true,"{""a"":1}",null\n2,3,false,null,x\n3,4,true,[],y`,
+      expected: `CREATE TABLE "orders" (\n  "id" INTEGER NOT NULL,\n  "total" NUMERIC NOT NULL,\n  "paid" BOOLEAN NOT NULL,\n  "meta" JSONB,\n  "note" TEXT,\n  PRIMARY KEY ("id")\n);\n\n` +
+        `INSERT INTO "orders" ("id", "total", "paid", "meta", "note") VALUES\n  (1, 9.5, TRUE, '{"a":1}'::jsonb, NULL),\n  (2, 3, FALSE, NULL, 'x');\n\n` +
+        `INSERT INTO "orders" ("id", "total", "paid", "meta", "note") VALUES\n  (3, 4, TRUE, '[]'::jsonb, 'y');\n`
+    });
+
+    cases.push({
+      name: "SQL output writes blank cells as NULL in typed columns and '' in text ones",
+      output: { format: "sql", sqlTable: "t" },
+      input: `n,ok,day,note\n1,true,2024-03-01,a\n,,,b\n3,false,2024-03-02,`,
+      expected: `CREATE TABLE "t" (\n  "n" INTEGER,\n  "ok" BOOLEAN,\n  "day" DATE,\n  "note" TEXT NOT NULL\n);\n\n` +
+        `INSERT INTO "t" ("n", "ok", "day", "note") VALUES\n  (1, TRUE, '2024-03-01', 'a'),\n  (NULL, NULL, NULL, 'b'),\n  (3, FALSE, '2024-03-02', '');\n`
+    });
+
+    cases.push({
+      name: "SQL output of a transform that keeps no rows is a comment, not an error",
+      output: { format: "sql", sqlTable: "t" },
+      options: { transform: "where n > 10" },
+      input: `n\n1\n2`,
+      expected: `-- No rows: nothing to create or insert into "t"\n`
+    });
+
+    cases.push({
+      name: "SQL output types a column with an impossible date as text and MySQL decimals as DECIMAL",
+      output: { format: "sql", sqlDialect: "mysql", sqlTable: "t" },
+      input: `day,price\n2024-02-29,19.99\n2024-02-31,1234.5`,
+      expected: "CREATE TABLE `t` (\n  `day` VARCHAR(255) NOT NULL,\n  `price` DECIMAL(6,2) NOT NULL\n);\n\n" +
+        "INSERT INTO `t` (`day`, `price`) VALUES\n  ('2024-02-29', 19.99),\n  ('2024-02-31', 1234.5);\n"
+    });
+
+    cases.push({
+      name: "SQL output escapes quotes and MySQL backslashes",
+      output: { format: "sql", sqlDialect: "mysql", sqlTable: "t" },
+      input: `name,n\n"O'Neil \\ co",1\nx,two`,
+      expected: "CREATE TABLE `t` (\n  `name` VARCHAR(255) NOT NULL,\n  `n` VARCHAR(255) NOT NULL\n);\n\n" +
+        "INSERT INTO `t` (`name`, `n`) VALUES\n  ('O''Neil \\\\ co', '1'),\n  ('x', 'two');\n"
+    });
+
+    cases.push({
+      name: "NDJSON output has one compact object per line",
+      output: { format: "ndjson" },
+      input: `a,b\n1,"x,y"\n2,`,
+      expected: `{"a":1,"b":"x,y"}\n{"a":2,"b":""}\n`
+    });
+
+    cases.push({
+      name: "transform filters, computes, projects nested fields, sorts and limits",
+      output: { format: "json", indent: 0 },
+      options: { transform: `where status == "paid" and total > 10 | set net = total - fee | select id, customer.city as city, net | sort net desc | limit 2` },
+      input: `id,status,total,fee,customer\n1,paid,50,5,"{""city"":""Oslo""}"\n2,open,90,0,"{""city"":""Rome""}"\n3,paid,20,1,{}\n4,paid,8,0,null\n5,paid,70,20,"{""city"":""Bern""}"`,
+      expected: `[{"id":5,"city":"Bern","net":50},{"id":1,"city":"Oslo","net":45}]`
+    });
+
+    cases.push({
+      name: "transform groups rows with count, sum, min and max",
+      output: { format: "ndjson" },
+      options: { transform: "group by region with count() as orders, sum(total) as total, min(day), max(day)" },
+      input: `region,total,day\nEU,5,2024-01-03\nUS,7,2024-01-01\nEU,2.5,2024-01-02\n,1,2024-01-09`,
+      expected: `{"region":"EU","orders":2,"total":7.5,"min(day)":"2024-01-02","max(day)":"2024-01-03"}\n` +
+        `{"region":"US","orders":1,"total":7,"min(day)":"2024-01-01","max(day)":"2024-01-01"}\n` +
+        `{"region":"","orders":1,"total":1,"min(day)":"2024-01-09","max(day)":"2024-01-09"}\n`
+    });
+
+    cases.push({
+      name: "TypeScript schema merges optional fields, unions and nested JSON",
+      schema: "typescript",
+      input: `id,code,meta\n1,7,"{""tags"":[""a""]}"\n2,x7,null\n3,9,"{""tags"":[],""note"":""n""}"`,
+      expected: `export interface Row {\n  id: number;\n  code: string | number;\n  meta: RowMeta | null;\n}\n\nexport interface RowMeta {\n  tags: string[];\n  note?: string;\n}\n`
+    });
+
+    cases.push({
+      name: "JSON Schema lists required fields and nullable types",
+      schema: "json-schema",
+      input: `id,price\n1,2.5\n2,null`,
+      expected: { $schema: "https://json-schema.org/draft/2020-12/schema", title: "Row", type: "object",
+        properties: { id: { type: "integer" }, price: { type: ["number", "null"] } }, required: ["id", "price"] }
+    });
+
+    cases.push({
+      name: "schema failures point at the CSV line and column",
+      validate: { type: "object", required: ["id", "sku"], properties: { id: { type: "integer" }, qty: { minimum: 1 }, sku: { pattern: "^[A-Z]{2}\\d+$" } } },
+      input: `id,sku,qty\n1,AB1,2\n\nx,ab2,0\n3,CD3,1`,
+      expected: {
+        valid: 2,
+        rejected: 1,
+        errors: [
+          { row: 2, line: 4, path: "/id", keyword: "type", column: 1 },
+          { row: 2, line: 4, path: "/sku", keyword: "pattern", column: 2 },
+          { row: 2, line: 4, path: "/qty", keyword: "minimum", column: 3 }
+        ]
+      }
+    });
+
+    cases.push({
+      name: "schema checks nested paths from unflattened headers through $ref",
+      validate: {
+        type: "object",
+        properties: { address: { $ref: "#/$defs/address" }, tags: { type: "array", items: { enum: ["a", "b"] }, maxItems: 2 } },
+        $defs: { address: { type: "object", required: ["city"], additionalProperties: false, properties: { city: { minLength: 1 } } } }
+      },
+      options: { unflatten: true },
+      input: `address.city,address.zip,tags[0],tags[1]\nOslo,,a,b\n,0150,a,c`,
+      expected: {
+        valid: 0,
+        rejected: 2,
+        errors: [
+          { row: 1, line: 2, path: "/address/zip", keyword: "additionalProperties", column: 2 },
+          { row: 2, line: 3, path: "/address/city", keyword: "minLength", column: 1 },
+          { row: 2, line: 3, path: "/address/zip", keyword: "additionalProperties", column: 2 },
+          { row: 2, line: 3, path: "/tags/1", keyword: "enum", column: 4 }
+        ]
+      }
+    });
+
+    cases.push({
+      name: "fixed-width layout is suggested from alignment, right-aligned amounts included",
+      output: { format: "ndjson" },
+      options: { mode: "fixed" },
+      input: `ACCOUNT   NAME              AMOUNT  OPENED\n0001234   Jane Smith        120.50  2024-01-02\n0009876   Bob Lee          1000.00  2023-11-30\n\n0000042   Ann Brown           3.75  2022-05-09\n`,
+      expected: `{"ACCOUNT":1234,"NAME":"Jane Smith","AMOUNT":120.5,"OPENED":"2024-01-02"}\n` +
+        `{"ACCOUNT":9876,"NAME":"Bob Lee","AMOUNT":1000,"OPENED":"2023-11-30"}\n` +
+        `{"ACCOUNT":42,"NAME":"Ann Brown","AMOUNT":3.75,"OPENED":"2022-05-09"}\n`
+    });
+
+    cases.push({
+      name: "fixed-width layout names columns of headerless records, nested JSON parsed",
+      output: { format: "json", indent: 0 },
+      options: {
+        mode: "fixed",
+        header: false,
+        fixedColumns: [ { name: "code", start: 1, width: 4 }, { name: "flag", start: 6, width: 5 }, { name: "meta", start: 11, width: 12 } ]
+      },
+      input: `0042 true {"n":1}\n0007 falseignored`,
+      expected: `[{"code":42,"flag":true,"meta":{"n":1}},{"code":7,"flag":false,"meta":"ignored"}]`
+    });
+
+    cases.push({
+      name: "fixed-width text past a suggested layout's last column is reported, not silently cut",
+      diagnose: true,
+      options: { mode: "fixed" },
+      input: "id  name\n" + Array.from({ length: 50 }, (_, i) => `${String(i + 1).padEnd(4)}n${String(i + 1).padStart(3, "0")}`).join("\n") + "\n51  Alexandra",
+      expected: {
+        objects: [ ...Array.from({ length: 50 }, (_, i) => ({ id: i + 1, name: `n${String(i + 1).padStart(3, "0")}` })), { id: 51, name: "Alex" } ],
+        diagnostics: [ { kind: "extra-columns", line: 52, column: 9 } ]
+      }
+    });
+
+    cases.push({
+      name: "HTML clipboard tables keep merged cells and line breaks, nested tables apart",
+      html: true,
+      input: `<style>td{border:1px}</style><table><caption>Sales</caption><tr><th>Region<th colspan="2">Q1 &amp; Q2</tr>` +
+        `<tr><td rowspan="2">EU</td><td>1,5</td><td>Line one<br>Line "two"</td></tr><tr><td>7</td><td>&nbsp;</td></tr></table>` +
+        `<table><tr><td><p>Core</p><p>Platform</p><td>Ann <b>B</b>.\n  Smith<td><table><tr><td>inner</table></table>`,
+      expected: [
+        { caption: "Sales", rows: [ ["Region", "Q1 & Q2", "Q1 & Q2"], ["EU", "1,5", "Line one\nLine \"two\""], ["EU", "7", ""] ] },
+        { caption: null, rows: [ ["Core\nPlatform", "Ann B. Smith", ""] ] },
+        { caption: null, rows: [ ["inner"] ] }
+      ]
+    });
+
+    cases.push({
+      name: "pasted cells ending in | or ~ stay in their columns with a ~|~ delimiter",
+      html: true,
+      delim: "~|~",
+      input: `<table><tr><td>a|</td><td>~b</td><td>c~</td></tr><tr><td>|</td><td>~|</td><td>plain</td></tr></table>`,
+      expected: [ { caption: null, rows: [ ["a|", "~b", "c~"], ["|", "~|", "plain"] ] } ]
+    });
+
+    cases.push({
+      name: "300,000 rows convert without overflowing the call stack",
+      large: 300000,
+      expected: { rows: 300000, last: { id: 299999, name: "n299999" } }
+    });
+
+    cases.push({
+      name: "scan output with 200,000 Items unwraps without overflowing the call stack",
+      large: 200000,
+      options: { mode: 'ddb' },
+      expected: { rows: 200000, last: { id: 199999, name: "n199999" } }
+    });
+
+    cases.push({
+      name: "column profile counts fill, distinct values, type mix and ranges",
+      profile: { topN: 2 },
+      input: `id,amount,placed\n1,10.5,2024-03-01\n2,,2024-01-15T08:00:00\n3,4,null\n4,4,2024-02-01`,
+      expected: {
+        rows: 4,
+        columns: [
+          {
+            name: "id", filled: 4, nulls: 0, empty: 0, missing: 0, distinct: 4, distinctCapped: false,
+            top: [ { value: 1, count: 1 }, { value: 2, count: 1 } ], types: { integer: 4 },
+            number: { min: 1, max: 4, mean: 2.5 }, length: null, date: null, likelyKey: true
+          },
+          {
+            name: "amount", filled: 3, nulls: 0, empty: 1, missing: 0, distinct: 3, distinctCapped: false,
+            top: [ { value: 4, count: 2 }, { value: 10.5, count: 1 } ], types: { integer: 2, number: 1 },
+            number: { min: 4, max: 10.5, mean: 6.166666666666667 }, length: null, date: null, likelyKey: false
+          },
+          {
+            name: "placed", filled: 3, nulls: 1, empty: 0, missing: 0, distinct: 4, distinctCapped: false,
+            top: [ { value: "2024-03-01", count: 1 }, { value: "2024-01-15T08:00:00", count: 1 } ], types: { date: 2, datetime: 1 },
+            number: null, length: { min: 10, max: 19 }, date: { min: "2024-01-15T08:00:00", max: "2024-03-01" }, likelyKey: false
+          }
+        ]
+      }
+    });
+
+    cases.push({
+      name: "keyed diff matches rows on two columns and compares nested JSON cells",
+      compare: { keys: ["region", "id"], ignore: ["seen"], ignoreWhitespace: true, ignoreCase: true },
+      input: `region,id,name,meta,seen\nEU,1,Ann  Lee,"{""tags"":[""a""],""tier"":1}",mon\nEU,2,Bob,{},mon\nUS,1,Cy,{},mon`,
+      after: `region,id,name,meta,seen\neu,1,ann lee,"{""tags"":[""a"",""b""],""tier"":1}",tue\nUS,1,Cy,{},tue\nUS,2,Di,{},tue`,
+      expected: `change,region,id,field,before,after\nadded,US,2,,,"{""region"":""US"",""id"":2,""name"":""Di"",""meta"":{},""seen"":""tue""}"\n` +
+        `removed,EU,2,,"{""region"":""EU"",""id"":2,""name"":""Bob"",""meta"":{},""seen"":""mon""}",\n` +
+        `changed,EU,1,meta.tags,"[""a""]","[""a"",""b""]"`
+    });
+
+    cases.push({
+      name: "sheet rows keep native cell types below a title row",
+      sheet: [
+        ["Orders export", null, null, null],
+        ["id", "placed", "paid", "total"],
+        [1, "2024-03-01", true, 19.5],
+        [null, null, null, null],
+        ["0150", "2024-03-02T09:30:00", false, null]
+      ],
+      options: { skipLines: 1, columnMap: [ { source: "id", name: "id", type: "string", drop: false } ] },
+      expected: {
+        objects: [
+          { id: "1", placed: "2024-03-01", paid: true, total: 19.5 },
+          { id: "0150", placed: "2024-03-02T09:30:00", paid: false, total: "" }
+        ],
+        rowLines: [3, 5]
+      }
+    });
+
+    cases.push({
+      name: "preset settings round-trip through a URL hash",
+      presetHash: true,
+      input: { inputMode: "csv", delimiter: ";", autoDelim: false, tableName: "Orders – EU", columnMap: [ { source: "a", name: "A", type: "string", drop: false } ] },
+      expected: { inputMode: "csv", delimiter: ";", autoDelim: false, tableName: "Orders – EU", columnMap: [ { source: "a", name: "A", type: "string", drop: false } ] }
+    });
+
+    cases.push({
+      name: "preset settings drop unknown keys and bad values",
+      presetHash: true,
+      input: { inputMode: "xml", strict: "yes", csv: "id\n1", doInferTypes: false },
+      expected: { doInferTypes: false }
+    });
+
+    const results = [];
+    for (const tc of cases) {
+      try {
+        if (tc.presetHash) {
+          const out = settingsFromHash(settingsToHash(tc.input)).settings;
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.html) {
+          const out = parseHTMLTables(tc.input);
+          const delim = tc.delim ?? ",";
+          const roundTrip = out.every(t => deepEqual(parseCSV(rowsToCSV(t.rows, { delimiter: delim }), delim), t.rows));
+          results.push({ name: tc.name, pass: roundTrip && deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.large) {
+          const input = tc.options?.mode === 'ddb'
+            ? JSON.stringify({ Items: Array.from({ length: tc.large }, (_, i) => ({ id: { N: String(i) }, name: { S: `n${i}` } })) })
+            : "id,name\n" + Array.from({ length: tc.large }, (_, i) => `${i},n${i}`).join("\n");
+          const { objects } = convert(input, { delimiter: ",", ...tc.options });
+          const out = { rows: objects.length, last: objects[objects.length - 1] };
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.profile) {
+          const out = profileRows(convert(tc.input, { delimiter: "," }).objects, tc.profile);
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.compare) {
+          const diff = diffDatasets(convert(tc.input, { delimiter: "," }).objects, convert(tc.after, { delimiter: "," }).objects, tc.compare);
+          const out = formatDiff(diff, { format: 'csv' });
+          results.push({ name: tc.name, pass: out === tc.expected, out, expected: tc.expected });
+        } else if (tc.sheet) {
+          const { objects, rowLines } = convertSheet(tc.sheet, tc.options);
+          const out = { objects, rowLines };
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.output) {
+          const out = serializeObjects(convert(tc.input, { delimiter: ",", ...tc.options }).objects, tc.output);
+          results.push({ name: tc.name, pass: out === tc.expected, out, expected: tc.expected });
+        } else if (tc.schema) {
+          const text = generateSchema(inferShape(convert(tc.input, { delimiter: "," }).objects), tc.schema);
+          const out = tc.schema === 'json-schema' ? JSON.parse(text) : text;
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.validate) {
+          const { objects, rowLines, columnSources } = convert(tc.input, { delimiter: ",", ...tc.options });
+          const { report } = validateRows(objects, tc.validate, { rowLines, columnSources });
+          const errors = report.failures.flatMap(f => f.errors.map(e => ({ row: f.row, line: f.line, path: e.path, keyword: e.keyword, column: e.column })));
+          const out = { valid: report.valid, rejected: report.rejected, errors };
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.encoding) {
+          const bytes = new Uint8Array(tc.input);
+          const { encoding: found } = detectEncoding(bytes);
+          const out = { encoding: found, objects: convert(decodeBytes(bytes, found)).objects };
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.ddbExport) {
+          const { objects, envelope } = convert(tc.input, { mode: "ddb", ...tc.options });
+          const out = { format: envelope.format, ...("count" in tc.expected ? { count: envelope.count } : {}), objects };
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.columnTypes) {
+          const { objects, columns } = convert(tc.input, { delimiter: ",", ...tc.options });
+          const out = { objects, types: columns.map(c => c.type) };
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.diagnose) {
+          const { objects, diagnostics: found } = convert(tc.input, { delimiter: ",", ...tc.options });
+          const out = { objects, diagnostics: found.map(({ kind, line, column }) => ({ kind, line, column })) };
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.dialect) {
+          const { report, ...dialect } = detectDialect(tc.input, tc.options);
+          const out = tc.report ? { delimiter: dialect.delimiter, close: report.close, runnerUp: report.runnerUp } : dialect;
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.chunked) {
+          const parser = createCSVParser(tc.delim, tc.options);
+          const out = [];
+          for (const ch of tc.input) parser.push(ch, out);
+          parser.end(out);
+          const expected = parseCSV(tc.input, tc.delim, tc.options);
+          results.push({ name: tc.name, pass: deepEqual(out, expected), out, expected });
+        } else if (tc.marshall) {
+          const item = marshallItem(tc.input, { detectSets: tc.detectSets });
+          const out = tc.raw ? item : unmarshallItem(item);
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.batch) {
+          const batches = toBatchWriteRequests(tc.input.map(o => marshallItem(o)), "Orders");
+          const out = batches.map(b => b.RequestItems.Orders.length);
+          results.push({ name: tc.name, pass: deepEqual(out, tc.expected), out, expected: tc.expected });
+        } else if (tc.jsonToCsv) {
+          const out = objectsToCSV(parseJSONRecords(tc.input), { delimiter: tc.delim, flatten: tc.flatten });
+          if (tc.roundTrip) {
+            const back = convertRowsToObjects(parseCSV(out, tc.delim), { parseNestedJSON: true, doUnmarshall: false, doInferTypes: true });
+            results.push({ name: tc.name, pass: deepEqual(back, tc.expected), out: back, expected: tc.expected });
+          } else {
+            results.push({ name: tc.name, pass: out === tc.expected, out, expected: tc.expected });
+          }
+        } else if (tc.directDDB) {
+          const parsed = JSON.parse(tc.input);
+          const items = Array.isArray(parsed) ? parsed : [parsed];
+          const transformed = tc.options
+            ? items.map(item => unmarshallDeep(item, { ...tc.options, mapString: inferScalar }))
+            : items.map(item => coerceDeep(unmarshallDeep(item)));
+          const pass = deepEqual(transformed, tc.expected);
+          results.push({ name: tc.name, pass, out: transformed, expected: tc.expected });
+        } else {
+          const delim = detectDelimiterByStructure(tc.input);
+          const rows = parseCSV(tc.input, delim);
+          const out = convertRowsToObjects(rows, { parseNestedJSON: tc.parseNested, doUnmarshall: tc.unmarshall, doInferTypes: tc.infer });
+          const pass = deepEqual(out, tc.expected);
+          results.push({ name: tc.name + ` (d=${JSON.stringify(delim)})`, pass, out, expected: tc.expected });
+        }
+      } catch (err) {
+        results.push({ name: tc.name, pass: false, error: String(err) });
+      }
+    }
+    setTestResults(results);
+    setStatus(`Ran ${cases.length} test(s). ${results.filter(r => r.pass).length} passed, ${results.filter(r => !r.pass).length} failed.`);
+  }
+
+  // Ways to look at the result: its text, the column table (CSV input), the schema and the column profile
+  const showTable = rowInput && previewRows && columnMap;
+  const outputViews = [
+    { value: 'json', label: outputKind.extension.toUpperCase() },
+    ...(showTable ? [{ value: 'table', label: "Table" }] : []),
+    ...(schemaShape ? [{ value: 'schema', label: "Schema" }] : []),
+    ...(profile ? [{ value: 'profile', label: "Profile" }] : [])
+  ];
+  const schema = shownSchema();
+  let transformError = null;
+  try {
+    compilePipeline(transform);
+  } catch (e) {
+    transformError = e.message;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-900 p-6">
+      <div className="max-w-6xl mx-auto space-y-6">
+        <header className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold">CSV → JSON Converter</h1>
+          <div className="text-sm text-gray-600">Runs locally in your browser. No upload.</div>
+        </header>
+
+        <section className="bg-white rounded-2xl shadow p-3 flex flex-wrap items-center gap-2 text-sm">
+          <span className="font-medium mr-1">Presets</span>
+          <select
+            className="border rounded px-2 py-1"
+            value={presets.some(p => p.name === presetName) ? presetName : ""}
+            onChange={e => handleLoadPreset(e.target.value)}
+          >
+            <option value="" disabled>{presets.length ? "Load a preset…" : "No saved presets"}</option>
+            {presets.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+          </select>
+          <input
+            className="border rounded px-2 py-1 w-44"
+            value={presetName}
+            onChange={e => setPresetName(e.target.value)}
+            placeholder="Preset name"
+          />
+          <button onClick={handleSavePreset} className="px-3 py-1 rounded-lg border hover:bg-gray-50">Save</button>
+          <button
+            onClick={handleDeletePreset}
+            disabled={!presets.some(p => p.name === presetName.trim())}
+            className="px-3 py-1 rounded-lg border hover:bg-gray-50 disabled:text-gray-400"
+          >Delete</button>
+          <span className="mx-1 text-gray-300">|</span>
+          <button
+            onClick={handleExportPresets}
+            disabled={!presets.length}
+            className="px-3 py-1 rounded-lg border hover:bg-gray-50 disabled:text-gray-400"
+          >Export</button>
+          <button onClick={() => presetFileRef.current?.click()} className="px-3 py-1 rounded-lg border hover:bg-gray-50">Import</button>
+          <input ref={presetFileRef} type="file" accept=".json,application/json" hidden onChange={handleImportPresets} />
+          <button
+            onClick={handleCopyPresetLink}
+            className="px-3 py-1 rounded-lg border hover:bg-gray-50"
+            title="Copies a URL that reproduces the current settings; the input data is never included"
+          >Copy link</button>
+        </section>
+
+        <section className="grid md:grid-cols-2 gap-6 items-stretch">
+          {/* Input side */}
+          <div className="bg-white rounded-2xl shadow p-4 flex flex-col">
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="font-semibold">{inputMode === 'csv' ? 'Paste CSV' : inputMode === 'fixed' ? 'Paste fixed-width text' : inputMode === 'ddb' ? 'Paste DDBJ' : inputMode === 'compare' ? 'Paste before and after' : 'Paste JSON'}</h2>
+              <div className="flex items-center gap-3 text-sm">
+                <div className="flex items-center gap-2 mr-4">
+                  <label className="inline-flex items-center gap-1">
+                    <input
+                      type="radio"
+                      name="mode"
+                      value="csv"
+                      className="accent-blue-600"
+                      checked={inputMode === 'csv'}
+                      onChange={() => setInputMode('csv')}
+                    />
+                    CSV
+                  </label>
+                  <label className="inline-flex items-center gap-1">
+                    <input
+                      type="radio"
+                      name="mode"
+                      value="fixed"
+                      className="accent-blue-600"
+                      checked={inputMode === 'fixed'}
+                      onChange={() => setInputMode('fixed')}
+                    />
+                    Fixed width
+                  </label>
+                  <label className="inline-flex items-center gap-1">
+                    <input
+                      type="radio"
+                      name="mode"
+                      value="ddb"
+                      className="accent-blue-600"
+                      checked={inputMode === 'ddb'}
                       onChange={() => setInputMode('ddb')}
                     />
                     DDB JSON
                   </label>
+                  <label className="inline-flex items-center gap-1">
+                    <input
+                      type="radio"
+                      name="mode"
+                      value="json"
+                      className="accent-blue-600"
+                      checked={inputMode === 'json'}
+                      onChange={() => setInputMode('json')}
+                    />
+                    JSON → CSV
+                  </label>
+                  <label className="inline-flex items-center gap-1">
+                    <input
+                      type="radio"
+                      name="mode"
+                      value="marshall"
+                      className="accent-blue-600"
+                      checked={inputMode === 'marshall'}
+                      onChange={() => setInputMode('marshall')}
+                    />
+                    JSON → DDB
+                  </label>
+                  <label className="inline-flex items-center gap-1">
+                    <input
+                      type="radio"
+                      name="mode"
+                      value="compare"
+                      className="accent-blue-600"
+                      checked={inputMode === 'compare'}
+                      onChange={() => setInputMode('compare')}
+                    />
+                    Compare
+                  </label>
                 </div>
-                <label className="inline-flex items-center gap-2 cursor-pointer">
-                  <input
-                    type="checkbox"
-                    className="accent-blue-600"
-                    checked={autoDelim}
-                    onChange={e => setAutoDelim(e.target.checked)}
-                  />
-                  Auto-detect delimiter (structure-based)
-                </label>
-                {!autoDelim && (
+                {inputMode === 'compare' && (
+                  <select
+                    className="border rounded px-2 py-1"
+                    value={compareFormat}
+                    onChange={e => setCompareFormat(e.target.value)}
+                    title="How both datasets are read"
+                  >
+                    <option value="csv">Both CSV</option>
+                    <option value="ddb">Both DynamoDB JSON</option>
+                  </select>
+                )}
+                {inputMode === 'json' ? (
                   <select
                     className="border rounded px-2 py-1"
-                    value={delimiter}
-                    onChange={e => setDelimiter(e.target.value)}
+                    value={flattenMode}
+                    onChange={e => setFlattenMode(e.target.value)}
+                    title="How nested objects become columns"
                   >
-                    <option value=",">Comma (,)</option>
-                    <option value="\t">Tab (\t)</option>
-                    <option value=";">Semicolon (;)</option>
-                    <option value="|">Pipe (|)</option>
-                    <option value=":">Colon (:)</option>
+                    <option value="dot">Flatten to dot-path columns</option>
+                    <option value="json">Keep nested values as JSON cells</option>
                   </select>
+                ) : inputMode !== 'fixed' && !(inputMode === 'compare' && compareFormat === 'ddb') && (
+                  <label className="inline-flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      className="accent-blue-600"
+                      checked={autoDelim}
+                      onChange={e => setAutoDelim(e.target.checked)}
+                    />
+                    Auto-detect delimiter (structure-based)
+                  </label>
+                )}
+                {((!autoDelim && inputMode !== 'fixed' && !(inputMode === 'compare' && compareFormat === 'ddb')) || inputMode === 'json') && (
+                  <>
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={DELIMITER_CHOICES.some(c => c.value === delimiter) ? delimiter : 'other'}
+                      onChange={e => setDelimiter(e.target.value === 'other' ? "" : e.target.value)}
+                    >
+                      {DELIMITER_CHOICES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                      <option value="other">Other…</option>
+                    </select>
+                    {!DELIMITER_CHOICES.some(c => c.value === delimiter) && (
+                      <input
+                        className="border rounded px-2 py-1 w-20 font-mono"
+                        value={delimiter.replace(/\t/g, "\\t")}
+                        onChange={e => setDelimiter(e.target.value.replace(/\\t/g, "\t"))}
+                        placeholder="e.g. ##"
+                        title="Any string of one or more characters; type \t for a tab"
+                      />
+                    )}
+                  </>
                 )}
               </div>
             </div>
 
-            <textarea
-              value={csv}
-              onChange={e => setCsv(e.target.value)}
-              placeholder={inputMode === 'csv' ? `header1,header2,header3\nvalue1,"{""a"":1}",value3` : '{"productId":{"S":"SKU123"},"details":{"M":{"name":{"S":"Widget"},"price":{"N":"19.99"},"tags":{"L":[{"S":"hardware"},{"S":"sale"}]}}},"inStock":{"BOOL":true}}'}
-              className="flex-1 border rounded-xl p-3 font-mono text-sm min-h-[240px] resize-y"
-            />
+            {inputMode === 'csv' && workbook ? (
+              <div className="flex-1 border rounded-xl p-3 text-sm min-h-[240px] bg-gray-50 flex flex-col items-center justify-center gap-3 text-center">
+                <div className="font-mono">{workbook.name} — {workbook.format === 'ods' ? "OpenDocument spreadsheet" : "Excel workbook"}</div>
+                <div className="flex flex-wrap items-center justify-center gap-3">
+                  <label className="flex items-center gap-2">
+                    <span>Sheet</span>
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={sheetIndex}
+                      onChange={e => selectSheet(workbook.sheets, Number(e.target.value))}
+                    >
+                      {workbook.sheets.map((s, i) => (
+                        <option key={i} value={i}>{s.name}{s.hidden ? " (hidden)" : ""} — {s.rows.length} row(s)</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2" title="Sheet row holding the column names; rows above it are skipped. 0 reads every row as data with col_1, col_2, … names">
+                    <span>Header row</span>
+                    <input
+                      type="number"
+                      min={0}
+                      className="border rounded px-2 py-1 w-20"
+                      value={sheetHeaderRow}
+                      onChange={e => setSheetHeaderRow(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    />
+                  </label>
+                </div>
+                <div className="text-gray-600">Numbers, booleans and dates keep the types they have in the sheet; formulas give their last calculated value.</div>
+                <button
+                  onClick={clearWorkbook}
+                  className="underline text-blue-600 hover:text-blue-800"
+                >Clear file</button>
+              </div>
+            ) : inputMode === 'csv' && largeFile ? (
+              <div className="flex-1 border rounded-xl p-3 text-sm min-h-[240px] bg-gray-50 flex flex-col items-center justify-center gap-2 text-center">
+                <div className="font-mono">{largeFile.name} — {formatBytes(largeFile.size)}</div>
+                <div className="text-gray-600">Too large to show here. <b>Convert</b> streams it through a background worker.</div>
+                <button
+                  onClick={() => { setLargeFile(null); setLoadedFile(null); setStatus(""); }}
+                  disabled={!!job}
+                  className="underline text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                >Clear file</button>
+              </div>
+            ) : (
+              <textarea
+                ref={textareaRef}
+                value={csv}
+                onChange={e => { setCsv(e.target.value); setLoadedFile(null); setPastedTables(null); }}
+                onPaste={handlePaste}
+                placeholder={inputMode === 'compare' ? `Before${compareFormat === 'ddb' ? ", as DynamoDB JSON items" : ""}, e.g.\nid,name,city\n1,Alice,Oslo\n2,Bob,Turin` : inputMode === 'csv' ? `header1,header2,header3\nvalue1,"{""a"":1}",value3` : inputMode === 'fixed' ? `ACCOUNT   NAME          AMOUNT\n0001234   Jane Smith    120.50` : inputMode === 'json' || inputMode === 'marshall' ? '[{"id":1,"name":"Alice","address":{"city":"Tallahassee","zip":"32301"},"tags":["a","b"]}]' : '{"productId":{"S":"SKU123"},"details":{"M":{"name":{"S":"Widget"},"price":{"N":"19.99"},"tags":{"L":[{"S":"hardware"},{"S":"sale"}]}}},"inStock":{"BOOL":true}}'}
+                className="flex-1 border rounded-xl p-3 font-mono text-sm min-h-[240px] resize-y"
+              />
+            )}
+
+            {inputMode === 'compare' && (
+              <textarea
+                value={afterText}
+                onChange={e => setAfterText(e.target.value)}
+                placeholder={`After${compareFormat === 'ddb' ? ", as DynamoDB JSON items" : ""}, e.g.\nid,name,city\n1,Alice,Bergen\n3,Carol,Lyon`}
+                className="mt-3 flex-1 border rounded-xl p-3 font-mono text-sm min-h-[240px] resize-y"
+              />
+            )}
+
+            {inputMode === 'csv' && pastedTables && (
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-600">The paste held {pastedTables.tables.length} tables:</span>
+                <select
+                  className="border rounded px-2 py-1"
+                  value={pastedTables.index}
+                  onChange={e => pasteTable(pastedTables.tables, Number(e.target.value), pastedTables.start, pastedTables.end)}
+                >
+                  {pastedTables.tables.map((t, i) => <option key={i} value={i}>{tableLabel(t, i)}</option>)}
+                </select>
+              </div>
+            )}
+
+            {inputMode === 'fixed' && (
+              <FixedWidthEditor
+                text={csv}
+                columns={fixedColumns}
+                onChange={handleFixedColumnsChange}
+                skipLines={skipLines}
+                comment={comment}
+              />
+            )}
+
+            {loadedFile?.detected && (
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-600">Encoding of {loadedFile.name}:</span>
+                <select
+                  className="border rounded px-2 py-1"
+                  value={encoding}
+                  onChange={e => handleEncodingChange(e.target.value)}
+                  disabled={!!job}
+                  title="Pick another encoding if characters look garbled; the file is decoded again"
+                >
+                  <option value="auto">Auto: {encodingLabel(loadedFile.detected.encoding)}</option>
+                  {ENCODINGS.map(e => (
+                    <option key={e.value} value={e.value}>{e.label}</option>
+                  ))}
+                </select>
+                <span className="text-gray-500">{loadedFile.detected.reason}{loadedFile.detected.bom ? "; BOM removed" : ""}</span>
+              </div>
+            )}
+
+            {diagnostics.length > 0 && (
+              <div className="mt-3 border border-amber-300 bg-amber-50 rounded-xl p-3 text-sm">
+                <div className="font-medium mb-1">
+                  {diagnostics.length}{diagnostics.length >= MAX_DIAGNOSTICS ? "+" : ""} problem(s) in the input
+                </div>
+                <ul className="max-h-40 overflow-auto space-y-0.5 font-mono text-xs">
+                  {diagnostics.map((d, i) => (
+                    <li key={i}>
+                      {largeFile || workbook ? (
+                        <span>line {d.line}, col {d.column}</span>
+                      ) : (
+                        <button
+                          onClick={() => jumpToDiagnostic(d)}
+                          className="underline text-blue-600 hover:text-blue-800"
+                        >line {d.line}, col {d.column}</button>
+                      )}
+                      {" "}<span className="text-gray-500">[{d.kind}, row {d.row}]</span> {d.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
 
             <div
               onDrop={handleDrop}
               onDragOver={e => e.preventDefault()}
               className="mt-3 border-2 border-dashed rounded-xl p-4 text-center text-sm text-gray-600 hover:bg-gray-50"
             >
-              Drag & drop a .csv file here, or
+              Drag & drop a {inputMode === 'json' || inputMode === 'marshall' ? '.json / .ndjson' : inputMode === 'fixed' ? '.txt / .dat' : '.csv, .xlsx or .ods'} file here, or
               <button
                 onClick={() => fileInputRef.current?.click()}
                 className="ml-1 underline text-blue-600 hover:text-blue-800"
               >browse</button>
-              <input ref={fileInputRef} type="file" accept=".csv,text/csv" hidden onChange={handleFile} />
+              <input ref={fileInputRef} type="file" accept={inputMode === 'json' || inputMode === 'marshall' ? ".json,.ndjson,.jsonl,application/json" : inputMode === 'fixed' ? ".txt,.dat,.prn,text/plain" : ".csv,text/csv,.xlsx,.ods,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.oasis.opendocument.spreadsheet"} hidden onChange={handleFile} />
             </div>
 
+            {(rowInput || inputMode === 'ddb') && (
+              <details className="mt-3 text-sm" open={!!validationSchema}>
+                <summary className="cursor-pointer font-medium">
+                  Validate against a JSON Schema{validationSchema.trim() ? " (on)" : ""}
+                </summary>
+                <textarea
+                  className="mt-2 w-full h-32 border rounded-xl p-2 font-mono text-xs"
+                  value={validationSchema}
+                  onChange={e => setValidationSchema(e.target.value)}
+                  placeholder={'{ "type": "object", "required": ["id"], "properties": { "id": { "type": "integer" } } }'}
+                  spellCheck={false}
+                />
+                <div className="mt-1 flex items-center gap-2">
+                  <button onClick={() => schemaFileRef.current?.click()} className="px-3 py-1 rounded-lg border hover:bg-gray-50">Load schema…</button>
+                  <button
+                    onClick={() => setValidationSchema('')}
+                    disabled={!validationSchema}
+                    className="px-3 py-1 rounded-lg border hover:bg-gray-50 disabled:text-gray-400"
+                  >Clear</button>
+                  <input ref={schemaFileRef} type="file" accept=".json,application/json,application/schema+json" hidden onChange={handleSchemaFile} />
+                  <span className="text-xs text-gray-600">Each converted row is checked on Convert.</span>
+                </div>
+              </details>
+            )}
+
+            {(rowInput || inputMode === 'ddb') && (
+              <details className="mt-3 text-sm" open={!!transform}>
+                <summary className="cursor-pointer font-medium">
+                  Query and transform{transform.trim() ? " (on)" : ""}
+                </summary>
+                <textarea
+                  className="mt-2 w-full h-20 border rounded-xl p-2 font-mono text-xs"
+                  value={transform}
+                  onChange={e => setTransform(e.target.value)}
+                  placeholder={'where total > 100 and status == "paid" | select id, customer.name as name, total | sort total desc | limit 10'}
+                  spellCheck={false}
+                />
+                {transformError ? (
+                  <div className="mt-1 text-xs text-red-600">{transformError}</div>
+                ) : (
+                  <div className="mt-1 text-xs text-gray-600">
+                    Stages, separated by <code>|</code>: <code>where</code>, <code>select … as …</code>, <code>set name = …</code>,{" "}
+                    <code>rename … as …</code>, <code>drop</code>, <code>sort … desc</code>, <code>limit</code>,{" "}
+                    <code>group by … with count(), sum(…), min(…), max(…)</code>. The result updates as you type.
+                  </div>
+                )}
+              </details>
+            )}
+
             <div className="mt-4 flex items-center justify-between">
               <div className="flex flex-col gap-2 text-sm">
                 <label className="inline-flex items-center gap-2">
@@ -575,6 +2350,41 @@ export default function App() {
                   />
                   Parse stringified JSON fields
                 </label>
+                {rowInput && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <label className="inline-flex items-center gap-2" title="Headers like address.city and tags[0] build nested objects and arrays">
+                      <input
+                        type="checkbox"
+                        className="accent-blue-600"
+                        checked={unflatten}
+                        onChange={e => setUnflatten(e.target.checked)}
+                      />
+                      Unflatten path headers
+                    </label>
+                    {unflatten && (
+                      <>
+                        <input
+                          className="border rounded px-2 py-1 w-12"
+                          value={pathSeparator}
+                          onChange={e => setPathSeparator(e.target.value)}
+                          title="Separator between keys in a header path; [n] always means an array index"
+                          placeholder="."
+                        />
+                        <select
+                          className="border rounded px-2 py-1"
+                          value={collision}
+                          onChange={e => setCollision(e.target.value)}
+                          title="When a header is both a value and a path parent, e.g. address and address.city"
+                        >
+                          <option value="flat">On collision: keep the path as a flat key</option>
+                          <option value="nested">On collision: nested path wins</option>
+                          <option value="scalar">On collision: scalar wins</option>
+                          <option value="error">On collision: stop with an error</option>
+                        </select>
+                      </>
+                    )}
+                  </div>
+                )}
                 <label className="inline-flex items-center gap-2">
                   <input
                     type="checkbox"
@@ -584,6 +2394,42 @@ export default function App() {
                   />
                   Unmarshall DynamoDB JSON (S/N/BOOL/L/M/…)
                 </label>
+                {doUnmarshall && inputMode !== 'marshall' && (
+                  <div className="flex flex-wrap items-center gap-2 ml-6">
+                    {inputMode === 'ddb' && (
+                      <select
+                        className="border rounded px-2 py-1"
+                        value={streamOutput}
+                        onChange={e => setStreamOutput(e.target.value)}
+                        title="Output for DynamoDB Streams / Lambda event records"
+                      >
+                        <option value="images">Stream records: item images</option>
+                        <option value="changes">Stream records: event, key and changes</option>
+                      </select>
+                    )}
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={numbers}
+                      onChange={e => setNumbers(e.target.value)}
+                      title="How N values are unmarshalled; DynamoDB keeps up to 38 digits, a JS number about 15-17"
+                    >
+                      <option value="number">Numbers as JS numbers</option>
+                      <option value="safe">Numbers as text when too precise</option>
+                      <option value="string">Numbers always as text</option>
+                      <option value="decimal">{'Numbers as {"$numberDecimal": …}'}</option>
+                    </select>
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={binary}
+                      onChange={e => setBinary(e.target.value)}
+                      title="How B/BS values are unmarshalled"
+                    >
+                      <option value="base64">Binary as base64</option>
+                      <option value="hex">Binary as hex</option>
+                      <option value="utf8">Binary as UTF-8 text</option>
+                    </select>
+                  </div>
+                )}
                 <label className="inline-flex items-center gap-2">
                   <input
                     type="checkbox"
@@ -593,12 +2439,319 @@ export default function App() {
                   />
                   Type inference (null/boolean/number)
                 </label>
+                {rowInput && doInferTypes && (
+                  <div className="flex flex-wrap items-center gap-2 ml-6">
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={inferBy}
+                      onChange={e => setInferBy(e.target.value)}
+                    >
+                      <option value="cell">Per cell</option>
+                      <option value="column">One type per column</option>
+                    </select>
+                    {inferBy === 'column' && (
+                      <>
+                        <input
+                          className="border rounded px-2 py-1 w-40"
+                          value={nullTokensText}
+                          onChange={e => setNullTokensText(e.target.value)}
+                          title="Comma-separated cell texts that mean null (empty cells always do)"
+                          placeholder="Null tokens"
+                        />
+                        <select
+                          className="border rounded px-2 py-1"
+                          value={preserve}
+                          onChange={e => setPreserve(e.target.value)}
+                          title="Numeric columns holding leading-zero or too-large integers"
+                        >
+                          <option value="column">Keep such columns as text</option>
+                          <option value="value">Keep only those values as text</option>
+                        </select>
+                      </>
+                    )}
+                  </div>
+                )}
+                {rowInput && (
+                  <div className="flex flex-wrap items-center gap-3">
+                    {inputMode === 'csv' && (
+                      <>
+                        <select
+                          className="border rounded px-2 py-1"
+                          value={quote}
+                          onChange={e => setQuote(e.target.value)}
+                          title="Character that wraps fields containing delimiters or newlines"
+                        >
+                          <option value="auto">Quote: auto{quote === 'auto' && dialect ? ` (${dialect.quote || "none"})` : ""}</option>
+                          <option value={'"'}>Quote: "</option>
+                          <option value="'">Quote: '</option>
+                          <option value="">No quoting</option>
+                        </select>
+                        <select
+                          className="border rounded px-2 py-1"
+                          value={escape}
+                          onChange={e => setEscape(e.target.value)}
+                          title="How a quote is written inside a quoted field"
+                        >
+                          <option value="auto">Escape: auto{escape === 'auto' && dialect ? ` (${dialect.escape || "doubled"})` : ""}</option>
+                          <option value="">Doubled quotes ("")</option>
+                          <option value={"\\"}>Backslash (\")</option>
+                        </select>
+                      </>
+                    )}
+                    <input
+                      className="border rounded px-2 py-1 w-28"
+                      value={comment}
+                      onChange={e => setComment(e.target.value)}
+                      placeholder="Comment prefix"
+                      title="Lines starting with this text (e.g. #) are skipped"
+                    />
+                    <label className="inline-flex items-center gap-2" title="Lines to skip before the header row">
+                      Skip
+                      <input
+                        type="number"
+                        min="0"
+                        className="border rounded px-2 py-1 w-16"
+                        value={skipLines}
+                        onChange={e => setSkipLines(Math.max(0, Math.floor(Number(e.target.value) || 0)))}
+                      />
+                      line(s)
+                    </label>
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={header}
+                      onChange={e => setHeader(e.target.value)}
+                      title="Whether the first row holds the column names"
+                    >
+                      <option value="auto">Header row: auto{header === 'auto' && detection?.headerRow ? ` (${detection.headerRow.header ? "yes" : "no"})` : ""}</option>
+                      <option value="yes">First row is the header</option>
+                      <option value="no">No header row (col_1, col_2, …)</option>
+                    </select>
+                    {inputMode === 'csv' && (
+                      <label className="inline-flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          className="accent-blue-600"
+                          checked={trim}
+                          onChange={e => setTrim(e.target.checked)}
+                        />
+                        Trim whitespace
+                      </label>
+                    )}
+                  </div>
+                )}
+                {inputMode === 'csv' && (
+                  <div className="flex flex-wrap items-center gap-3">
+                    <label className="inline-flex items-center gap-2" title="A quote inside an unquoted field is kept as text instead of starting a quoted section">
+                      <input
+                        type="checkbox"
+                        className="accent-blue-600"
+                        checked={strict}
+                        onChange={e => setStrict(e.target.checked)}
+                      />
+                      Strict quotes
+                    </label>
+                    <label className="inline-flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        className="accent-blue-600"
+                        checked={failOnMalformed}
+                        onChange={e => setFailOnMalformed(e.target.checked)}
+                      />
+                      Fail on malformed rows
+                    </label>
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={extraCells}
+                      onChange={e => setExtraCells(e.target.value)}
+                      title="Cells beyond the header row's columns"
+                    >
+                      <option value="drop">Drop extra cells</option>
+                      <option value="keep">Keep extra cells as _extra_N</option>
+                    </select>
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={duplicateHeaders}
+                      onChange={e => setDuplicateHeaders(e.target.value)}
+                      title="Columns with the same name, in the file or after renaming them in the table"
+                    >
+                      <option value="suffix">Duplicate headers: name, name_2, …</option>
+                      <option value="array">Duplicate headers: collect into an array</option>
+                      <option value="first">Duplicate headers: keep first</option>
+                      <option value="last">Duplicate headers: keep last</option>
+                      <option value="fail">Duplicate headers: fail</option>
+                    </select>
+                  </div>
+                )}
+                {(rowInput || inputMode === 'marshall') && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={inputMode === 'marshall' && ddbOutput === 'plain' ? 'items' : ddbOutput}
+                      onChange={e => setDdbOutput(e.target.value)}
+                    >
+                      {rowInput && <option value="plain">Plain JSON output</option>}
+                      <option value="items">DynamoDB JSON items</option>
+                      <option value="batch">BatchWriteItem requests</option>
+                    </select>
+                    {ddbOutput === 'batch' && (
+                      <input
+                        className="border rounded px-2 py-1 w-36"
+                        placeholder="Table name"
+                        value={tableName}
+                        onChange={e => setTableName(e.target.value)}
+                      />
+                    )}
+                    {(ddbOutput !== 'plain' || inputMode === 'marshall') && (
+                      <label className="inline-flex items-center gap-2" title="Homogeneous arrays of unique strings/numbers become SS/NS">
+                        <input
+                          type="checkbox"
+                          className="accent-blue-600"
+                          checked={detectSets}
+                          onChange={e => setDetectSets(e.target.checked)}
+                        />
+                        SS/NS sets
+                      </label>
+                    )}
+                  </div>
+                )}
+                {inputMode === 'compare' && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <input
+                      className="border rounded px-2 py-1 w-32"
+                      placeholder="Key column(s)"
+                      value={compareKeys}
+                      onChange={e => setCompareKeys(e.target.value)}
+                      title="Rows are matched on the values of these columns; separate several with commas"
+                    />
+                    <input
+                      className="border rounded px-2 py-1 w-40"
+                      placeholder="Ignore columns"
+                      value={compareIgnore}
+                      onChange={e => setCompareIgnore(e.target.value)}
+                      title="Fields left out of the comparison, such as updatedAt or address.zip; separate several with commas"
+                    />
+                    <label className="inline-flex items-center gap-2" title="Leading and trailing spaces are ignored, and runs of whitespace count as one space">
+                      <input
+                        type="checkbox"
+                        className="accent-blue-600"
+                        checked={ignoreWhitespace}
+                        onChange={e => setIgnoreWhitespace(e.target.checked)}
+                      />
+                      Ignore whitespace
+                    </label>
+                    <label className="inline-flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        className="accent-blue-600"
+                        checked={ignoreCase}
+                        onChange={e => setIgnoreCase(e.target.checked)}
+                      />
+                      Ignore case
+                    </label>
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={diffFormat}
+                      onChange={e => setDiffFormat(e.target.value)}
+                      title="How the differences are written"
+                    >
+                      {DIFF_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                    </select>
+                    {diffFormat === 'json' && (
+                      <select
+                        className="border rounded px-2 py-1"
+                        value={indent}
+                        onChange={e => setIndent(Number(e.target.value))}
+                      >
+                        <option value={2}>Indent 2 spaces</option>
+                        <option value={4}>Indent 4 spaces</option>
+                        <option value={0}>Minified</option>
+                      </select>
+                    )}
+                  </div>
+                )}
+                {inputMode !== 'json' && inputMode !== 'compare' && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <select
+                      className="border rounded px-2 py-1"
+                      value={outputFormat}
+                      onChange={e => setOutputFormat(e.target.value)}
+                      title="How the result is written"
+                    >
+                      {OUTPUT_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                    </select>
+                    {outputFormat !== 'ndjson' && outputFormat !== 'sql' && (
+                      <select
+                        className="border rounded px-2 py-1"
+                        value={indent}
+                        onChange={e => setIndent(Number(e.target.value))}
+                      >
+                        <option value={2}>Indent 2 spaces</option>
+                        <option value={4}>Indent 4 spaces</option>
+                        {outputFormat !== 'yaml' && <option value={0}>Minified</option>}
+                      </select>
+                    )}
+                    {outputFormat === 'keyed' && (
+                      <>
+                        <input
+                          className="border rounded px-2 py-1 w-32"
+                          placeholder="Key column"
+                          value={keyBy}
+                          onChange={e => setKeyBy(e.target.value)}
+                          title="Each row becomes a property named by its value in this column"
+                        />
+                        <select
+                          className="border rounded px-2 py-1"
+                          value={duplicateKeys}
+                          onChange={e => setDuplicateKeys(e.target.value)}
+                        >
+                          {DUPLICATE_KEY_POLICIES.map(p => <option key={p} value={p}>{DUPLICATE_KEY_LABELS[p]}</option>)}
+                        </select>
+                      </>
+                    )}
+                    {outputFormat === 'sql' && (
+                      <>
+                        <select
+                          className="border rounded px-2 py-1"
+                          value={sqlDialect}
+                          onChange={e => setSqlDialect(e.target.value)}
+                        >
+                          {SQL_DIALECTS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+                        </select>
+                        <input
+                          className="border rounded px-2 py-1 w-32"
+                          placeholder="Table (data)"
+                          value={sqlTable}
+                          onChange={e => setSqlTable(e.target.value)}
+                          title="Table to create and insert into; schema.table is allowed"
+                        />
+                        <input
+                          className="border rounded px-2 py-1 w-32"
+                          placeholder="Primary key"
+                          value={primaryKey}
+                          onChange={e => setPrimaryKey(e.target.value)}
+                          title="Column for the PRIMARY KEY; separate several with commas. Leave empty for none."
+                        />
+                        <label className="inline-flex items-center gap-1" title="Rows per INSERT statement">
+                          Batch
+                          <input
+                            type="number"
+                            min={1}
+                            className="border rounded px-2 py-1 w-20"
+                            value={batchSize}
+                            onChange={e => setBatchSize(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+                          />
+                        </label>
+                      </>
+                    )}
+                  </div>
+                )}
               </div>
 
               <div className="flex items-center gap-2">
                 <button
-                  onClick={handleConvert}
-                  className="px-4 py-2 rounded-xl bg-blue-600 text-white font-medium hover:bg-blue-700"
+                  onClick={() => handleConvert()}
+                  disabled={!!job}
+                  className="px-4 py-2 rounded-xl bg-blue-600 text-white font-medium hover:bg-blue-700 disabled:opacity-50"
                 >
                   Convert
                 </button>
@@ -616,8 +2769,19 @@ export default function App() {
           {/* Output side */}
           <div className="bg-white rounded-2xl shadow p-4 flex flex-col">
             <div className="flex items-center justify-between mb-2">
-              <h2 className="font-semibold">Result (JSON)</h2>
+              <h2 className="font-semibold">Result ({outputKind.extension.toUpperCase()})</h2>
               <div className="flex items-center gap-2">
+                {outputViews.length > 1 && (
+                  <div className="flex rounded-lg border text-sm overflow-hidden mr-2">
+                    {outputViews.map(v => (
+                      <button
+                        key={v.value}
+                        onClick={() => setOutputView(v.value)}
+                        className={`px-3 py-1.5 ${outputView === v.value ? "bg-blue-600 text-white" : "hover:bg-gray-50"}`}
+                      >{v.label}</button>
+                    ))}
+                  </div>
+                )}
                 <button
                   onClick={handleCopy}
                   className="px-3 py-1.5 rounded-lg border text-sm hover:bg-gray-50"
@@ -629,9 +2793,186 @@ export default function App() {
               </div>
             </div>
 
-            <pre className="flex-1 border rounded-xl p-3 font-mono text-xs overflow-auto bg-gray-50 min-h-[240px]">
-{json}
-            </pre>
+            {showTable && outputView === 'table' ? (
+              <div className="flex-1 min-h-[240px]">
+                <PreviewTable
+                  columnMap={columnMap}
+                  rows={previewRows}
+                  cellValue={previewCell}
+                  onChange={handleColumnMapChange}
+                  disabled={!!job}
+                />
+                <div className="mt-2 flex items-center justify-between text-xs text-gray-600">
+                  <span>First {previewRows.length} row(s). Edits apply to the JSON output and Download.</span>
+                  <button
+                    onClick={() => handleColumnMapChange(null)}
+                    disabled={!!job}
+                    className="underline text-blue-600 hover:text-blue-800"
+                  >Reset columns</button>
+                </div>
+              </div>
+            ) : profile && outputView === 'profile' ? (
+              <div className="flex-1 min-h-[240px]">
+                {profile.pending ? (
+                  <div className="text-sm text-gray-600">Profiling the columns…</div>
+                ) : profile.error ? (
+                  <div className="text-sm text-red-600">Error profiling the columns: {profile.error}</div>
+                ) : (
+                  <ProfileTable profile={profile} />
+                )}
+              </div>
+            ) : schema ? (
+              <div className="flex-1 flex flex-col min-h-[240px]">
+                <div className="mb-2 flex flex-wrap items-center gap-2 text-sm">
+                  <select
+                    className="border rounded px-2 py-1"
+                    value={schemaFormat}
+                    onChange={e => setSchemaFormat(e.target.value)}
+                  >
+                    {SCHEMA_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                  </select>
+                  <input
+                    className="border rounded px-2 py-1 w-32"
+                    value={schemaName}
+                    onChange={e => setSchemaName(e.target.value)}
+                    placeholder="Row"
+                    title="Name of the row type (the title in JSON Schema)"
+                  />
+                  <span className="text-xs text-gray-600">Describes one row, merged from every converted row.</span>
+                </div>
+                <pre className="flex-1 border rounded-xl p-3 font-mono text-xs overflow-auto bg-gray-50">
+{schema.text}
+                </pre>
+              </div>
+            ) : (
+              <pre className="flex-1 border rounded-xl p-3 font-mono text-xs overflow-auto bg-gray-50 min-h-[240px]">
+{output}
+              </pre>
+            )}
+
+            {validation && (
+              <details className="mt-3 text-sm" open={validation.report.rejected > 0}>
+                <summary className="cursor-pointer font-medium">
+                  Validation: {validation.report.valid} valid, {validation.report.rejected} rejected
+                </summary>
+                <div className="mt-2 flex items-center gap-2">
+                  <button
+                    onClick={() => handleDownloadValidated('valid')}
+                    disabled={!validation.report.valid}
+                    className="px-3 py-1 rounded-lg border hover:bg-gray-50 disabled:text-gray-400"
+                  >Download valid rows</button>
+                  <button
+                    onClick={() => handleDownloadValidated('rejected')}
+                    disabled={!validation.report.rejected}
+                    className="px-3 py-1 rounded-lg border hover:bg-gray-50 disabled:text-gray-400"
+                  >Download rejected rows</button>
+                </div>
+                {validation.report.failures.length > 0 && (
+                  <ul className="mt-2 max-h-60 overflow-auto space-y-0.5 font-mono text-xs">
+                    {validation.report.failures.flatMap(f => f.errors.map((e, i) => (
+                      <li key={`${f.row}:${i}`}>
+                        {f.line == null || largeFile || workbook ? (
+                          <span>row {f.row}{f.line == null ? "" : `, line ${f.line}`}</span>
+                        ) : (
+                          <button
+                            onClick={() => jumpToDiagnostic({ line: f.line })}
+                            className="underline text-blue-600 hover:text-blue-800"
+                          >row {f.row}, line {f.line}</button>
+                        )}
+                        {e.column != null && <span className="text-gray-500">, column {e.column} ({e.header})</span>}
+                        {" "}<span className="text-gray-500">[{e.keyword}]</span> {e.path || "row"} {e.message}
+                      </li>
+                    )))}
+                  </ul>
+                )}
+                {validation.report.truncated && (
+                  <div className="mt-1 text-xs text-gray-600">Only the first {validation.report.failures.length} rejected rows are listed.</div>
+                )}
+              </details>
+            )}
+
+            {columnTypes && (
+              <details className="mt-3 text-sm" open>
+                <summary className="cursor-pointer font-medium">Column types</summary>
+                <table className="mt-2 w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-gray-600">
+                      <th className="pr-2">Column</th>
+                      <th className="pr-2">Type</th>
+                      <th>Why</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {columnTypes.map(c => (
+                      <tr key={c.name} className="align-top border-t">
+                        <td className="pr-2 font-mono">{c.name}</td>
+                        <td className="pr-2">{c.type}{c.nullable ? " | null" : ""}</td>
+                        <td>
+                          {c.reason}
+                          {c.warnings.map((w, i) => <div key={i} className="text-amber-700">⚠ {w}</div>)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            )}
+
+            {detection && (detection.delimiterReport || detection.headerRow?.detected) && (
+              <details className="mt-3 text-sm" open={!!detection.delimiterReport?.close}>
+                <summary className="cursor-pointer font-medium">
+                  Detection{detection.delimiterReport?.close ? <span className="text-amber-700"> ⚠ close call</span> : ""}
+                </summary>
+                {detection.delimiterReport && (
+                  <table className="mt-2 w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-600">
+                        <th className="pr-2">Delimiter</th>
+                        <th className="pr-2">Columns</th>
+                        <th className="pr-2">Rows matching</th>
+                        <th className="pr-2">Variance</th>
+                        <th>Score</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {detection.delimiterReport.candidates.map((c, i) => (
+                        <tr key={c.delimiter} className={`border-t ${i === 0 && c.score != null ? "font-semibold" : ""}`}>
+                          <td className="pr-2 font-mono">{c.delimiter.replace(/\t/g, "\\t")}</td>
+                          <td className="pr-2">{c.columns}</td>
+                          <td className="pr-2">{c.matching} / {c.rows}</td>
+                          <td className="pr-2">{c.variance.toFixed(2)}</td>
+                          <td>{c.score == null ? "single column" : Math.round(c.score)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {detection.delimiterReport?.close && (
+                  <div className="mt-1 text-amber-700">
+                    The top candidates scored within {CLOSE_SCORE_GAP} points; turn off auto-detect and pick the delimiter if the columns look wrong.
+                  </div>
+                )}
+                {detection.headerRow?.detected && (
+                  <div className="mt-2">
+                    Header row: <b>{detection.headerRow.header ? "first row" : "none"}</b> — {detection.headerRow.reason}.
+                  </div>
+                )}
+              </details>
+            )}
+
+            {job && (
+              <div className="mt-3 flex items-center gap-3 text-sm">
+                <progress className="flex-1" value={job.bytesRead} max={job.totalBytes || 1} />
+                <span className="text-gray-600 whitespace-nowrap">
+                  {job.passes > 1 && `Pass ${job.pass} of ${job.passes} · `}
+                  {formatBytes(job.bytesRead)} / {formatBytes(job.totalBytes)} · {job.rows.toLocaleString()} row(s)
+                </span>
+                <button
+                  onClick={handleCancel}
+                  className="px-3 py-1.5 rounded-lg border text-sm hover:bg-gray-50"
+                >Cancel</button>
+              </div>
+            )}
 
             <div className={`mt-3 text-sm ${status.startsWith("Error") ? "text-red-600" : "text-gray-600"}`}>
               {status || "Ready."}
@@ -672,8 +3013,32 @@ export default function App() {
               • Include a header row. Fields that <em>look</em> like JSON (start with <code>{"{"}</code> or <code>[</code>) will be parsed into native objects/arrays when enabled.
             </p>
             <p>• Toggle <b>Unmarshall DynamoDB JSON</b> to convert objects like <code>{'{"S":"str"}'}</code>, <code>{'{"N":"123"}'}</code>, <code>{'{"L":[...]}'}</code>, or maps of AVs into plain JS.</p>
+            <p>• DynamoDB numbers hold up to 38 digits, more than a JS number keeps. The status line names any attribute that would lose digits; pick <b>Numbers as text when too precise</b> to keep those as strings, or the text/<code>$numberDecimal</code> options for every number. Binary attributes can be shown as base64, hex, or UTF-8 text.</p>
             <p>• Enable <b>Type inference</b> to coerce plain strings like <code>null</code>, <code>true</code>, <code>false</code>, or <code>123.45</code> into their native types (values already parsed from JSON/AV remain correctly typed).</p>
-            <p>• Switch to <b>DynamoDB JSON</b> mode to paste raw DynamoDB-formatted JSON (single object or an array) and unmarshall directly without needing CSV headers.</p>
+            <p>• Switch to <b>DynamoDB JSON</b> mode to paste raw DynamoDB-formatted JSON (single object or an array) and unmarshall directly without needing CSV headers. Export-to-S3 files (<code>{'{"Item":…}'}</code> per line), <code>aws dynamodb scan</code>/<code>query</code> output (<code>{'{"Items":[…]}'}</code>, pages may be concatenated) and Streams/Lambda event records are recognised and unwrapped. For stream records, choose <b>event, key and changes</b> to list what each INSERT/MODIFY/REMOVE did field by field.</p>
+            <p>• To seed a table, choose <b>DynamoDB JSON items</b> or <b>BatchWriteItem requests</b> (25 puts per request) as the output in CSV mode, or paste plain JSON in <b>JSON → DDB</b> mode.</p>
+            <p>• The CSV dialect is detected with the delimiter: single-quoted fields and backslash-escaped quotes (<code>\"</code>) are recognised, and so are <code>||</code> and <code>~|~</code> separators. Override any of it under the input, or pick <b>Other…</b> to type a delimiter of any length. Lines starting with a <b>comment prefix</b> such as <code>#</code> and a number of leading lines (a title or export banner) can be skipped, and <b>Trim whitespace</b> strips spaces around unquoted values.</p>
+            <p>• <b>Detection</b> under the output shows how each candidate delimiter scored (header columns, rows with the same number of cells, variance of the cell counts) and warns when the top two are close. The first row is the header unless <b>Header row</b> says otherwise; set to auto, a first row of numbers or dates above more of the same is read as data with <code>col_1</code>, <code>col_2</code>, … names, and Detection says which way it went.</p>
+            <p>• Malformed CSV (unclosed or stray quotes, rows with too few or too many cells) is listed under the input with its line and column; click an entry to jump there. <b>Strict quotes</b> keeps a quote in the middle of an unquoted field as text, <b>Fail on malformed rows</b> stops instead of converting, and extra cells can be kept as <code>_extra_1</code>, <code>_extra_2</code>, ….</p>
+            <p>• Blank and repeated header names are listed with the other problems. Blank ones are named <code>col_N</code>; repeated ones are renamed <code>name_2</code>, <code>name_3</code>, … by default, or collected into one array, reduced to the first or last column, or refused. The same rule applies when renaming columns in the table gives two of them one name.</p>
+            <p>• With <b>One type per column</b>, each column gets a single type (integer, decimal, boolean, date, datetime, or string) from all of its values. Null tokens such as <code>N/A</code> become <code>null</code> in typed columns, and ZIP codes like <code>02134</code> or ids too large for a JS number stay text. The <b>Column types</b> table explains each choice.</p>
+            <p>• Uploaded files are read as bytes and their encoding detected (UTF-8, UTF-16LE/BE, Windows-1252 or ISO-8859-1, from the byte order mark or the bytes themselves). If accented characters look garbled, pick another encoding under the input; the file is decoded again without re-uploading. A byte order mark never ends up in the first header name.</p>
+            <p>• Excel (<code>.xlsx</code>) and OpenDocument (<code>.ods</code>) workbooks can be uploaded or dropped too; they are read in the browser. Pick the sheet and the row holding the headers. Cells keep their types from the sheet: numbers and true/false stay as they are, dates become ISO strings such as <code>2024-03-01</code> or <code>2024-03-01T09:30:00</code>, formulas give their last calculated value, and empty cells are blank. Every other setting, the column table and the pipeline apply as for CSV.</p>
+            <p>• <b>Fixed width</b> mode reads mainframe extracts and bank reports that line columns up with spaces. On Convert, column boundaries are suggested where every one of the first lines has a space, and right-aligned amounts keep the spaces before them; a header line gives the names. Drag the markers over the preview to move a boundary, click the ruler to split a column, or edit the name, start position (1 is the first character) and width of each column. Cells are trimmed and then converted like CSV cells; text past the last column is listed with the other problems, so widen that column when a later line is longer than the first ones. The layout is saved with presets.</p>
+            <p>• Pasting a range copied from Google Sheets, Excel or a web page such as a Confluence table reads the HTML table on the clipboard rather than its plain text, so merged cells fill every cell they cover and line breaks inside cells survive (as quoted CSV fields). When the copy holds several tables, pick one under the input. Anything without a table pastes as plain text, as before.</p>
+            <p>• <b>Compare</b> mode diffs two exports of the same data, both CSV or both DynamoDB JSON, read with the settings above. Rows are matched on the key column(s), so their order does not matter, and the result lists the rows added, the rows removed and, for each changed row, every changed field with its value before and after. Nested JSON cells are compared field by field (<code>meta.tags</code>). Leave columns such as <code>updatedAt</code> out of the comparison, or ignore differences in whitespace or case. The report is JSON, or CSV with one line per change.</p>
+            <p>• The <b>Profile</b> view sums up each column of the result before you trust it: how many values are filled, null, empty or missing, how many are distinct and which are most frequent, the mix of types (dates and date-times are recognised in ISO form), min/max/mean of numbers, the shortest and longest text, and the earliest and latest date. A column filled in every row with no value repeated is marked <b>key?</b>. The profile is computed in a background worker, and streamed large files are profiled as they are converted; Copy and Download save it as JSON while it is shown.</p>
+            <p>• CSV files over {formatBytes(LARGE_FILE_BYTES)} are not loaded into the text box; they are parsed in a background worker as a stream, with progress and a Cancel button, and the full result is available via <b>Download</b>.</p>
+            <p>• The same converter runs from the command line: <code>csv-json [--mode csv|ddb] [--delimiter ";"] [--format ndjson|yaml|xml] file.csv</code> (see <code>csv-json --help</code>), or import <code>convert()</code> from <code>src/lib/index.js</code>. Its output is byte-identical to what you get here.</p>
+            <p>• <b>Unflatten path headers</b> turns columns like <code>address.city</code> and <code>tags[0]</code> into nested objects and arrays, after nested JSON, unmarshalling and type inference have run on the flat columns. Empty trailing array cells are dropped. If a header is both a value and a path parent (<code>address</code> next to <code>address.city</code>), the collision rule decides which survives; collisions are listed with the other problems.</p>
+            <p>• After converting CSV, switch the result to <b>Table</b> to shape the columns: rename a column in its header, pick a type (string keeps text such as <code>0150</code> exactly, date normalizes to ISO, null if empty turns blank cells into <code>null</code>), drop it with ×, or drag headers to reorder. The JSON output and download follow the table; <b>Reset columns</b> undoes all of it.</p>
+            <p>• <b>Presets</b> save every setting above, including the table's column changes, under a name in this browser. <b>Export</b>/<b>Import</b> moves them between machines as a JSON file, and <b>Copy link</b> gives a URL that opens this page with the same settings. Presets and links never contain your input data.</p>
+            <p>• Besides a JSON array, results can be written as <b>NDJSON</b> (one compact object per line, for bulk loaders), one <b>JSON object keyed by a column</b> such as <code>id</code>, <b>YAML</b>, or <b>XML</b> (<code>&lt;rows&gt;&lt;row&gt;…</code>, with array values as <code>&lt;item&gt;</code> elements). Pick the indentation or <b>Minified</b> next to the format. When two rows share a key, keyed output fails by default; it can keep the first or last row instead, or hold every key's rows in an array. Copy and Download follow the format, and a download is named after the uploaded file.</p>
+            <p>• <b>SQL</b> output writes a <code>CREATE TABLE</code> for PostgreSQL, MySQL or SQLite and then <code>INSERT</code> statements of as many rows as the batch size. Column types come from the converted values: whole numbers become <code>INTEGER</code> (<code>BIGINT</code> past 32 bits), other numbers <code>NUMERIC</code>, <code>DECIMAL</code> sized to the digits seen (MySQL) or <code>REAL</code>, true/false <code>BOOLEAN</code>, ISO dates <code>DATE</code> (a day the month does not have makes the column text), nested JSON cells <code>JSONB</code>/<code>JSON</code>, and a column of mixed values text. Nulls are written as <code>NULL</code>, and a column is <code>NOT NULL</code> when no row leaves it empty. The primary key may list several columns, separated by commas; none of them may be empty.</p>
+            <p>• The <b>Schema</b> view describes one row of the result as JSON Schema (draft 2020-12), TypeScript interfaces or a Zod schema, merged from every row: a field missing from some rows is optional, a field with several types gets a union, and objects and arrays from parsed JSON cells become nested types. Copy and Download save the schema while it is shown.</p>
+            <p>• Paste or load a JSON Schema under <b>Validate against a JSON Schema</b> to check every converted row on Convert (types, required fields, enums, patterns, minimum/maximum and lengths, nested objects and arrays, <code>$ref</code>s into <code>$defs</code>). <b>Validation</b> under the result lists each failure with its row, CSV line and column; click one to jump there. The valid and rejected rows download as separate files in the chosen output format. The Schema view's JSON Schema is a good starting point.</p>
+            <p>• <b>Query and transform</b> runs a pipeline over the converted rows, stages separated by <code>|</code>: <code>where total &gt; 100 and status == "paid"</code> keeps matching rows, <code>select id, customer.city as city</code> picks and renames fields (dot paths and <code>tags[0]</code> reach into nested JSON cells), <code>set net = total - fee</code> adds a computed field, <code>rename</code> and <code>drop</code> edit top-level fields, <code>sort total desc</code> and <code>limit 10</code> order and cut, and <code>group by city with count(), sum(total)</code> summarizes. Nothing is run as JavaScript, and a missing field reads as null. The result follows as you type; the Table view keeps showing the columns before the pipeline, and the pipeline is saved with presets.</p>
+            <p>• Switch to <b>JSON → CSV</b> mode to go the other way: paste an array of objects (or NDJSON, one object per line). Nested objects become dot-path columns like <code>address.city</code>, or stay as JSON cells that this tool parses back when <b>Parse stringified JSON fields</b> is on.</p>
           </div>
         </details>
       </div>
@@ -0,0 +1,198 @@
+import React, { useState, useRef } from "react";
+import { suggestFixedColumns, checkFixedColumns } from "./lib/index.js";
+
+// ————————————————————————————————————————————————————————————
+// Layout editor for fixed-width input: the first lines in a monospace preview
+// with a marker where each column starts, and the same layout as a list of
+// name/start/width. Drag a marker to move a boundary, click the ruler to split
+// the column under it.
+// ————————————————————————————————————————————————————————————
+const PREVIEW_LINES = 20;
+const COLUMN_SHADES = ["bg-blue-50", "bg-amber-50"];
+
+// ....+....1....+....2 — the ruler of mainframe editors, one mark per character.
+function ruler(length) {
+  let out = "";
+  for (let i = 1; i <= length; i++) out += i % 10 === 0 ? String((i / 10) % 10) : i % 5 === 0 ? "+" : ".";
+  return out;
+}
+
+// Moves where column `at` starts, keeping its end; the column ending there follows.
+function moveStart(columns, at, position) {
+  const c = columns[at];
+  const end = c.start + c.width;
+  const prev = columns.find(p => p !== c && p.start + p.width === c.start);
+  const start = Math.min(Math.max(position, prev ? prev.start + 1 : 1), end - 1);
+  return columns.map(p => (p === c ? { ...p, start, width: end - start } : p === prev ? { ...p, width: start - p.start } : p));
+}
+
+// Moves where column `at` ends, up to the next column.
+function moveEnd(columns, at, position) {
+  const c = columns[at];
+  const next = Math.min(...columns.filter(p => p.start > c.start).map(p => p.start));
+  const end = Math.min(Math.max(position, c.start + 1), next);
+  return columns.map(p => (p === c ? { ...p, width: end - c.start } : p));
+}
+
+function splitAt(columns, position) {
+  const at = columns.findIndex(c => c.start < position && position < c.start + c.width);
+  if (at < 0) return columns;
+  const c = columns[at];
+  const right = { name: `col_${columns.length + 1}`, start: position, width: c.start + c.width - position };
+  return [...columns.slice(0, at), { ...c, width: position - c.start }, right, ...columns.slice(at + 1)];
+}
+
+/**
+ * @param {{ text: string, columns: object[]|null, onChange: (next: object[]) => void,
+ *   skipLines?: number, comment?: string, disabled?: boolean }} props
+ *   `columns` is the layout (see fixedWidth.js), or null before one is suggested.
+ */
+export default function FixedWidthEditor({ text, columns, onChange, skipLines = 0, comment = '', disabled = false }) {
+  // drag: the marker being moved ({ at, edge: 'start'|'end', position }) or null
+  const [drag, setDrag] = useState(null);
+  const gridRef = useRef(null);
+  const charRef = useRef(null);
+  const lines = text.split(/\r\n|\n|\r/).slice(skipLines).filter(l => !(comment && l.startsWith(comment))).slice(0, PREVIEW_LINES);
+  const moved = (d, position) => (d.edge === 'start' ? moveStart : moveEnd)(columns, d.at, position);
+  const shown = columns && drag ? moved(drag, drag.position) : columns;
+  const length = Math.max(1, ...lines.map(l => l.length), ...(shown || []).map(c => c.start - 1 + c.width));
+  let error = null;
+  if (columns) {
+    try {
+      checkFixedColumns(columns);
+    } catch (e) {
+      error = e.message;
+    }
+  }
+
+  // The 1-based character position under the pointer; a 10ch span gives the character width.
+  function positionAt(e) {
+    const width = (charRef.current?.getBoundingClientRect().width || 70) / 10;
+    return Math.max(1, Math.round((e.clientX - gridRef.current.getBoundingClientRect().left) / width) + 1);
+  }
+
+  function update(at, patch) {
+    onChange(columns.map((c, i) => (i === at ? { ...c, ...patch } : c)));
+  }
+
+  function addColumn() {
+    const end = Math.max(0, ...columns.map(c => c.start - 1 + c.width));
+    onChange([...columns, { name: `col_${columns.length + 1}`, start: end + 1, width: Math.max(1, length - end) }]);
+  }
+
+  // A marker at every column start, and at column ends no other column starts from
+  const markers = (shown || []).flatMap((c, at) => {
+    const end = c.start + c.width;
+    const out = [{ at, edge: 'start', position: c.start }];
+    if (!shown.some(p => p.start === end)) out.push({ at, edge: 'end', position: end });
+    return out;
+  });
+
+  return (
+    <div className="mt-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <span className="font-medium">Columns</span>
+        <button
+          onClick={() => onChange(suggestFixedColumns(text, { skipLines, comment }))}
+          disabled={disabled || !text.trim()}
+          className="px-2 py-1 border rounded hover:bg-gray-50 disabled:text-gray-400"
+          title="Place boundaries where every line has a space, and take names from a header line"
+        >Suggest from alignment</button>
+        {columns && (
+          <button onClick={addColumn} disabled={disabled} className="px-2 py-1 border rounded hover:bg-gray-50">Add column</button>
+        )}
+        <span className="text-gray-500">Drag a marker to move a boundary; click the ruler to split a column.</span>
+      </div>
+      <div className="border rounded-xl overflow-auto max-h-72 bg-white">
+        <div ref={gridRef} className="relative font-mono text-xs leading-5 whitespace-pre" style={{ width: `${length + 1}ch` }}>
+          <span ref={charRef} className="absolute invisible">0000000000</span>
+          {shown?.map((c, i) => (
+            <div key={i} className={`absolute top-0 bottom-0 ${COLUMN_SHADES[i % 2]}`} style={{ left: `${c.start - 1}ch`, width: `${c.width}ch` }} />
+          ))}
+          <div
+            className="relative border-b text-gray-400 select-none cursor-crosshair"
+            onClick={e => { if (columns && !disabled) onChange(splitAt(columns, positionAt(e))); }}
+            title="Click to split the column here"
+          >{ruler(length)}</div>
+          {lines.map((l, i) => <div key={i} className="relative">{l || " "}</div>)}
+          {markers.map(m => (
+            <div
+              key={`${m.edge}-${m.at}`}
+              className="absolute top-0 bottom-0 w-1 -ml-0.5 bg-blue-500 opacity-60 hover:opacity-100 cursor-col-resize"
+              style={{ left: `${m.position - 1}ch`, touchAction: "none" }}
+              title={`${shown[m.at].name}: ${m.edge === 'start' ? "starts" : "ends"} at ${m.position}`}
+              onPointerDown={e => {
+                if (disabled) return;
+                e.currentTarget.setPointerCapture(e.pointerId);
+                setDrag(m);
+              }}
+              onPointerMove={e => { if (drag) setDrag({ ...drag, position: positionAt(e) }); }}
+              onPointerUp={() => {
+                if (!drag) return;
+                const next = moved(drag, drag.position);
+                setDrag(null);
+                onChange(next);
+              }}
+            />
+          ))}
+        </div>
+      </div>
+      {!columns && <div className="mt-2 text-gray-500">Convert, or suggest columns, to lay out the columns.</div>}
+      {columns && (
+        <table className="mt-2 text-xs">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="pr-2 font-normal">Name</th>
+              <th className="pr-2 font-normal">Start</th>
+              <th className="pr-2 font-normal">Width</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map((c, i) => (
+              <tr key={i}>
+                <td className="pr-2 py-0.5">
+                  <input
+                    className="border rounded px-1 py-0.5 w-36 font-mono"
+                    value={c.name}
+                    disabled={disabled}
+                    onChange={e => update(i, { name: e.target.value })}
+                  />
+                </td>
+                <td className="pr-2 py-0.5">
+                  <input
+                    type="number"
+                    min={1}
+                    className="border rounded px-1 py-0.5 w-20"
+                    value={c.start}
+                    disabled={disabled}
+                    onChange={e => update(i, { start: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                  />
+                </td>
+                <td className="pr-2 py-0.5">
+                  <input
+                    type="number"
+                    min={1}
+                    className="border rounded px-1 py-0.5 w-20"
+                    value={c.width}
+                    disabled={disabled}
+                    onChange={e => update(i, { width: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                  />
+                </td>
+                <td>
+                  <button
+                    onClick={() => onChange(columns.filter((_, j) => j !== i))}
+                    disabled={disabled || columns.length === 1}
+                    className="text-gray-500 hover:text-red-600 px-1 disabled:text-gray-300"
+                    title="Remove this column"
+                  >×</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {error && <div className="mt-1 text-red-600">{error}</div>}
+    </div>
+  );
+}
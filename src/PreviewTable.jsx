@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { COLUMN_TYPES } from "./lib/index.js";
+
+// ————————————————————————————————————————————————————————————
+// Table view of the converted rows. Each column header edits the column
+// mapping (see syncColumnMap): rename, type override, drop, and drag to reorder.
+// ————————————————————————————————————————————————————————————
+const TYPE_LABELS = {
+  auto: "auto",
+  string: "string",
+  number: "number",
+  boolean: "boolean",
+  json: "JSON",
+  date: "date",
+  'null-if-empty': "null if empty"
+};
+
+function formatCell(v) {
+  if (v === undefined) return "";
+  if (v === null) return <span className="italic text-gray-400">null</span>;
+  if (typeof v === 'object') return <span className="font-mono">{JSON.stringify(v)}</span>;
+  if (typeof v === 'string') return v;
+  return <span className="text-blue-700">{String(v)}</span>;
+}
+
+/**
+ * @param {{ columnMap: object[], rows: object[], cellValue: (row: object, name: string) => *,
+ *   onChange: (next: object[]) => void, disabled?: boolean }} props
+ */
+export default function PreviewTable({ columnMap, rows, cellValue, onChange, disabled = false }) {
+  const [dragFrom, setDragFrom] = useState(null);
+  const shown = columnMap.map((c, i) => ({ ...c, at: i })).filter(c => !c.drop);
+  const dropped = columnMap.filter(c => c.drop);
+
+  function update(at, patch) {
+    onChange(columnMap.map((c, i) => (i === at ? { ...c, ...patch } : c)));
+  }
+
+  function move(from, to) {
+    if (from === to) return;
+    const next = [...columnMap];
+    const [c] = next.splice(from, 1);
+    next.splice(to, 0, c);
+    onChange(next);
+  }
+
+  // Renames are committed on blur or Enter so each keystroke doesn't reconvert.
+  function commitName(at, e) {
+    const name = e.target.value.trim() || columnMap[at].source;
+    e.target.value = name;
+    if (name !== columnMap[at].name) update(at, { name });
+  }
+
+  return (
+    <div className="text-xs">
+      <div className="overflow-auto border rounded-xl max-h-[420px]">
+        <table className="min-w-full">
+          <thead className="bg-gray-100 sticky top-0">
+            <tr>
+              {shown.map(c => (
+                <th
+                  key={c.source}
+                  draggable={!disabled}
+                  onDragStart={e => { setDragFrom(c.at); e.dataTransfer.effectAllowed = "move"; }}
+                  onDragOver={e => e.preventDefault()}
+                  onDrop={e => { e.preventDefault(); if (dragFrom !== null) move(dragFrom, c.at); setDragFrom(null); }}
+                  className={`p-1 text-left align-top border-r font-normal ${dragFrom === c.at ? "opacity-50" : ""}`}
+                  title={`Column "${c.source}" — drag to reorder`}
+                >
+                  <div className="flex items-center gap-1">
+                    <span className="cursor-move text-gray-400 select-none">⠿</span>
+                    <input
+                      key={c.name}
+                      className="border rounded px-1 py-0.5 w-28 font-mono font-semibold"
+                      defaultValue={c.name}
+                      disabled={disabled}
+                      onBlur={e => commitName(c.at, e)}
+                      onKeyDown={e => { if (e.key === "Enter") e.currentTarget.blur(); }}
+                    />
+                    <button
+                      onClick={() => update(c.at, { drop: true })}
+                      disabled={disabled}
+                      className="text-gray-500 hover:text-red-600 px-1"
+                      title="Drop this column"
+                    >×</button>
+                  </div>
+                  <select
+                    className="mt-1 border rounded px-1 py-0.5 w-full"
+                    value={c.type}
+                    disabled={disabled}
+                    onChange={e => update(c.at, { type: e.target.value })}
+                    title="Type override; auto uses the global inference settings"
+                  >
+                    {COLUMN_TYPES.map(t => <option key={t} value={t}>{TYPE_LABELS[t]}</option>)}
+                  </select>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, r) => (
+              <tr key={r} className="border-t align-top">
+                {shown.map(c => (
+                  <td key={c.source} className="p-1 border-r max-w-[16rem] truncate">
+                    {formatCell(cellValue(row, c.name))}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {dropped.length > 0 && (
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-gray-600">
+          Dropped:
+          {dropped.map(c => (
+            <button
+              key={c.source}
+              onClick={() => update(columnMap.indexOf(c), { drop: false })}
+              disabled={disabled}
+              className="px-2 py-0.5 border rounded hover:bg-gray-50 font-mono"
+              title="Restore this column"
+            >{c.name} ↺</button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
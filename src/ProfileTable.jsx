@@ -0,0 +1,87 @@
+import React from "react";
+
+// ————————————————————————————————————————————————————————————
+// Profile view of the result: one line per column with its fill counts,
+// distinct values, type mix, range and most frequent values (see profile.js).
+// ————————————————————————————————————————————————————————————
+function percent(count, rows) {
+  const p = (count / rows) * 100;
+  return `${p > 0 && p < 1 ? "<1" : Math.round(p)}%`;
+}
+
+function formatNumber(n) {
+  return Number.isInteger(n) ? String(n) : String(Number(n.toPrecision(6)));
+}
+
+function formatValue(v) {
+  if (v === null) return <span className="italic text-gray-400">null</span>;
+  if (v === "") return <span className="italic text-gray-400">empty</span>;
+  return typeof v === 'string' ? v : <span className="font-mono">{JSON.stringify(v)}</span>;
+}
+
+function Range({ column: c }) {
+  return (
+    <>
+      {c.number && <div>{formatNumber(c.number.min)} … {formatNumber(c.number.max)}, mean {formatNumber(c.number.mean)}</div>}
+      {c.date && <div className="font-mono">{c.date.min} … {c.date.max}</div>}
+      {c.length && !c.date && <div>{c.length.min === c.length.max ? c.length.min : `${c.length.min} … ${c.length.max}`} character(s)</div>}
+    </>
+  );
+}
+
+/**
+ * @param {{ profile: { rows: number, columns: object[] } }} props From createProfileStats().finish().
+ */
+export default function ProfileTable({ profile }) {
+  const { rows, columns } = profile;
+  return (
+    <div className="text-xs">
+      <div className="overflow-auto border rounded-xl max-h-[420px]">
+        <table className="min-w-full">
+          <thead className="bg-gray-100 sticky top-0">
+            <tr className="text-left">
+              <th className="p-1 border-r font-normal">Column</th>
+              <th className="p-1 border-r font-normal">Filled</th>
+              <th className="p-1 border-r font-normal" title="Null values, empty strings and rows without the field">Null / empty / missing</th>
+              <th className="p-1 border-r font-normal">Distinct</th>
+              <th className="p-1 border-r font-normal">Types</th>
+              <th className="p-1 border-r font-normal">Range</th>
+              <th className="p-1 font-normal">Most frequent</th>
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map(c => (
+              <tr key={c.name} className="border-t align-top">
+                <td className="p-1 border-r font-mono">
+                  {c.name}
+                  {c.likelyKey && (
+                    <span className="ml-1 px-1 rounded bg-green-100 text-green-800 font-sans" title="Filled in every row, with no value repeated">key?</span>
+                  )}
+                </td>
+                <td className="p-1 border-r whitespace-nowrap">{c.filled} ({percent(c.filled, rows)})</td>
+                <td className="p-1 border-r whitespace-nowrap">{c.nulls} / {c.empty} / {c.missing}</td>
+                <td className="p-1 border-r" title={c.distinctCapped ? "Only this many distinct values are tracked" : undefined}>
+                  {c.distinct}{c.distinctCapped ? "+" : ""}
+                </td>
+                <td className="p-1 border-r">
+                  {Object.entries(c.types).map(([type, count]) => (
+                    <div key={type} className="whitespace-nowrap">{type} {percent(count, c.filled)}</div>
+                  ))}
+                </td>
+                <td className="p-1 border-r"><Range column={c} /></td>
+                <td className="p-1 max-w-[16rem]">
+                  {c.top.map((t, i) => (
+                    <div key={i} className="truncate">{formatValue(t.value)} <span className="text-gray-500">×{t.count}</span></div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 text-gray-600">
+        {rows} row(s), {columns.length} column(s). Filled is a share of all rows, types of the filled values; a column marked key? is filled in every row with no value repeated.
+      </div>
+    </div>
+  );
+}
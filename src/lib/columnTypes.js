@@ -0,0 +1,191 @@
+// ————————————————————————————————————————————————————————————
+// Per-column type inference: one type per column instead of per cell, so a
+// ZIP column stays "02134", a 19-digit id keeps its digits and one "N/A" in a
+// numeric column becomes null rather than turning the column into mixed types.
+//
+// Works in two steps so the streaming worker can run it over two passes:
+// observe every row into stats, then decide types and apply them row by row.
+// Only top-level string cells are inspected; values already typed by nested
+// JSON parsing or unmarshalling count as 'json' and are never changed.
+// ————————————————————————————————————————————————————————————
+export const DEFAULT_NULL_TOKENS = ["", "null", "NULL", "N/A", "n/a", "NA", "-"];
+
+const INTEGER_RE = /^-?\d+$/;
+const NUMBER_RE = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const DATE_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const DATETIME_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])[T ]([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+function classify(t) {
+  const lower = t.toLowerCase();
+  if (lower === 'true' || lower === 'false') return 'boolean';
+  if (INTEGER_RE.test(t)) return 'integer';
+  if (NUMBER_RE.test(t) && Number.isFinite(Number(t))) return 'decimal';
+  if (DATE_RE.test(t)) return 'date';
+  if (DATETIME_RE.test(t)) return 'datetime';
+  return 'string';
+}
+
+// 'date' or 'datetime' for an ISO 8601 date or date-time text, else null.
+export function dateKind(t) {
+  return DATE_RE.test(t) ? 'date' : DATETIME_RE.test(t) ? 'datetime' : null;
+}
+
+function hasLeadingZero(t) {
+  return /^-?0\d/.test(t);
+}
+
+/**
+ * Accumulates what each column contains. Call observe() for every converted
+ * row object, then finish() to get one ColumnType per column.
+ *
+ * @param {{ nullTokens?: string[], skip?: string[] }} [options] `skip` names columns
+ *   whose type was set by hand; they are left out of the report and never converted.
+ */
+export function createColumnTypeStats({ nullTokens = DEFAULT_NULL_TOKENS, skip = [] } = {}) {
+  const nulls = new Set(nullTokens);
+  const skipped = new Set(skip);
+  const stats = new Map();
+
+  function statsFor(name) {
+    let s = stats.get(name);
+    if (!s) {
+      s = { counts: {}, nulls: 0, leadingZero: 0, leadingZeroExample: null, unsafe: 0, unsafeExample: null };
+      stats.set(name, s);
+    }
+    return s;
+  }
+
+  function observe(obj) {
+    for (const [name, v] of Object.entries(obj)) {
+      if (skipped.has(name)) continue;
+      const s = statsFor(name);
+      if (v === null || v === undefined) { s.nulls++; continue; }
+      if (typeof v !== 'string') {
+        const kind = typeof v === 'object' ? 'json' : typeof v === 'number' ? 'decimal' : typeof v;
+        s.counts[kind] = (s.counts[kind] || 0) + 1;
+        continue;
+      }
+      const t = v.trim();
+      if (nulls.has(t)) { s.nulls++; continue; }
+      const kind = classify(t);
+      s.counts[kind] = (s.counts[kind] || 0) + 1;
+      if (kind === 'integer') {
+        if (hasLeadingZero(t)) {
+          s.leadingZero++;
+          s.leadingZeroExample ??= t;
+        }
+        if (!Number.isSafeInteger(Number(t))) {
+          s.unsafe++;
+          s.unsafeExample ??= t;
+        }
+      }
+    }
+  }
+
+  function finish({ preserve = 'column' } = {}) {
+    return [...stats].map(([name, s]) => decide(name, s, preserve));
+  }
+
+  return { observe, finish };
+}
+
+/**
+ * @typedef {Object} ColumnType
+ * @property {string} name
+ * @property {'integer'|'decimal'|'boolean'|'date'|'datetime'|'string'|'json'|'mixed'|'null'} type
+ * @property {boolean} nullable
+ * @property {Object<string, number>} counts Non-null values seen, by kind.
+ * @property {number} nulls
+ * @property {string} reason Why this type was chosen, for display.
+ * @property {string[]} warnings Values that were kept as strings despite the type.
+ */
+
+function decide(name, s, preserve) {
+  const kinds = Object.keys(s.counts);
+  const summary = [
+    ...kinds.map(k => `${s.counts[k]} ${k}`),
+    ...(s.nulls ? [`${s.nulls} null`] : [])
+  ].join(", ");
+  const col = { name, type: 'string', nullable: s.nulls > 0, counts: s.counts, nulls: s.nulls, reason: summary, warnings: [] };
+  const only = set => kinds.length > 0 && kinds.every(k => set.includes(k));
+
+  if (kinds.length === 0) {
+    col.type = 'null';
+  } else if (only(['json'])) {
+    col.type = 'json';
+  } else if (kinds.includes('json')) {
+    col.type = 'mixed';
+    col.reason = `${summary}; nested values left as they are`;
+  } else if (only(['boolean'])) {
+    col.type = 'boolean';
+  } else if (only(['date'])) {
+    col.type = 'date';
+  } else if (only(['date', 'datetime'])) {
+    col.type = 'datetime';
+  } else if (only(['integer', 'decimal'])) {
+    col.type = kinds.includes('decimal') ? 'decimal' : 'integer';
+    const problems = [];
+    if (s.leadingZero) problems.push(`${s.leadingZero} value(s) with leading zeros (e.g. ${s.leadingZeroExample})`);
+    if (s.unsafe) problems.push(`${s.unsafe} integer(s) too large for a JS number (e.g. ${s.unsafeExample})`);
+    if (problems.length && preserve === 'column') {
+      col.type = 'string';
+      col.reason = `${summary}; kept as text: ${problems.join("; ")}`;
+    } else if (problems.length) {
+      col.warnings = problems.map(p => `${p} kept as text`);
+    }
+  } else if (kinds.length > 1) {
+    col.reason = `${summary}; mixed kinds stay text`;
+  }
+  return col;
+}
+
+/**
+ * Converts one row's cells to their column types. Null tokens become null in
+ * typed columns; string columns keep their text unchanged.
+ *
+ * @param {object} obj
+ * @param {ColumnType[]} columns
+ * @param {{ nullTokens?: string[] }} [options]
+ */
+export function applyColumnTypes(obj, columns, { nullTokens = DEFAULT_NULL_TOKENS } = {}) {
+  const nulls = new Set(nullTokens);
+  const out = { ...obj };
+  for (const col of columns) {
+    const v = out[col.name];
+    if (typeof v !== 'string' || col.type === 'string' || col.type === 'mixed') continue;
+    const t = v.trim();
+    if (nulls.has(t)) {
+      out[col.name] = null;
+      continue;
+    }
+    switch (col.type) {
+      case 'boolean': out[col.name] = t.toLowerCase() === 'true'; break;
+      case 'integer':
+      case 'decimal':
+        // Leading-zero and unsafe integers survive as text when preserve is 'value'
+        if (!(INTEGER_RE.test(t) && (hasLeadingZero(t) || !Number.isSafeInteger(Number(t))))) out[col.name] = Number(t);
+        break;
+      case 'date':
+      case 'datetime': out[col.name] = t; break;
+      default: break; // 'json' and 'null' columns only convert null tokens
+    }
+  }
+  return out;
+}
+
+/**
+ * Runs both steps over an in-memory array of row objects.
+ *
+ * @param {object[]} objects
+ * @param {{ nullTokens?: string[], preserve?: 'column'|'value', skip?: string[] }} [options]
+ *   preserve 'column' (default) makes a numeric column with leading-zero or
+ *   unsafe integers a string column; 'value' keeps the column numeric and only
+ *   those values as strings, reported in the column's warnings.
+ * @returns {{ objects: object[], columns: ColumnType[] }}
+ */
+export function inferColumnTypes(objects, options = {}) {
+  const stats = createColumnTypeStats(options);
+  objects.forEach(stats.observe);
+  const columns = stats.finish(options);
+  return { objects: objects.map(o => applyColumnTypes(o, columns, options)), columns };
+}
@@ -0,0 +1,562 @@
+import { unmarshallDeep } from "./dynamodb.js";
+
+// ————————————————————————————————————————————————————————————
+// Helpers for nested JSON detection + parsing
+// ————————————————————————————————————————————————————————————
+export function looksLikeJSON(value) {
+  if (typeof value !== "string") return false;
+  const t = value.trim();
+  if (!t) return false;
+  return t.startsWith("{") || t.startsWith("[") || (t.startsWith('"') && (t[1] === '{' || t[1] === '['));
+}
+
+// ————————————————————————————————————————————————————————————
+// Type inference (outside DynamoDB AV)
+// ————————————————————————————————————————————————————————————
+export function inferScalar(str) {
+  if (typeof str !== 'string') return str;
+  const t = str.trim();
+  if (t === '') return str; // keep empty strings as-is
+  const lower = t.toLowerCase();
+  if (lower === 'null') return null;
+  if (lower === 'true') return true;
+  if (lower === 'false') return false;
+  if (/^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(t)) {
+    const n = Number(t);
+    if (Number.isFinite(n)) return n;
+  }
+  return str;
+}
+
+export function coerceDeep(value) {
+  if (Array.isArray(value)) return value.map(coerceDeep);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = coerceDeep(v);
+    return out;
+  }
+  return inferScalar(value);
+}
+
+// ————————————————————————————————————————————————————————————
+// Rows → objects. The per-row helpers are shared with the streaming worker,
+// which sees one row at a time instead of the whole rows array.
+// ————————————————————————————————————————————————————————————
+// Cells are strings when parsed from text; workbook sheets also hold numbers,
+// booleans and null (see readWorkbook). This is a cell as text, empty for null.
+export function cellText(cell) {
+  return cell === null || cell === undefined ? "" : String(cell);
+}
+
+// A BOM left at the start of pasted or decoded text is dropped from the first header.
+export function normalizeHeaders(headerRow) {
+  return headerRow.map((h, idx) => cellText(h).replace(/^\uFEFF/, "").trim() || `col_${idx + 1}`);
+}
+
+// col_1 … col_n, for input without a header row.
+export function generatedHeaders(width) {
+  return normalizeHeaders(new Array(width).fill(""));
+}
+
+export function isBlankRow(r) {
+  return !r.some(cell => cellText(cell).trim() !== "");
+}
+
+// Options for unmarshallDeep taken from the converter options. Type inference
+// runs inside unmarshalling so N values kept as text are not turned back into numbers.
+export function unmarshallOptions({ doInferTypes, numbers, binary, precisionLoss }) {
+  return { numbers, binary, precisionLoss, mapString: doInferTypes ? inferScalar : undefined };
+}
+
+// With inferBy 'column', top-level strings are left for the column pass
+// (see columnTypes.js); nested values are still coerced here.
+function convertCell(v, opts, column) {
+  const { parseNestedJSON, doUnmarshall, doInferTypes, inferBy } = opts;
+  if (parseNestedJSON && looksLikeJSON(v)) {
+    try { v = JSON.parse(v); } catch {}
+  }
+  if (doUnmarshall && v && typeof v === 'object') {
+    return unmarshallDeep(v, unmarshallOptions(opts), column);
+  }
+  if (doInferTypes && !(inferBy === 'column' && typeof v === 'string')) {
+    v = coerceDeep(v);
+  }
+  return v;
+}
+
+// ————————————————————————————————————————————————————————————
+// Column mapping: rename, drop, reorder and type overrides, as set in the
+// preview table. A mapping is an array of
+//   { source, name, type, drop }
+// in output order, where `source` is the (normalized) CSV header, `name` the
+// output key and `type` one of COLUMN_TYPES. 'auto' converts the cell as usual;
+// the others replace nested-JSON parsing and type inference for that column.
+// ————————————————————————————————————————————————————————————
+export const COLUMN_TYPES = ['auto', 'string', 'number', 'boolean', 'json', 'date', 'null-if-empty'];
+
+// Brings a mapping in line with the headers of the current input: entries for
+// missing headers are removed, new headers are appended unchanged.
+export function syncColumnMap(columnMap, headers) {
+  const present = new Set(headers);
+  const kept = (columnMap || []).filter(c => present.has(c.source));
+  const known = new Set(kept.map(c => c.source));
+  return [
+    ...kept,
+    ...headers.filter(h => !known.has(h)).map(h => ({ source: h, name: h, type: 'auto', drop: false }))
+  ];
+}
+
+// Output names, in order, of the columns a mapping keeps, after duplicate handling.
+export function mappedHeaders(headers, { columnMap = null, duplicateHeaders = 'suffix' } = {}) {
+  return resolveColumns(headers, { columnMap, duplicateHeaders }).columns.map(c => c.name);
+}
+
+// Names of the kept columns whose type was set by hand, which column inference leaves alone.
+export function fixedTypeColumns(columnMap) {
+  return (columnMap || []).filter(c => !c.drop && c.type && c.type !== 'auto').map(c => c.name.trim() || c.source);
+}
+
+// ————————————————————————————————————————————————————————————
+// Duplicate and blank headers. Same-named columns are resolved by one
+// strategy, first among the file's headers and again among the names a
+// column mapping gives them:
+//   'suffix' renames the later ones name_2, name_3, …
+//   'array'  collects their values into one array
+//   'first'  keeps the first column, 'last' the last (at the first one's position)
+//   'fail'   keeps the first; the caller stops on the reported duplicates
+// A column is { name, source?, parts: [{ index, type }], collect }, where
+// `parts` are the CSV cells it reads and `collect` makes its value an array.
+// ————————————————————————————————————————————————————————————
+export const DUPLICATE_HEADER_STRATEGIES = ['suffix', 'array', 'first', 'last', 'fail'];
+
+function groupDuplicates(columns, strategy, conflicts) {
+  const taken = new Set(columns.map(c => c.name));
+  const byName = new Map();
+  const out = [];
+  for (const c of columns) {
+    const prior = byName.get(c.name);
+    if (!prior) {
+      const own = { ...c };
+      byName.set(c.name, own);
+      out.push(own);
+      continue;
+    }
+    const conflict = {
+      column: c.parts[0].index + 1,
+      first: prior.parts[0].index + 1,
+      name: c.name,
+      source: c.source && c.source !== c.name ? c.source : null,
+      renamed: null
+    };
+    if (strategy === 'suffix') {
+      let n = 2;
+      while (taken.has(`${c.name}_${n}`)) n++;
+      const own = { ...c, name: `${c.name}_${n}` };
+      taken.add(own.name);
+      byName.set(own.name, own);
+      out.push(own);
+      conflict.renamed = own.name;
+    } else if (strategy === 'array') {
+      prior.parts = [...prior.parts, ...c.parts];
+      prior.collect = true;
+    } else if (strategy === 'last') {
+      prior.parts = c.parts;
+      prior.collect = c.collect;
+    }
+    conflicts.push(conflict);
+  }
+  return out;
+}
+
+// Resolved once per header row, mapping and strategy; the worker calls rowToObject per row.
+const resolvedColumns = new WeakMap();
+
+function resolveColumns(headers, { columnMap = null, duplicateHeaders = 'suffix' } = {}) {
+  const cached = resolvedColumns.get(headers);
+  if (cached?.columnMap === columnMap && cached.duplicateHeaders === duplicateHeaders) return cached.resolved;
+  const conflicts = [];
+  const fileColumns = groupDuplicates(
+    headers.map((name, index) => ({ name, parts: [{ index, type: 'auto' }], collect: false })),
+    duplicateHeaders,
+    conflicts
+  );
+  let columns = fileColumns;
+  if (columnMap) {
+    const bySource = new Map(fileColumns.map(c => [c.name, c]));
+    const mapped = syncColumnMap(columnMap, fileColumns.map(c => c.name))
+      .filter(c => !c.drop)
+      .map(c => {
+        const from = bySource.get(c.source);
+        const type = c.type || 'auto';
+        return { name: c.name.trim() || c.source, source: c.source, parts: from.parts.map(p => ({ ...p, type })), collect: from.collect };
+      });
+    columns = groupDuplicates(mapped, duplicateHeaders, conflicts);
+  }
+  const resolved = { headers: fileColumns.map(c => c.name), columns, conflicts };
+  resolvedColumns.set(headers, { columnMap, duplicateHeaders, resolved });
+  return resolved;
+}
+
+// The file's column names once duplicates are resolved; these are what a column
+// mapping's `source` refers to.
+export function dedupeHeaders(headers, { duplicateHeaders = 'suffix' } = {}) {
+  return resolveColumns(headers, { duplicateHeaders }).headers;
+}
+
+// Header diagnostics that describe what was done rather than a malformed row;
+// failOnMalformed leaves them alone.
+export const HEADER_NOTE_KINDS = ['blank-header', 'duplicate-header'];
+
+const DUPLICATE_OUTCOMES = {
+  suffix: c => `renamed "${c.renamed}"`,
+  array: () => "the values are collected into an array",
+  first: () => "this column is dropped",
+  last: () => "the earlier column is dropped",
+  fail: () => "duplicate headers are not allowed"
+};
+
+/**
+ * Diagnostics for blank, whitespace-only and duplicate headers, including names
+ * a column mapping makes collide. `headerRow` is the raw first row.
+ *
+ * @param {string[]} headerRow
+ * @param {{ columnMap?: object[]|null, duplicateHeaders?: string }} opts
+ * @param {number} line The header's line.
+ */
+export function headerDiagnostics(headerRow, opts, line) {
+  const headers = normalizeHeaders(headerRow);
+  const found = [];
+  const at = (kind, message) => found.push({ kind, row: 1, line, column: 1, offset: null, message });
+  headerRow.forEach((raw, i) => {
+    const text = cellText(raw).replace(/^\uFEFF/, "");
+    if (text.trim() === "") {
+      at('blank-header', `Header in column ${i + 1} is ${text ? "only whitespace" : "blank"}; named "${headers[i]}"`);
+    }
+  });
+  const strategy = opts.duplicateHeaders || 'suffix';
+  for (const c of resolveColumns(headers, opts).conflicts) {
+    const what = c.source
+      ? `Column "${c.source}" (column ${c.column}) is renamed "${c.name}", which column ${c.first} already uses`
+      : `Header "${c.name}" (column ${c.column}) repeats column ${c.first}`;
+    at('duplicate-header', `${what}; ${DUPLICATE_OUTCOMES[strategy](c)}`);
+  }
+  return found;
+}
+
+const BOOLEAN_TEXT = { true: true, false: false, yes: true, no: false, y: true, n: false, 1: true, 0: false };
+
+// Converts one cell to an overridden type. Text that does not fit the type is
+// kept as it is rather than lost; empty cells become null except for 'string'.
+function convertAs(raw, type, opts, column) {
+  const t = raw.trim();
+  if (type === 'string') return raw;
+  if (type === 'null-if-empty') return t === "" ? null : convertCell(raw, opts, column);
+  if (t === "") return null;
+  switch (type) {
+    case 'number': {
+      const n = Number(t);
+      return Number.isFinite(n) ? n : raw;
+    }
+    case 'boolean': {
+      const key = t.toLowerCase();
+      return key in BOOLEAN_TEXT ? BOOLEAN_TEXT[key] : raw;
+    }
+    case 'json': {
+      let v;
+      try { v = JSON.parse(t); } catch { return raw; }
+      return opts.doUnmarshall && v && typeof v === 'object' ? unmarshallDeep(v, unmarshallOptions(opts), column) : v;
+    }
+    case 'date': {
+      // Calendar dates stay dates; anything else Date can read becomes an ISO timestamp
+      if (/^\d{4}-\d{2}-\d{2}$/.test(t)) return t;
+      const ms = Date.parse(t);
+      return Number.isNaN(ms) ? raw : new Date(ms).toISOString();
+    }
+    default:
+      return convertCell(raw, opts, column);
+  }
+}
+
+// Missing cells become "". Cells beyond the header are dropped unless
+// opts.extraCells === 'keep', which stores them as _extra_1, _extra_2, …
+// With opts.columnMap the row is built in the mapping's order and names;
+// same-named columns follow opts.duplicateHeaders (see groupDuplicates).
+export function rowToObject(headers, r, opts) {
+  const obj = {};
+  for (const { name, parts, collect } of resolveColumns(headers, opts).columns) {
+    if (collect) {
+      // Collected values are nested, so column inference would never type them
+      const cellOpts = { ...opts, inferBy: 'cell' };
+      obj[name] = parts.map(p => convertPart(r, p, cellOpts, name));
+    } else {
+      obj[name] = convertPart(r, parts[0], opts, name);
+    }
+  }
+  if (opts.extraCells === 'keep') {
+    for (let idx = headers.length; idx < r.length; idx++) {
+      const key = `_extra_${idx - headers.length + 1}`;
+      obj[key] = convertCell(r[idx] ?? "", opts, key);
+    }
+  }
+  return obj;
+}
+
+function convertPart(r, { index, type }, opts, name) {
+  const raw = r[index] ?? "";
+  return type === 'auto' ? convertCell(raw, opts, name) : convertAs(cellText(raw), type, opts, name);
+}
+
+/**
+ * Where the properties of a converted row come from: [{ path, column, header }],
+ * with `path` the property's keys in the row (nested with opts.unflatten; a
+ * collected duplicate's values add their index), `column` the 1-based CSV
+ * column and `header` its name in the file.
+ *
+ * @param {string[]} headers Normalized file headers, before duplicate handling.
+ * @param {object} opts The conversion options.
+ */
+export function columnSources(headers, opts = {}) {
+  const { columns } = resolveColumns(headers, opts);
+  const plan = opts.unflatten ? headerPaths(columns.map(c => c.name), opts) : null;
+  return columns.flatMap(({ name, parts, collect }) => {
+    const path = plan?.paths.has(name) ? plan.paths.get(name) : [name];
+    if (!path) return []; // dropped by the path collision rule
+    const source = (p, at) => ({ path: at, column: p.index + 1, header: headers[p.index] });
+    return collect ? parts.map((p, i) => source(p, [...path, i])) : [source(parts[0], path)];
+  });
+}
+
+// Diagnostic for a row whose cell count differs from the header, or null.
+// `row` is the 1-based index into the parsed rows (the header is row 1).
+export function rowWidthDiagnostic(headers, r, row, line) {
+  if (r.length === headers.length) return null;
+  const kind = r.length < headers.length ? 'ragged-row' : 'extra-columns';
+  const message = r.length < headers.length
+    ? `Row has ${r.length} of ${headers.length} column(s); missing cells are empty`
+    : `Row has ${r.length - headers.length} cell(s) beyond the ${headers.length} header column(s)`;
+  return { kind, row, line, column: 1, offset: null, message };
+}
+
+// ————————————————————————————————————————————————————————————
+// Header row detection
+// ————————————————————————————————————————————————————————————
+// Rows after the first that detection compares it with.
+export const HEADER_SAMPLE_ROWS = 20;
+
+const NUMERIC_TEXT = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+// "2024-01-05" → "9999-99-99", "AB-12" → "aa-99": where digits and letters sit.
+function textLayout(v) {
+  return v.replace(/\d/g, "9").replace(/\p{L}/gu, "a");
+}
+
+/**
+ * Decides whether the first row is a header by comparing it with the rows below,
+ * column by column: a numeric column votes for a header when its first cell is
+ * text, and against when that cell is a number too; a column of equal-length
+ * values with digits in them (codes, dates) votes for a header when its first cell
+ * has another length, and against when it has the same length and layout. Columns
+ * of plain words are no evidence either way, as a name can be as long as the words
+ * below it ("name" over "John"). With no evidence against, the first row is taken
+ * as a header.
+ *
+ * @param {string[][]} rows The first rows of the input.
+ * @returns {{ header: boolean, reason: string }}
+ */
+export function detectHeaderRow(rows) {
+  const [first = [], ...rest] = rows;
+  const data = rest.slice(0, HEADER_SAMPLE_ROWS).filter(r => !isBlankRow(r));
+  if (!data.length) return { header: true, reason: "no rows below the first to compare it with" };
+  let forHeader = 0;
+  let against = 0;
+  first.forEach((cell, i) => {
+    const head = cellText(cell).trim();
+    const values = data.map(r => cellText(r[i]).trim()).filter(v => v !== "");
+    if (!head || !values.length) return;
+    if (values.every(v => NUMERIC_TEXT.test(v))) {
+      if (NUMERIC_TEXT.test(head)) against++;
+      else forHeader++;
+    } else if (values.every(v => v.length === values[0].length) && values.some(v => /\d/.test(v))) {
+      if (head.length !== values[0].length) forHeader++;
+      else if (values.every(v => textLayout(v) === textLayout(head))) against++;
+    }
+  });
+  if (against > forHeader) {
+    return { header: false, reason: `${against} column(s) hold the same kind of value in the first row as below it` };
+  }
+  if (forHeader) return { header: true, reason: `${forHeader} column(s) have a first cell unlike the values below it` };
+  return { header: true, reason: "nothing tells the first row apart; assuming it is a header" };
+}
+
+// opts.header === false reads every row as data under col_1 … col_n names;
+// anything else takes the first row as the header.
+// opts.rowLines (line each row starts on, from parseCSVWithDiagnostics),
+// opts.diagnostics (array to append ragged-row findings to), opts.objectLines
+// (array to append each returned object's line to) and opts.columnMap
+// (see syncColumnMap) are optional.
+export function convertRowsToObjects(rows, opts) {
+  if (!rows.length) return [];
+  const hasHeader = opts.header !== false;
+  const headers = hasHeader ? normalizeHeaders(rows[0]) : generatedHeaders(rows[0].length);
+  const out = [];
+  for (let i = hasHeader ? 1 : 0; i < rows.length; i++) {
+    const r = rows[i];
+    if (isBlankRow(r)) continue;
+    if (opts.diagnostics) {
+      const d = rowWidthDiagnostic(headers, r, i + 1, opts.rowLines?.[i] ?? null);
+      if (d) opts.diagnostics.push(d);
+    }
+    out.push(rowToObject(headers, r, opts));
+    opts.objectLines?.push(opts.rowLines?.[i] ?? null);
+  }
+  return out;
+}
+
+// ————————————————————————————————————————————————————————————
+// Path-style headers → nested objects ("address.city", "tags[0]")
+//
+// Runs after cells are converted and column types applied, so nested JSON,
+// unmarshalling and type inference all see the flat CSV columns first.
+// ————————————————————————————————————————————————————————————
+
+// Highest [n] read as an array index; a segment with a larger one ("a[99999999]") stays
+// one ordinary key, so a header cannot make every row allocate a huge array.
+export const MAX_PATH_INDEX = 9999;
+
+// Splits a header into object keys and array indexes, or returns null when it
+// is not a path (a single key, an empty segment, or a leading index).
+function parseHeaderPath(header, separator) {
+  const segments = [];
+  for (const part of separator ? header.split(separator) : [header]) {
+    const m = /^([^[\]]*)((?:\[\d+\])*)$/.exec(part);
+    if (!m || !m[1]) return null;
+    const indexes = [...m[2].matchAll(/\[(\d+)\]/g)].map(([, idx]) => Number(idx));
+    if (indexes.some(i => i > MAX_PATH_INDEX)) segments.push(part);
+    else segments.push(m[1], ...indexes);
+  }
+  return segments.length > 1 ? segments : null;
+}
+
+/**
+ * Works out where each header's value goes. A collision is a header used both
+ * as a value and as the parent of a path ("address" and "address.city"), or a
+ * parent used both as an array and as an object ("tags[0]" and "tags.main").
+ *
+ * @param {string[]} headers
+ * @param {{ pathSeparator?: string, collision?: 'flat'|'nested'|'scalar'|'error' }} [opts]
+ *   collision 'flat' (default) keeps the deeper header as a flat key named by its
+ *   text; 'nested' drops the scalar column; 'scalar' drops the deeper one. An
+ *   array/object clash always leaves the later header flat. 'error' resolves like
+ *   'flat'; the caller is expected to stop on the reported conflicts.
+ * @returns {{ paths: Map<string, (string|number)[]|null>,
+ *   conflicts: { column: number, header: string, other: string, resolution: 'flat'|'dropped'|'error' }[] }}
+ *   `paths` maps a header to its segments, or to null when its column is dropped;
+ *   headers missing from it stay flat. Each conflict names the header that gave
+ *   way (`column` is its 1-based index) and what happened to it.
+ */
+export function headerPaths(headers, { pathSeparator = ".", collision = 'flat' } = {}) {
+  const segs = headers.map(h => parseHeaderPath(h, pathSeparator) ?? [h]);
+  const keyOf = s => JSON.stringify(s);
+  const leaves = new Map(); // full path → index of the header that ends there
+  segs.forEach((s, i) => { if (!leaves.has(keyOf(s))) leaves.set(keyOf(s), i); });
+
+  const paths = new Map();
+  const conflicts = [];
+  const kept = collision === 'error' ? 'error' : 'flat';
+  const containers = new Map(); // parent path → 'array' | 'object'
+  segs.forEach((s, i) => {
+    if (s.length === 1) return;
+    const h = headers[i];
+    for (let n = 1; n < s.length; n++) {
+      const parent = keyOf(s.slice(0, n));
+      if (leaves.has(parent)) {
+        const j = leaves.get(parent);
+        if (collision === 'nested') {
+          if (paths.get(headers[j]) !== null) {
+            paths.set(headers[j], null);
+            conflicts.push({ column: j + 1, header: headers[j], other: h, resolution: 'dropped' });
+          }
+          continue;
+        }
+        if (collision === 'scalar') paths.set(h, null);
+        conflicts.push({ column: i + 1, header: h, other: headers[j], resolution: collision === 'scalar' ? 'dropped' : kept });
+        return;
+      }
+      const kind = typeof s[n] === 'number' ? 'array' : 'object';
+      if ((containers.get(parent) ?? kind) !== kind) {
+        const other = headers[segs.findIndex(t => t.length > n && keyOf(t.slice(0, n)) === parent)];
+        conflicts.push({ column: i + 1, header: h, other, resolution: kept });
+        return;
+      }
+    }
+    for (let n = 1; n < s.length; n++) {
+      containers.set(keyOf(s.slice(0, n)), typeof s[n] === 'number' ? 'array' : 'object');
+    }
+    paths.set(h, s);
+  });
+  return { paths, conflicts };
+}
+
+// Diagnostics for the conflicts headerPaths() reported; `line` is the header's line.
+export function headerCollisionDiagnostics({ conflicts }, line) {
+  return conflicts.map(({ column, header, other, resolution }) => ({
+    kind: 'header-collision',
+    row: 1,
+    line,
+    column: 1,
+    offset: null,
+    message: `Header "${header}" (column ${column}) collides with "${other}"; ` +
+      ({ dropped: "its column is dropped", error: "both cannot be built" }[resolution] ?? "kept as a flat key")
+  }));
+}
+
+// Empty cells at the end of a path-built array are dropped, so rows with fewer
+// tags than tags[N] columns get shorter arrays; gaps in between become null.
+function trimArrays(value) {
+  if (Array.isArray(value)) {
+    const out = Array.from(value, v => (v === undefined ? null : trimArrays(v)));
+    while (out.length && (out[out.length - 1] === "" || out[out.length - 1] === null)) out.pop();
+    return out;
+  }
+  if (value && typeof value === 'object') {
+    for (const k of Object.keys(value)) value[k] = trimArrays(value[k]);
+  }
+  return value;
+}
+
+// Defines rather than assigns, so a path segment such as __proto__ is an ordinary key.
+function setKey(obj, key, value) {
+  Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Builds the nested object for one converted row.
+ *
+ * @param {object} obj Flat row object keyed by header.
+ * @param {Map<string, (string|number)[]|null>} paths From {@link headerPaths}.
+ */
+export function unflattenObject(obj, paths) {
+  const out = {};
+  const built = new Set(); // containers created here, so flat values are never mutated
+  for (const [key, value] of Object.entries(obj)) {
+    const s = paths.get(key);
+    if (s === null) continue;
+    if (!s) {
+      setKey(out, key, value);
+      continue;
+    }
+    let node = out;
+    for (let n = 0; n < s.length - 1; n++) {
+      if (!Object.hasOwn(node, s[n]) || !built.has(node[s[n]])) {
+        setKey(node, s[n], typeof s[n + 1] === 'number' ? [] : {});
+        built.add(node[s[n]]);
+      }
+      node = node[s[n]];
+    }
+    setKey(node, s[s.length - 1], value);
+  }
+  for (const k of Object.keys(out)) {
+    if (built.has(out[k])) out[k] = trimArrays(out[k]);
+  }
+  return out;
+}
@@ -0,0 +1,460 @@
+// ————————————————————————————————————————————————————————————
+// CSV parser (RFC 4180-ish): commas, quotes, CRLF, escaped quotes "".
+// ————————————————————————————————————————————————————————————
+// Incremental form of the parser: push() text in arbitrary chunks and get back the
+// rows completed so far; end() flushes the last row. All state (including an open
+// quote, or a quote at the very end of a chunk that may turn out to be "") is
+// carried across chunk boundaries, so a file can be parsed without holding it whole.
+//
+// Malformed quoting is recorded in `parser.diagnostics` as
+// { kind, row, line, column, offset, message } (row/line/column 1-based, offset
+// 0-based into the whole input). In lenient mode (the default) a quote in the
+// middle of an unquoted field still opens a quoted section, as it always has;
+// strict mode keeps it as a literal character instead. Recording stops after
+// MAX_DIAGNOSTICS entries so a badly broken file can't exhaust memory.
+export const MAX_DIAGNOSTICS = 1000;
+
+/**
+ * @param {string} [delimiter=","] Field delimiter; may be several characters ("||", "~|~").
+ * @param {Object} [dialect]
+ * @param {boolean} [dialect.strict=false] Keep a quote inside an unquoted field as text.
+ * @param {string} [dialect.quote='"'] Quote character; "" turns quoting off.
+ * @param {string} [dialect.escape=""] Escape character (e.g. "\\") that makes the next
+ *   character literal; "" means quotes are escaped only by doubling them, which
+ *   keeps working when an escape character is set.
+ * @param {string} [dialect.comment=""] Rows starting with this prefix are skipped.
+ * @param {number} [dialect.skipLines=0] Physical lines to skip before anything is parsed.
+ * @param {boolean} [dialect.trim=false] Trim whitespace around unquoted fields and
+ *   between a quoted field and its delimiter.
+ */
+export function createCSVParser(delimiter = ",", { strict = false, quote = '"', escape = "", comment = "", skipLines = 0, trim = false } = {}) {
+  let field = "";
+  let row = [];
+  let inQuotes = false;
+  let quotePending = false; // saw a quote inside quotes; the next char decides "" vs closing
+  let afterClosingQuote = false; // only a delimiter or newline may follow a closing quote
+  let quoted = false; // the current field had a quoted section, which trim leaves alone
+  let escaping = false; // the previous char was the escape character
+  let held = ""; // chars that may be the start of a multi-character delimiter
+  let linesToSkip = skipLines;
+  let atRowStart = true; // nothing of the current row read yet, so it may be a comment
+  let commentHeld = ""; // chars at row start that may be the comment prefix
+  let inComment = false;
+  let line = 1;
+  let column = 0;
+  let offset = -1;
+  let rowCount = 0;
+  let rowLine = 1;
+  let charLine = 1; // position of the char being processed
+  let charColumn = 0;
+  let quoteStart = null; // position of the quote that opened the current quoted section
+  const diagnostics = [];
+  const escapeChar = escape && escape !== quote ? escape : "";
+
+  function here() {
+    return { line: charLine, column: charColumn, offset };
+  }
+
+  // `at` is a { line, column, offset } position
+  function report(kind, at, message) {
+    if (diagnostics.length >= MAX_DIAGNOSTICS) return;
+    diagnostics.push({ kind, row: rowCount + 1, line: at.line, column: at.column, offset: at.offset, message });
+  }
+
+  function endField() {
+    row.push(trim && !quoted ? field.trim() : field);
+    field = "";
+    quoted = false;
+  }
+
+  function endRow(rows, lines) {
+    endField();
+    rows.push(row);
+    if (lines) lines.push(rowLine);
+    rowCount++;
+    row = [];
+    atRowStart = true;
+  }
+
+  // A char of an unquoted field that is neither a delimiter nor a newline.
+  function literal(char) {
+    if (afterClosingQuote && char !== "\r") {
+      if (trim && (char === " " || char === "\t")) return;
+      report('stray-quote', here(), `Unexpected "${char}" after a closing quote`);
+      afterClosingQuote = false;
+    }
+    if (char === quote) {
+      const blank = field === "" || (trim && field.trim() === "");
+      if (!blank) {
+        report('stray-quote', here(), 'Quote inside an unquoted field');
+        if (strict) {
+          field += char;
+          return;
+        }
+      } else {
+        field = "";
+      }
+      inQuotes = true; // opening quote
+      quoted = true;
+      quoteStart = here();
+    } else if (char === "\r") {
+      // ignore CR (\r) — handle CRLF
+    } else if (escapeChar && char === escapeChar) {
+      escaping = true;
+    } else {
+      field += char;
+    }
+  }
+
+  function flushHeld() {
+    const chars = held;
+    held = "";
+    for (const c of chars) literal(c);
+  }
+
+  function step(char, rows, lines) {
+    atRowStart = false;
+    if (quotePending) {
+      quotePending = false;
+      if (char === quote) {
+        field += quote; // escaped quote
+        return;
+      }
+      inQuotes = false; // the pending quote was a closing quote
+      afterClosingQuote = true;
+    }
+
+    if (inQuotes) {
+      if (escaping) {
+        escaping = false;
+        // Only quote and escape chars are escapable; "C:\dir" keeps its backslash
+        field += char === quote || char === escapeChar ? char : escapeChar + char;
+      } else if (escapeChar && char === escapeChar) {
+        escaping = true;
+      } else if (char === quote) {
+        quotePending = true;
+      } else {
+        field += char;
+      }
+      return;
+    }
+
+    if (escaping) {
+      escaping = false;
+      if (char === quote || char === escapeChar || char === delimiter[0]) {
+        field += char;
+        return;
+      }
+      field += escapeChar;
+    }
+
+    if (char === "\n") {
+      flushHeld();
+      afterClosingQuote = false;
+      endRow(rows, lines);
+      rowLine = line;
+      return;
+    }
+    if (delimiter.length === 1) {
+      if (char === delimiter) {
+        afterClosingQuote = false;
+        endField();
+      } else {
+        literal(char);
+      }
+      return;
+    }
+    held += char;
+    if (delimiter.startsWith(held)) {
+      if (held === delimiter) {
+        held = "";
+        afterClosingQuote = false;
+        endField();
+      }
+      return;
+    }
+    // Not the delimiter after all: keep the longest tail that could still start one
+    let k = 1;
+    while (k < held.length && !delimiter.startsWith(held.slice(k))) k++;
+    const chars = held.slice(0, k);
+    held = held.slice(k);
+    for (const c of chars) literal(c);
+  }
+
+  function push(text, rows = [], lines = null) {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      offset++;
+      column++;
+      charLine = line;
+      charColumn = column;
+      if (char === "\n") {
+        line++;
+        column = 0;
+      }
+
+      if (linesToSkip > 0 || inComment) {
+        if (char === "\n") {
+          if (inComment) inComment = false;
+          else linesToSkip--;
+          rowLine = line;
+        }
+        continue;
+      }
+      if (comment && atRowStart && !inQuotes) {
+        commentHeld += char;
+        if (comment.startsWith(commentHeld)) {
+          if (commentHeld === comment) {
+            commentHeld = "";
+            inComment = true;
+          }
+          continue;
+        }
+        const replay = commentHeld;
+        commentHeld = "";
+        for (const c of replay) step(c, rows, lines);
+        continue;
+      }
+      step(char, rows, lines);
+    }
+    return rows;
+  }
+
+  function end(rows = [], lines = null) {
+    if (commentHeld) {
+      const replay = commentHeld;
+      commentHeld = "";
+      for (const c of replay) step(c, rows, lines);
+    }
+    if (escaping) {
+      escaping = false;
+      field += escapeChar;
+    }
+    if (quotePending) {
+      quotePending = false;
+      inQuotes = false;
+    }
+    if (inQuotes) {
+      report('unterminated-quote', quoteStart, 'Quoted field is never closed; the rest of the input was read into it');
+    }
+    if (!inQuotes) flushHeld();
+    // push last field / row if any
+    if (field !== "" || inQuotes || row.length > 0) {
+      endRow(rows, lines);
+    }
+    inQuotes = false;
+    afterClosingQuote = false;
+    return rows;
+  }
+
+  return { push, end, diagnostics };
+}
+
+export function parseCSV(text, delimiter = ",", opts) {
+  const parser = createCSVParser(delimiter, opts);
+  return parser.end(parser.push(text));
+}
+
+// Like parseCSV, but also returns the line each row starts on and the diagnostics.
+export function parseCSVWithDiagnostics(text, delimiter = ",", opts) {
+  const parser = createCSVParser(delimiter, opts);
+  const lines = [];
+  const rows = parser.end(parser.push(text, [], lines), lines);
+  return { rows, lines, diagnostics: parser.diagnostics };
+}
+
+// ————————————————————————————————————————————————————————————
+// Robust delimiter detection
+// ————————————————————————————————————————————————————————————
+export const CANDIDATES = [",", "\t", ";", "|", ":"]; // common delimiters
+// Tried first so they win ties against the single characters they contain
+export const MULTI_CHAR_CANDIDATES = ["||", "~|~"];
+
+// The first 20 data lines of a sample, after the dialect's skipped and comment lines.
+function sampleLines(sample, { comment = "", skipLines = 0 } = {}) {
+  return sample
+    .split(/\r?\n/)
+    .slice(skipLines)
+    .filter(l => !comment || !l.startsWith(comment))
+    .slice(0, 20)
+    .join("\n");
+}
+
+// Two candidates closer than this are a guess worth double-checking (one matching row).
+export const CLOSE_SCORE_GAP = 100;
+
+/**
+ * Scores every candidate delimiter that splits the sample into at least two rows.
+ * A candidate whose header row has a single column gets `score: null`.
+ *
+ * @param {string} sample The start of the input.
+ * @param {Object} [dialect] Quote/escape/comment/skipLines as for createCSVParser;
+ *   the sample is parsed with them while each candidate is scored.
+ * @returns {{ delimiter: string, columns: number, rows: number, matching: number,
+ *   variance: number, score: number|null }[]} Best first; ties keep candidate order.
+ */
+export function scoreDelimiters(sample, dialect = {}) {
+  const { quote, escape } = dialect;
+  const text = sampleLines(sample, dialect);
+  const scored = [];
+
+  for (const d of [...MULTI_CHAR_CANDIDATES, ...CANDIDATES]) {
+    if (d.length > 1 && !text.includes(d)) continue;
+    const rows = parseCSV(text, d, { quote, escape });
+    if (rows.length < 2) continue; // need header+1
+    const lens = rows.map(r => r.length);
+    const headerCols = lens[0];
+    const nonEmpty = rows.slice(1).filter(r => r.some(c => (c ?? "").trim() !== ""));
+    const matching = nonEmpty.filter(r => r.length === headerCols).length;
+    const uniqueLens = new Set(lens).size;
+    const mean = lens.reduce((a, c) => a + c, 0) / lens.length;
+    const variance = lens.reduce((a, c) => a + (c - mean) ** 2, 0) / lens.length;
+    // score: prefer >1 columns, many rows matching header length, lower variance
+    const score = headerCols > 1 ? matching * 100 - variance * 10 - (uniqueLens - 1) * 5 : null;
+    scored.push({ delimiter: d, columns: headerCols, rows: nonEmpty.length, matching, variance, score });
+  }
+  return scored.sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity));
+}
+
+export function detectDelimiterByStructure(sample, dialect = {}) {
+  const [best] = scoreDelimiters(sample, dialect);
+  return best?.score != null ? best.delimiter : ",";
+}
+
+/**
+ * What delimiter detection saw: the scored candidates and whether the winner
+ * was a close call. The runner-up ignores delimiters contained in the winner
+ * ("|" always ties with "||").
+ *
+ * @param {ReturnType<typeof scoreDelimiters>} candidates
+ * @returns {{ candidates: object[], close: boolean, runnerUp: string|null }}
+ */
+export function delimiterReport(candidates) {
+  const [best] = candidates;
+  const second = best?.score != null
+    ? candidates.find(c => c !== best && c.score != null && !best.delimiter.includes(c.delimiter))
+    : null;
+  const close = !!second && best.score - second.score < CLOSE_SCORE_GAP;
+  return { candidates, close, runnerUp: second?.delimiter ?? null };
+}
+
+// Fields wrapped in `q` between line starts/ends and likely delimiter characters;
+// the quote may appear inside them doubled or backslash-escaped.
+function countQuotedFields(text, q) {
+  const re = new RegExp(`(?:^|[,\\t;|:~])${q}(?:[^${q}\\n\\\\]|\\\\.|${q}${q})*${q}(?=[,\\t;|:~]|\\r?$)`, "gm");
+  return (text.match(re) || []).length;
+}
+
+function guessQuote(text) {
+  return countQuotedFields(text, "'") > countQuotedFields(text, '"') ? "'" : '"';
+}
+
+// Backslash-escaped quotes (\") against doubled ones ("") not forming an empty field.
+function guessEscape(text, quote) {
+  const backslashed = text.split("\\" + quote).length - 1;
+  const doubled = (text.match(new RegExp(`[^,\\t;|:~\\n\\\\]${quote}${quote}`, "g")) || []).length;
+  return backslashed > 0 && backslashed >= doubled ? "\\" : "";
+}
+
+/**
+ * Proposes a dialect for a sample. Settings given as a string (including "" for
+ * "none") are kept; null or undefined ones are detected.
+ *
+ * @param {string} sample
+ * @param {{ delimiter?: string|null, quote?: string|null, escape?: string|null,
+ *   comment?: string, skipLines?: number }} [given]
+ * @returns {{ delimiter: string, quote: string, escape: string,
+ *   report: ReturnType<typeof delimiterReport>|null }} `report` is null when the delimiter was given.
+ */
+export function detectDialect(sample, { delimiter = null, quote = null, escape = null, comment = "", skipLines = 0 } = {}) {
+  const text = sampleLines(sample, { comment, skipLines });
+  const q = quote ?? guessQuote(text);
+  const e = escape ?? (q ? guessEscape(text, q) : "");
+  if (delimiter) return { delimiter, quote: q, escape: e, report: null };
+  const report = delimiterReport(scoreDelimiters(text, { quote: q, escape: e }));
+  const [best] = report.candidates;
+  return { delimiter: best?.score != null ? best.delimiter : ",", quote: q, escape: e, report };
+}
+
+// ————————————————————————————————————————————————————————————
+// JSON → CSV (reverse conversion)
+// ————————————————————————————————————————————————————————————
+// Accepts a JSON array, a single JSON object, or NDJSON (one object per line).
+export function parseJSONRecords(text) {
+  const raw = text.trim();
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (err) {
+    const lines = raw.split(/\r?\n/).filter(l => l.trim() !== "");
+    if (lines.length < 2) throw err;
+    return lines.map((line, i) => {
+      try { return JSON.parse(line); } catch (e) {
+        throw new Error(`Line ${i + 1} is not valid JSON (${e.message || String(e)})`);
+      }
+    });
+  }
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// flatten: 'dot' expands nested objects into a.b.c columns (arrays stay JSON cells);
+// 'json' keeps every nested value as a single stringified JSON cell.
+// A nested object whose columns would collide with another key ({ "a.b": 1, a: { b: 2 } })
+// stays one JSON cell under its own key, so neither value overwrites the other.
+function flattenRecord(record, flatten, prefix = "") {
+  const parts = Object.entries(record).map(([k, v]) => {
+    const key = prefix ? `${prefix}.${k}` : k;
+    const nested = flatten === 'dot' && isPlainObject(v) && Object.keys(v).length > 0;
+    return { key, v, cells: nested ? Object.entries(flattenRecord(v, flatten, key)) : [[key, v]], nested };
+  });
+  const uses = new Map();
+  for (const p of parts) for (const [k] of p.cells) uses.set(k, (uses.get(k) ?? 0) + 1);
+  const out = {};
+  for (const { key, v, cells, nested } of parts) {
+    if (nested && cells.some(([k]) => uses.get(k) > 1)) out[key] = v;
+    else for (const [k, value] of cells) out[k] = value;
+  }
+  return out;
+}
+
+// Inverse of inferScalar / looksLikeJSON: null and booleans are spelled out so
+// type inference restores them, objects/arrays become JSON text.
+function stringifyCell(v) {
+  if (v === undefined) return "";
+  if (v === null) return "null";
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}
+
+// With a multi-character delimiter ("||") any of its characters is quoted: "x|" before
+// "||" would otherwise run into the delimiter and read back as "x" and "|…".
+function quoteCSVField(s, delimiter) {
+  const needsQuotes = s.includes('"') || s.includes("\n") || s.includes("\r") || [...delimiter].some(c => s.includes(c));
+  return needsQuotes ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Rows of cells (as parseCSV returns them) back to CSV text.
+export function rowsToCSV(rows, { delimiter = "," } = {}) {
+  return rows.map(r => r.map(cell => quoteCSVField(cell, delimiter)).join(delimiter)).join("\n");
+}
+
+export function objectsToCSV(records, { delimiter = ",", flatten = 'dot' } = {}) {
+  const flat = records.map(r => isPlainObject(r) ? flattenRecord(r, flatten) : { value: r });
+  // Header row is the union of keys, in order of first appearance
+  const headers = [];
+  const seen = new Set();
+  for (const r of flat) {
+    for (const k of Object.keys(r)) {
+      if (!seen.has(k)) { seen.add(k); headers.push(k); }
+    }
+  }
+  const lines = [headers.map(h => quoteCSVField(h, delimiter)).join(delimiter)];
+  for (const r of flat) {
+    lines.push(headers.map(h => quoteCSVField(stringifyCell(r[h]), delimiter)).join(delimiter));
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,164 @@
+import { objectsToCSV } from "./csv.js";
+
+// ————————————————————————————————————————————————————————————
+// Structural comparison of plain JSON values
+// ————————————————————————————————————————————————————————————
+export function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== typeof b) return false;
+  if (typeof a !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) if (!deepEqual(a[i], b[i])) return false;
+    return true;
+  }
+  const ak = Object.keys(a); const bk = Object.keys(b);
+  if (ak.length !== bk.length) return false;
+  for (const k of ak) if (!deepEqual(a[k], b[k])) return false;
+  return true;
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Field-level differences between two objects. Nested objects are compared
+ * key by key ("address.city"); arrays and scalars are compared as whole values.
+ * Fields appear in the order of `before`, then fields only in `after`.
+ *
+ * @param {object} before
+ * @param {object} after
+ * @returns {{ path: string, change: 'added'|'removed'|'changed', old?: *, new?: * }[]}
+ */
+export function diffFields(before = {}, after = {}, prefix = "", out = []) {
+  for (const [k, oldValue] of Object.entries(before)) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (!Object.prototype.hasOwnProperty.call(after, k)) {
+      out.push({ path, change: 'removed', old: oldValue });
+    } else if (isPlainObject(oldValue) && isPlainObject(after[k])) {
+      diffFields(oldValue, after[k], path, out);
+    } else if (!deepEqual(oldValue, after[k])) {
+      out.push({ path, change: 'changed', old: oldValue, new: after[k] });
+    }
+  }
+  for (const [k, newValue] of Object.entries(after)) {
+    if (!Object.prototype.hasOwnProperty.call(before, k)) {
+      out.push({ path: prefix ? `${prefix}.${k}` : k, change: 'added', new: newValue });
+    }
+  }
+  return out;
+}
+
+// ————————————————————————————————————————————————————————————
+// Keyed diff of two datasets: rows are matched by their key columns, then
+// compared field by field with diffFields, nested JSON cells included.
+// ————————————————————————————————————————————————————————————
+export const DIFF_FORMATS = [
+  { value: 'json', label: "JSON report", extension: "json", contentType: "application/json" },
+  { value: 'csv', label: "CSV, one line per change", extension: "csv", contentType: "text/csv" }
+];
+
+// The form two values are compared in: with ignoreWhitespace, strings are
+// trimmed and inner runs of whitespace count as one space.
+function comparable(v, opts) {
+  if (typeof v === 'string') {
+    let s = opts.ignoreWhitespace ? v.trim().replace(/\s+/g, " ") : v;
+    if (opts.ignoreCase) s = s.toLowerCase();
+    return s;
+  }
+  if (Array.isArray(v)) return v.map(x => comparable(x, opts));
+  if (isPlainObject(v)) return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, comparable(x, opts)]));
+  return v;
+}
+
+function keyLabel(key) {
+  return Object.entries(key).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`).join(", ");
+}
+
+function indexRows(rows, keys, side, opts) {
+  for (const k of keys) {
+    if (rows.length && !rows.some(r => Object.prototype.hasOwnProperty.call(r, k))) throw new Error(`Key column "${k}" is not in the ${side} data`);
+  }
+  const index = new Map();
+  rows.forEach((row, i) => {
+    const key = Object.fromEntries(keys.map(k => [k, row[k]]));
+    const missing = keys.find(k => row[k] === undefined || row[k] === null || row[k] === "");
+    if (missing) throw new Error(`Row ${i + 1} of the ${side} data has no "${missing}" value`);
+    const id = JSON.stringify(keys.map(k => comparable(row[k], opts)));
+    const seen = index.get(id);
+    if (seen) throw new Error(`Rows ${seen.at + 1} and ${i + 1} of the ${side} data share the key ${keyLabel(key)}`);
+    index.set(id, { key, row, at: i });
+  });
+  return index;
+}
+
+/**
+ * Matches the rows of two datasets by key columns and reports the rows only in
+ * `after` (added), only in `before` (removed), and the field-level changes of
+ * the rows in both (see diffFields; paths reach into nested JSON cells).
+ *
+ * @param {object[]} before
+ * @param {object[]} after
+ * @param {{ keys: string[], ignore?: string[], ignoreWhitespace?: boolean, ignoreCase?: boolean }} opts
+ *   `ignore` lists fields left out of the comparison, top-level columns or paths
+ *   such as "address.zip"; the two ignore flags also apply when matching keys.
+ * @returns {{ keys: string[], added: { key: object, row: object }[], removed: { key: object, row: object }[],
+ *   changed: { key: object, before: object, after: object, changes: object[] }[], unchanged: number }}
+ *   `removed` and `changed` follow the order of `before`, `added` that of `after`.
+ * @throws {Error} When no key is given, a key column is missing or empty, or two
+ *   rows of one dataset share a key.
+ */
+export function diffDatasets(before, after, { keys = [], ignore = [], ignoreWhitespace = false, ignoreCase = false } = {}) {
+  if (!keys.length) throw new Error("Choose the key column(s) to match rows by");
+  const opts = { ignoreWhitespace, ignoreCase };
+  const old = indexRows(before, keys, "before", opts);
+  const current = indexRows(after, keys, "after", opts);
+  const ignored = path => ignore.some(p => path === p || path.startsWith(p + "."));
+  const result = { keys, added: [], removed: [], changed: [], unchanged: 0 };
+  for (const [id, { key, row }] of old) {
+    const match = current.get(id);
+    if (!match) {
+      result.removed.push({ key, row });
+      continue;
+    }
+    const changes = diffFields(row, match.row).filter(c =>
+      !ignored(c.path) && !(c.change === 'changed' && deepEqual(comparable(c.old, opts), comparable(c.new, opts))));
+    if (changes.length) result.changed.push({ key, before: row, after: match.row, changes });
+    else result.unchanged++;
+  }
+  for (const [id, { key, row }] of current) {
+    if (!old.has(id)) result.added.push({ key, row });
+  }
+  return result;
+}
+
+/**
+ * A diff as one record per change: { change, ...key columns, field, before, after }.
+ * Added and removed rows are one record each, holding the whole row; changed rows
+ * give one record per changed field, `field` being its path.
+ */
+export function diffRecords({ added, removed, changed }) {
+  return [
+    ...added.map(a => ({ change: 'added', ...a.key, field: "", before: undefined, after: a.row })),
+    ...removed.map(r => ({ change: 'removed', ...r.key, field: "", before: r.row, after: undefined })),
+    ...changed.flatMap(c => c.changes.map(f => ({ change: 'changed', ...c.key, field: f.path, before: f.old, after: f.new })))
+  ];
+}
+
+/**
+ * Writes a diff as a JSON report (counts, then the added, removed and changed
+ * rows) or as CSV with one line per change (see diffRecords).
+ *
+ * @param {ReturnType<typeof diffDatasets>} diff
+ * @param {{ format?: 'json'|'csv', indent?: number }} [opts]
+ * @returns {string}
+ */
+export function formatDiff(diff, { format = 'json', indent = 2 } = {}) {
+  // Whole rows and nested values stay single JSON cells rather than spreading into columns
+  if (format === 'csv') return objectsToCSV(diffRecords(diff), { flatten: 'json' });
+  const { keys, added, removed, changed, unchanged } = diff;
+  const summary = { keys, added: added.length, removed: removed.length, changed: changed.length, unchanged };
+  return JSON.stringify({ summary, added, removed, changed }, null, indent || undefined);
+}
@@ -0,0 +1,307 @@
+import { diffFields } from "./diff.js";
+
+// ————————————————————————————————————————————————————————————
+// DynamoDB AttributeValue (AV) unmarshalling
+// ————————————————————————————————————————————————————————————
+const AV_KEYS = new Set(["S","N","BOOL","NULL","M","L","SS","NS","BS","B"]);
+
+export function isAttributeValue(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return false;
+  const keys = Object.keys(obj);
+  if (keys.length !== 1) return false;
+  return AV_KEYS.has(keys[0]);
+}
+
+// Unmarshalling options (all optional):
+//   numbers: how N/NS become values — 'number' (Number(), may lose precision),
+//            'safe' (Number when lossless, otherwise the digit string), 'string'
+//            (always the digit string), or 'decimal' ({ $numberDecimal: "…" }).
+//   binary:  how B/BS become values — 'base64' (as stored), 'hex', or 'utf8'
+//            (text when the bytes are valid UTF-8, otherwise base64).
+//   mapString: applied to S/SS values and other plain strings (type inference
+//            hooks in here so it never touches N values kept as strings).
+//   precisionLoss: array that receives the path of every N value that Number()
+//            cannot represent exactly ("price", "items[2].qty", …).
+export function unmarshallAV(av, opts = {}, path = "") {
+  const [t] = Object.keys(av);
+  const v = av[t];
+  const str = opts.mapString || (x => x);
+  switch (t) {
+    case 'S': return str(String(v));
+    case 'N': return unmarshallNumber(v, opts, path);
+    case 'BOOL': return Boolean(v);
+    case 'NULL': return null;
+    case 'SS': return Array.isArray(v) ? v.map(x => str(String(x))) : [];
+    case 'NS': return Array.isArray(v) ? v.map((x, i) => unmarshallNumber(x, opts, `${path}[${i}]`)) : [];
+    case 'L': return Array.isArray(v) ? v.map((x, i) => unmarshallDeep(x, opts, `${path}[${i}]`)) : [];
+    case 'M': return unmarshallMap(v, opts, path);
+    case 'B': return decodeBinary(v, opts.binary);
+    case 'BS': return Array.isArray(v) ? v.map(x => decodeBinary(x, opts.binary)) : v;
+    default: return v;
+  }
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function unmarshallMap(obj, opts, path) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj || {})) {
+    out[k] = unmarshallDeep(v, opts, joinPath(path, k));
+  }
+  return out;
+}
+
+function maybeMapOfAVs(obj) {
+  const entries = Object.values(obj || {});
+  if (entries.length === 0) return false;
+  return entries.every(x => isAttributeValue(x));
+}
+
+export function unmarshallDeep(value, opts = {}, path = "") {
+  if (isAttributeValue(value)) return unmarshallAV(value, opts, path);
+  if (Array.isArray(value)) return value.map((x, i) => unmarshallDeep(x, opts, `${path}[${i}]`));
+  if (value && typeof value === 'object') {
+    if (value.M && isAttributeValue({ M: value.M })) return unmarshallAV({ M: value.M }, opts, path);
+    if (maybeMapOfAVs(value)) return unmarshallMap(value, opts, path);
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = unmarshallDeep(v, opts, joinPath(path, k));
+    return out;
+  }
+  if (typeof value === 'string' && opts.mapString) return opts.mapString(value);
+  return value;
+}
+
+/**
+ * Unmarshalls one whole item. A marshalled item is a map of attribute names to
+ * AVs, so its keys are never read as a type tag: an item whose only attribute
+ * is named S or M ({ S: { S: "x" } }) comes back as { S: "x" } rather than
+ * being taken for an AV itself. Anything else goes through unmarshallDeep.
+ */
+export function unmarshallItem(item, opts = {}) {
+  return maybeMapOfAVs(item) ? unmarshallMap(item, opts, "") : unmarshallDeep(item, opts);
+}
+
+// ————————————————————————————————————————————————————————————
+// N precision + B decoding
+// ————————————————————————————————————————————————————————————
+// Canonical "digits:exponent" form of a decimal string, so "1.50", "15e-1" and
+// "1.5" compare equal; null when the text is not a plain decimal number.
+function canonicalDecimal(text) {
+  const m = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(String(text).trim());
+  if (!m || (m[2] === "" && !m[3])) return null;
+  let digits = (m[2] + (m[3] || "")).replace(/^0+/, "");
+  let exp = Number(m[4] || 0) - (m[3] || "").length;
+  if (!digits) return "0";
+  const trailing = digits.length - digits.replace(/0+$/, "").length;
+  digits = digits.slice(0, digits.length - trailing);
+  exp += trailing;
+  return `${m[1] === '-' ? '-' : ''}${digits}:${exp}`;
+}
+
+// True when Number(text) holds exactly the value DynamoDB stored.
+export function isLosslessNumber(text) {
+  const n = Number(text);
+  if (!Number.isFinite(n)) return false;
+  const want = canonicalDecimal(text);
+  return want !== null && want === canonicalDecimal(String(n));
+}
+
+function unmarshallNumber(v, opts, path) {
+  const text = String(v);
+  const mode = opts.numbers || 'number';
+  if (mode === 'string') return text;
+  if (mode === 'decimal') return { $numberDecimal: text };
+  if (isLosslessNumber(text)) return Number(text);
+  if (opts.precisionLoss) opts.precisionLoss.push(path || "(value)");
+  return mode === 'safe' ? text : Number(text);
+}
+
+function base64ToBytes(b64) {
+  const bin = atob(String(b64));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function decodeBinary(v, mode = 'base64') {
+  if (mode === 'base64' || typeof v !== 'string') return v;
+  let bytes;
+  try {
+    bytes = base64ToBytes(v);
+  } catch {
+    return v; // not valid base64; leave as-is
+  }
+  if (mode === 'hex') return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return v;
+  }
+}
+
+// ————————————————————————————————————————————————————————————
+// DynamoDB AttributeValue (AV) marshalling — inverse of unmarshallDeep
+// ————————————————————————————————————————————————————————————
+// N text with every digit written out: String() switches to exponent form from
+// 1e21 up and below 1e-6 ("1e+21", "1.5e-7").
+function numberText(n) {
+  const s = String(n);
+  const m = /^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/.exec(s);
+  if (!m) return s;
+  const [, sign, lead, fraction = ""] = m;
+  const digits = lead + fraction;
+  const exp = Number(m[4]) - fraction.length;
+  if (exp >= 0) return sign + digits + "0".repeat(exp);
+  const point = digits.length + exp;
+  return sign + (point > 0 ? `${digits.slice(0, point)}.${digits.slice(point)}` : `0.${"0".repeat(-point)}${digits}`);
+}
+
+// detectSets: emit SS/NS for non-empty arrays of unique strings/numbers instead of L.
+export function marshallValue(value, { detectSets = false } = {}) {
+  if (value === null || value === undefined) return { NULL: true };
+  switch (typeof value) {
+    case 'string': return { S: value };
+    case 'boolean': return { BOOL: value };
+    case 'bigint': return { N: value.toString() };
+    case 'number':
+      if (!Number.isFinite(value)) throw new Error(`Cannot marshall non-finite number ${value}`);
+      return { N: numberText(value) };
+    default: break;
+  }
+  if (Array.isArray(value)) {
+    if (detectSets && value.length > 0 && new Set(value).size === value.length) {
+      if (value.every(x => typeof x === 'string')) return { SS: [...value] };
+      if (value.every(x => typeof x === 'number' && Number.isFinite(x))) return { NS: value.map(numberText) };
+    }
+    return { L: value.map(x => marshallValue(x, { detectSets })) };
+  }
+  if (typeof value === 'object') {
+    // Tagged decimals from unmarshalling with numbers: 'decimal' go back to N unchanged
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$numberDecimal' && typeof value.$numberDecimal === 'string') {
+      return { N: value.$numberDecimal };
+    }
+    return { M: marshallItem(value, { detectSets }) };
+  }
+  throw new Error(`Cannot marshall value of type ${typeof value}`);
+}
+
+export function marshallItem(obj, opts) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) out[k] = marshallValue(v, opts);
+  return out;
+}
+
+// Splits items into BatchWriteItem request bodies (DynamoDB caps a batch at 25 puts).
+export const BATCH_WRITE_LIMIT = 25;
+export function toBatchWriteRequests(items, tableName) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += BATCH_WRITE_LIMIT) {
+    const chunk = items.slice(i, i + BATCH_WRITE_LIMIT);
+    batches.push({ RequestItems: { [tableName]: chunk.map(Item => ({ PutRequest: { Item } })) } });
+  }
+  return batches;
+}
+
+// ————————————————————————————————————————————————————————————
+// DynamoDB export and API envelopes
+// ————————————————————————————————————————————————————————————
+// What the AWS tooling actually hands out, as parsed JSON documents (one per
+// line for JSON Lines, see parseJSONRecords):
+//   'export'  Export to S3 JSON Lines, or GetItem output: { "Item": {...} }
+//   'scan'    scan/query output: { "Items": [...], "Count", "LastEvaluatedKey" };
+//             several pages may be concatenated
+//   'stream'  DynamoDB Streams / Lambda event records: { "Records": [...] } or
+//             the records themselves ({ eventName, dynamodb: { Keys, NewImage, OldImage } })
+//   'items'   bare AV maps
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isStreamRecord(doc) {
+  return isPlainObject(doc) && typeof doc.eventName === 'string' && isPlainObject(doc.dynamodb);
+}
+
+function envelopeKind(doc) {
+  if (!isPlainObject(doc)) return 'items';
+  if (Array.isArray(doc.Items)) return 'scan';
+  if (Array.isArray(doc.Records) && doc.Records.every(isStreamRecord)) return 'stream';
+  if (isStreamRecord(doc)) return 'stream';
+  // An item with a single attribute named Item would be { Item: { S: … } }
+  if (isPlainObject(doc.Item) && !isAttributeValue(doc.Item) && Object.keys(doc).every(k => k === 'Item' || k === 'ConsumedCapacity')) return 'export';
+  return 'items';
+}
+
+// The item a stream record stands for: the new image, or for REMOVE the old
+// one; KEYS_ONLY streams only carry the keys.
+function streamRecordItem(record) {
+  const { NewImage, OldImage, Keys } = record.dynamodb;
+  return (record.eventName === 'REMOVE' ? OldImage : NewImage) ?? NewImage ?? OldImage ?? Keys ?? {};
+}
+
+/**
+ * Unwraps parsed DynamoDB JSON documents into AV items.
+ *
+ * @param {object[]} docs
+ * @returns {{ format: 'export'|'scan'|'stream'|'items'|'mixed', items: object[], records: object[],
+ *   count: number|null, lastEvaluatedKey: object|null }}
+ *   `items` are still marshalled; `records` are the raw stream records; `count` is the sum
+ *   of the scan pages' Count; `lastEvaluatedKey` is the last page's, when more pages remain.
+ */
+export function unwrapDynamoDBExport(docs) {
+  const kinds = new Set();
+  const items = [];
+  const records = [];
+  let count = null;
+  let lastEvaluatedKey = null;
+  for (const doc of docs) {
+    const kind = envelopeKind(doc);
+    kinds.add(kind);
+    // Appended one at a time: spreading a large page into push() overflows the call stack
+    if (kind === 'scan') {
+      for (const item of doc.Items) items.push(item);
+      if (typeof doc.Count === 'number') count = (count ?? 0) + doc.Count;
+      lastEvaluatedKey = doc.LastEvaluatedKey ?? null;
+    } else if (kind === 'stream') {
+      const recs = Array.isArray(doc.Records) ? doc.Records : [doc];
+      for (const rec of recs) {
+        records.push(rec);
+        items.push(streamRecordItem(rec));
+      }
+    } else if (kind === 'export') {
+      items.push(doc.Item);
+    } else {
+      items.push(doc);
+    }
+  }
+  const format = kinds.size === 1 ? [...kinds][0] : kinds.size === 0 ? 'items' : 'mixed';
+  return { format, items, records, count, lastEvaluatedKey };
+}
+
+/**
+ * One entry per stream record: the event, the item's key and what changed.
+ * `changes` is null for a MODIFY whose stream view type lacks an image to compare.
+ *
+ * @param {object[]} records Raw stream records from {@link unwrapDynamoDBExport}.
+ * @param {object} [opts] unmarshallDeep options for the keys and values.
+ */
+export function streamRecordChanges(records, opts = {}) {
+  return records.map(record => {
+    const { Keys, NewImage, OldImage } = record.dynamodb;
+    const image = av => (av ? unmarshallDeep({ M: av }, opts) : undefined);
+    const before = image(OldImage);
+    const after = image(NewImage);
+    let changes = null;
+    if (record.eventName === 'INSERT' && after) changes = diffFields({}, after);
+    else if (record.eventName === 'REMOVE' && before) changes = diffFields(before, {});
+    else if (before && after) changes = diffFields(before, after);
+    return {
+      eventName: record.eventName,
+      ...(record.eventID ? { eventID: record.eventID } : {}),
+      keys: image(Keys ?? {}),
+      changes
+    };
+  });
+}
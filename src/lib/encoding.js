@@ -0,0 +1,122 @@
+// ————————————————————————————————————————————————————————————
+// Character encodings for uploaded bytes: BOM sniffing, a heuristic for files
+// without one, and decoding that always drops the BOM so it never ends up
+// glued to the first header name.
+//
+// The single-byte encodings are decoded by hand: TextDecoder("iso-8859-1") is
+// Windows-1252 in every browser (the WHATWG Encoding spec maps the label), and
+// not every runtime maps Windows-1252's 0x80–0x9F range.
+// ————————————————————————————————————————————————————————————
+export const ENCODINGS = [
+  { value: 'utf-8', label: "UTF-8" },
+  { value: 'utf-16le', label: "UTF-16LE" },
+  { value: 'utf-16be', label: "UTF-16BE" },
+  { value: 'windows-1252', label: "Windows-1252" },
+  { value: 'iso-8859-1', label: "ISO-8859-1" }
+];
+
+// Bytes a detection looks at; enough for any header row and plenty of data.
+export const ENCODING_SAMPLE_BYTES = 64 * 1024;
+
+const BOMS = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+function findBOM(bytes) {
+  return BOMS.find(b => b.bytes.every((x, i) => bytes[i] === x)) || null;
+}
+
+// Windows-1252 leaves these undefined; seeing them points at Latin-1's C1 controls.
+const UNDEFINED_1252 = new Set([0x81, 0x8d, 0x8f, 0x90, 0x9d]);
+
+/**
+ * Guesses the encoding of a file from its first bytes.
+ *
+ * @param {Uint8Array} bytes The start of the file (or all of it).
+ * @param {{ complete?: boolean }} [opts] `complete` says `bytes` is the whole file,
+ *   so a multi-byte sequence cut at the end counts as invalid UTF-8.
+ * @returns {{ encoding: string, bom: boolean, reason: string }}
+ */
+export function detectEncoding(bytes, { complete = true } = {}) {
+  const bom = findBOM(bytes);
+  if (bom) return { encoding: bom.encoding, bom: true, reason: "byte order mark" };
+
+  const sample = bytes.subarray(0, ENCODING_SAMPLE_BYTES);
+  const truncated = !complete || sample.length < bytes.length;
+  // UTF-16 text that is mostly ASCII has a zero in every other byte
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) i % 2 ? oddZeros++ : evenZeros++;
+  }
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs && oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) {
+    return { encoding: 'utf-16le', bom: false, reason: "zero high bytes in UTF-16LE positions" };
+  }
+  if (pairs && evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) {
+    return { encoding: 'utf-16be', bom: false, reason: "zero high bytes in UTF-16BE positions" };
+  }
+
+  let high = 0;
+  let undefined1252 = 0;
+  for (const b of sample) {
+    if (b >= 0x80) high++;
+    if (UNDEFINED_1252.has(b)) undefined1252++;
+  }
+  if (!high) return { encoding: 'utf-8', bom: false, reason: "plain ASCII" };
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: truncated });
+    return { encoding: 'utf-8', bom: false, reason: "valid UTF-8" };
+  } catch {
+    // not UTF-8; fall through to the single-byte encodings
+  }
+  if (undefined1252) {
+    return { encoding: 'iso-8859-1', bom: false, reason: "bytes Windows-1252 leaves undefined" };
+  }
+  return { encoding: 'windows-1252', bom: false, reason: "not valid UTF-8" };
+}
+
+// Windows-1252 0x80–0x9F; the undefined bytes keep their Latin-1 code points.
+const CP1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021, 0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178
+];
+
+function decodeSingleByte(bytes, cp1252) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    const chunk = Array.from(bytes.subarray(i, i + 0x8000));
+    if (cp1252) chunk.forEach((b, j) => { if (b >= 0x80 && b <= 0x9f) chunk[j] = CP1252_HIGH[b - 0x80]; });
+    out += String.fromCharCode.apply(null, chunk);
+  }
+  return out;
+}
+
+/**
+ * Incremental decoder for one of {@link ENCODINGS}. A BOM at the very start is
+ * dropped whatever the encoding, so an override never turns it into "ï»¿".
+ * decode() takes the same { stream } option as TextDecoder.
+ *
+ * @param {string} encoding
+ */
+export function createDecoder(encoding) {
+  const singleByte = encoding === 'iso-8859-1' || encoding === 'windows-1252';
+  const decoder = singleByte ? null : new TextDecoder(encoding, { ignoreBOM: true });
+  let first = true;
+  return {
+    decode(bytes = new Uint8Array(0), { stream = false } = {}) {
+      if (first && bytes.length) {
+        first = false;
+        const bom = findBOM(bytes);
+        if (bom) bytes = bytes.subarray(bom.bytes.length);
+      }
+      return singleByte ? decodeSingleByte(bytes, encoding === 'windows-1252') : decoder.decode(bytes, { stream });
+    }
+  };
+}
+
+export function decodeBytes(bytes, encoding) {
+  return createDecoder(encoding).decode(bytes);
+}
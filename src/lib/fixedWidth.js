@@ -0,0 +1,123 @@
+import { detectHeaderRow, HEADER_SAMPLE_ROWS } from "./convert.js";
+
+// ————————————————————————————————————————————————————————————
+// Fixed-width text: mainframe extracts and bank reports that line columns up
+// with spaces instead of separating them. A layout is a list of
+//   { name, start, width }
+// with `start` the 1-based character position where the column begins. Cells
+// are the trimmed text between those positions; the rows then go through the
+// same conversion as parsed CSV (see convert's 'fixed' mode).
+// ————————————————————————————————————————————————————————————
+// Lines the suggested layout is taken from.
+export const FIXED_SAMPLE_LINES = 50;
+
+// The lines of the input after skipLines and comment lines, with their 1-based line numbers.
+function inputLines(text, { skipLines = 0, comment = '' } = {}) {
+  const out = [];
+  text.replace(/^\uFEFF/, "").split(/\r\n|\n|\r/).forEach((line, i) => {
+    if (i < skipLines || (comment && line.startsWith(comment))) return;
+    out.push({ line: i + 1, text: line.replace(/\t/g, " ") });
+  });
+  if (out.length && out[out.length - 1].text === "") out.pop();
+  return out;
+}
+
+/**
+ * Suggests a layout from whitespace alignment: a character position that is a
+ * space on every sampled line separates two columns. A column whose values all
+ * end at the same position is right-aligned (amounts, counts) and also takes
+ * the spaces before it, so longer values further down still fit. Names come
+ * from the first line when it reads as a header (see detectHeaderRow).
+ *
+ * @param {string} text
+ * @param {{ skipLines?: number, comment?: string, sampleLines?: number }} [opts]
+ * @returns {{ name: string, start: number, width: number }[]}
+ */
+export function suggestFixedColumns(text, { skipLines = 0, comment = '', sampleLines = FIXED_SAMPLE_LINES } = {}) {
+  const lines = inputLines(text, { skipLines, comment }).filter(l => l.text.trim() !== "").slice(0, sampleLines).map(l => l.text);
+  const length = lines.reduce((n, l) => Math.max(n, l.length), 0);
+  const filled = new Array(length).fill(false);
+  for (const l of lines) {
+    for (let i = 0; i < l.length; i++) if (l[i] !== " ") filled[i] = true;
+  }
+  // Runs of positions holding text on some line, as [start, end) pairs
+  const runs = [];
+  for (let i = 0; i < length; i++) {
+    if (!filled[i]) continue;
+    const start = i;
+    while (i < length && filled[i]) i++;
+    runs.push([start, i]);
+  }
+  const starts = runs.map(([start, end], k) => {
+    if (k === 0) return 0;
+    const values = lines.map(l => l.slice(start, end)).filter(v => v.trim() !== "");
+    const rightAligned = values.length > 0 && values.every(v => v[v.length - 1] !== " ") && values.some(v => v[0] === " ");
+    return rightAligned ? runs[k - 1][1] + 1 : start;
+  });
+  const columns = starts.map((start, k) => ({ name: "", start: start + 1, width: (starts[k + 1] ?? length) - start }));
+  const rows = lines.slice(0, HEADER_SAMPLE_ROWS + 1).map(l => sliceLine(l, columns));
+  const names = rows.length && detectHeaderRow(rows).header ? rows[0] : [];
+  return columns.map((c, i) => ({ ...c, name: names[i] || `col_${i + 1}` }));
+}
+
+/**
+ * Checks a layout, as the UI and the CLI take it from the user.
+ *
+ * @param {*} columns
+ * @throws {Error} When a column is malformed, or two columns overlap.
+ */
+export function checkFixedColumns(columns) {
+  if (!Array.isArray(columns) || !columns.length) throw new Error("A fixed-width layout needs at least one column");
+  columns.forEach((c, i) => {
+    const label = `Column ${i + 1}${c?.name ? ` "${c.name}"` : ""}`;
+    if (typeof c?.name !== 'string') throw new Error(`${label} has no name`);
+    if (!Number.isInteger(c.start) || c.start < 1) throw new Error(`${label} must start at position 1 or later`);
+    if (!Number.isInteger(c.width) || c.width < 1) throw new Error(`${label} must be at least 1 character wide`);
+  });
+  const byStart = columns.map((c, i) => ({ ...c, i })).sort((a, b) => a.start - b.start);
+  for (let k = 1; k < byStart.length; k++) {
+    const [a, b] = [byStart[k - 1], byStart[k]];
+    if (a.start + a.width > b.start) throw new Error(`Columns "${a.name || a.i + 1}" and "${b.name || b.i + 1}" overlap at position ${b.start}`);
+  }
+}
+
+function sliceLine(line, columns) {
+  return columns.map(c => line.slice(c.start - 1, c.start - 1 + c.width).trim());
+}
+
+// An 'extra-columns' finding for a line with text past the end of the layout, or null.
+// A suggested layout only sees the sampled lines, so a longer last value further down
+// would otherwise be cut off without a word.
+function pastLayoutDiagnostic(text, last, row, line) {
+  const end = last.start - 1 + last.width;
+  const rest = text.slice(end);
+  const at = rest.search(/\S/);
+  if (at < 0) return null;
+  return {
+    kind: 'extra-columns',
+    row,
+    line,
+    column: end + at + 1,
+    offset: null,
+    message: `Text past the last column is cut off: "${rest.trim()}"; widen "${last.name}" to keep it`
+  };
+}
+
+/**
+ * Cuts each line of the input into the layout's cells, trimmed. Text between
+ * columns is ignored, and blank lines give blank rows, which conversion skips.
+ * Text past the last column is reported, as it usually means the layout is too narrow.
+ *
+ * @param {string} text
+ * @param {{ name: string, start: number, width: number }[]} columns
+ * @param {{ skipLines?: number, comment?: string }} [opts]
+ * @returns {{ rows: string[][], lines: number[], diagnostics: object[] }} `lines` holds each
+ *   row's 1-based line; `diagnostics` the lines with text past the last column.
+ */
+export function parseFixedWidth(text, columns, opts = {}) {
+  const lines = inputLines(text, opts);
+  const last = columns.reduce((a, c) => (c.start + c.width > a.start + a.width ? c : a));
+  const diagnostics = lines.map((l, i) => pastLayoutDiagnostic(l.text, last, i + 1, l.line)).filter(Boolean);
+  return { rows: lines.map(l => sliceLine(l.text, columns)), lines: lines.map(l => l.line), diagnostics };
+}
+
@@ -0,0 +1,153 @@
+// ————————————————————————————————————————————————————————————
+// Tables from clipboard HTML. Google Sheets, Excel and web pages (Confluence,
+// wikis) copy a range as a text/html <table> next to tab-separated text; the
+// HTML keeps what the text loses: merged cells and line breaks inside cells.
+// This is a lenient scanner rather than a DOM parser, so it also runs in Node
+// and in workers, and copes with the unclosed <td>/<tr> tags HTML allows.
+// ————————————————————————————————————————————————————————————
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0" };
+const TAG_RE = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<[!?][^>]*>/g;
+const ATTRIBUTE_RE = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+// Elements whose content is not text of the page
+const RAW_TEXT = new Set(["script", "style", "title", "textarea", "template"]);
+// Elements that start a new line inside a cell
+const BLOCKS = new Set(["p", "div", "li", "ul", "ol", "h1", "h2", "h3", "h4", "h5", "h6", "pre", "blockquote"]);
+// Spans larger than this are taken as mistakes rather than padding a huge grid
+const MAX_SPAN = 1000;
+
+function decodeEntities(s) {
+  if (!s.includes("&")) return s;
+  return s.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);?/g, (m, e) => {
+    if (e[0] !== "#") return HTML_ENTITIES[e.toLowerCase()] ?? m;
+    const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1));
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+  });
+}
+
+function attributes(text) {
+  const out = {};
+  for (const m of text.matchAll(ATTRIBUTE_RE)) out[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  return out;
+}
+
+function span(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, MAX_SPAN) : 1;
+}
+
+// Whitespace runs become one space, line by line; blank lines at either end go.
+function cellText(text) {
+  return text.split("\n").map(l => l.replace(/[ \t\r\f\u00a0]+/g, " ").trim()).join("\n").replace(/^\n+|\n+$/g, "");
+}
+
+// Places cells in a grid, a merged cell's text filling every position it covers.
+// `rowspan="0"` reaches the last row.
+function layout(rows) {
+  const grid = rows.map(() => []);
+  rows.forEach((cells, r) => {
+    let c = 0;
+    for (const cell of cells) {
+      while (grid[r][c] !== undefined) c++;
+      const down = Math.min(cell.rowspan === 0 ? rows.length : cell.rowspan, rows.length - r);
+      for (let dr = 0; dr < down; dr++) {
+        for (let dc = 0; dc < cell.colspan; dc++) grid[r + dr][c + dc] = cell.text;
+      }
+      c += cell.colspan;
+    }
+  });
+  const width = grid.reduce((w, row) => Math.max(w, row.length), 0);
+  return grid.map(row => Array.from({ length: width }, (_, i) => row[i] ?? ""));
+}
+
+/**
+ * Every <table> in an HTML fragment, in document order; a table inside a cell
+ * is listed separately and leaves that cell without its text.
+ *
+ * @param {string} html
+ * @returns {{ caption: string|null, rows: string[][] }[]} Rows as parseCSV returns
+ *   them, rectangular, with `<br>` and paragraphs as line breaks inside cells.
+ *   Tables without cells are left out.
+ */
+export function parseHTMLTables(html) {
+  const found = [];
+  const open = []; // tables being read, innermost last
+  const top = () => open[open.length - 1];
+  const endCell = t => {
+    if (!t?.cell) return;
+    t.row.push({ ...t.cell, text: cellText(t.cell.text) });
+    t.cell = null;
+  };
+  const endRow = t => {
+    endCell(t);
+    if (t?.row) {
+      if (t.row.length) t.rows.push(t.row);
+      t.row = null;
+    }
+  };
+  const append = s => {
+    const t = top();
+    if (t?.cell) t.cell.text += s;
+    else if (t?.inCaption) t.caption += s;
+  };
+  const newLine = () => {
+    const t = top();
+    if (t?.cell && t.cell.text && !t.cell.text.endsWith("\n")) t.cell.text += "\n";
+  };
+
+  let at = 0;
+  for (let m; (m = TAG_RE.exec(html)) !== null;) {
+    if (m.index > at) append(decodeEntities(html.slice(at, m.index)).replace(/\n/g, " "));
+    at = TAG_RE.lastIndex;
+    if (!m[2]) continue; // comment, doctype or processing instruction
+    const closing = m[1] === "/";
+    const name = m[2].toLowerCase();
+    if (!closing && RAW_TEXT.has(name)) {
+      const end = html.toLowerCase().indexOf(`</${name}`, at);
+      at = TAG_RE.lastIndex = end < 0 ? html.length : end;
+      continue;
+    }
+    const t = top();
+    if (name === "table") {
+      if (closing) {
+        if (!t) continue;
+        endRow(t);
+        open.pop();
+        t.result.rows = layout(t.rows);
+        t.result.caption = t.caption ? cellText(t.caption) || null : null;
+      } else {
+        const result = { caption: null, rows: [] };
+        found.push(result);
+        open.push({ result, rows: [], row: null, cell: null, caption: "", inCaption: false });
+      }
+    } else if (!t) {
+      continue;
+    } else if (name === "caption") {
+      t.inCaption = !closing;
+    } else if (name === "tr") {
+      endRow(t);
+      if (!closing) t.row = [];
+    } else if (name === "td" || name === "th") {
+      endCell(t);
+      if (!closing) {
+        if (!t.row) t.row = [];
+        const a = attributes(m[3]);
+        t.cell = { text: "", colspan: span(a.colspan), rowspan: a.rowspan === "0" ? 0 : span(a.rowspan) };
+      }
+    } else if (name === "thead" || name === "tbody" || name === "tfoot") {
+      endRow(t);
+    } else if (name === "br") {
+      append("\n");
+    } else if (BLOCKS.has(name)) {
+      newLine();
+    }
+  }
+  if (at < html.length) append(decodeEntities(html.slice(at)).replace(/\n/g, " "));
+  // Tables left open by a truncated fragment still count
+  while (open.length) {
+    const t = open.pop();
+    endRow(t);
+    t.result.rows = layout(t.rows);
+    t.result.caption = t.caption ? cellText(t.caption) || null : null;
+  }
+  return found.filter(t => t.rows.length);
+}
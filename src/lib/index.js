@@ -0,0 +1,332 @@
+import { parseCSVWithDiagnostics, detectDialect, parseJSONRecords, MAX_DIAGNOSTICS } from "./csv.js";
+import { unmarshallItem, unwrapDynamoDBExport, streamRecordChanges } from "./dynamodb.js";
+import {
+  coerceDeep,
+  convertRowsToObjects,
+  unmarshallOptions,
+  normalizeHeaders,
+  headerPaths,
+  headerCollisionDiagnostics,
+  unflattenObject,
+  mappedHeaders,
+  fixedTypeColumns,
+  generatedHeaders,
+  dedupeHeaders,
+  headerDiagnostics,
+  HEADER_NOTE_KINDS,
+  detectHeaderRow,
+  HEADER_SAMPLE_ROWS,
+  columnSources,
+  isBlankRow
+} from "./convert.js";
+import { inferColumnTypes, DEFAULT_NULL_TOKENS } from "./columnTypes.js";
+import { compilePipeline, applyTransform } from "./transform.js";
+import { suggestFixedColumns, checkFixedColumns, parseFixedWidth } from "./fixedWidth.js";
+
+export * from "./csv.js";
+export * from "./dynamodb.js";
+export * from "./convert.js";
+export * from "./columnTypes.js";
+export * from "./diff.js";
+export * from "./encoding.js";
+export * from "./presets.js";
+export * from "./output.js";
+export * from "./schema.js";
+export * from "./profile.js";
+export * from "./validate.js";
+export * from "./sql.js";
+export * from "./transform.js";
+export * from "./fixedWidth.js";
+export * from "./htmlTable.js";
+export * from "./zip.js";
+export * from "./spreadsheet.js";
+
+// ————————————————————————————————————————————————————————————
+// Converter entry point shared by the web UI and the csv-json CLI.
+// ————————————————————————————————————————————————————————————
+
+/**
+ * Options accepted by {@link convert}. Every switch mirrors a control in the UI,
+ * with the same defaults, so the same settings produce the same output.
+ *
+ * @typedef {Object} ConvertOptions
+ * @property {'csv'|'fixed'|'ddb'} [mode='csv'] `csv` parses delimited text with a header row;
+ *   `fixed` cuts fixed-width text into the `fixedColumns` layout;
+ *   `ddb` reads DynamoDB JSON: one item or an array of them, Export to S3 JSON Lines,
+ *   scan/query output, or Streams records (see unwrapDynamoDBExport).
+ * @property {{ name: string, start: number, width: number }[]|null} [fixedColumns=null]
+ *   Layout for `fixed` mode (see fixedWidth.js); `null` suggests one from the text's
+ *   alignment. Names come from the layout, so a header line in the text is skipped
+ *   rather than read; `header` says whether there is one.
+ * @property {string|null} [delimiter=null] Field delimiter for `csv` mode, one or more
+ *   characters; `null` auto-detects it from the first 4000 characters.
+ * @property {string|null} [quote=null] Quote character; `""` turns quoting off and `null`
+ *   detects `"` or `'`.
+ * @property {string|null} [escape=null] Escape character inside quoted fields (`"\\"`);
+ *   `""` means quotes are only escaped by doubling them and `null` detects which is used.
+ * @property {string} [comment=''] Lines starting with this prefix are skipped.
+ * @property {number} [skipLines=0] Leading lines to skip before the header row.
+ * @property {boolean} [trim=false] Trim whitespace around unquoted fields.
+ * @property {'auto'|boolean} [header=true] Whether the first row is the header; `false`
+ *   reads it as data under `col_1` … `col_n` names, `'auto'` decides with detectHeaderRow.
+ * @property {boolean} [parseNestedJSON=true] Parse cells that look like JSON objects/arrays.
+ * @property {boolean} [doUnmarshall=true] Unmarshall DynamoDB AttributeValues into plain values.
+ * @property {'number'|'safe'|'string'|'decimal'} [numbers='number'] How DynamoDB N values
+ *   are unmarshalled: as JS numbers, as numbers only when that keeps every digit (else
+ *   the digit string), always as strings, or as `{ $numberDecimal: "…" }`.
+ * @property {'base64'|'hex'|'utf8'} [binary='base64'] How DynamoDB B values are
+ *   unmarshalled; `utf8` falls back to base64 for bytes that are not valid UTF-8.
+ * @property {'images'|'changes'} [streamOutput='images'] For Streams records in `ddb`
+ *   mode: one object per record holding its new image (old image for REMOVE), or the
+ *   event name, key and field-level changes of each record.
+ * @property {boolean} [doInferTypes=true] Coerce `null`/`true`/`false`/numeric strings.
+ * @property {'cell'|'column'} [inferBy='cell'] Decide types per cell, or pick one type per
+ *   CSV column (see columnTypes.js), which keeps leading-zero and large integers intact.
+ * @property {string[]} [nullTokens] Cell texts read as null by column inference.
+ * @property {'column'|'value'} [preserve='column'] Column inference: a numeric column with
+ *   leading-zero or unsafe integers becomes a string column, or stays numeric with only
+ *   those values kept as strings.
+ * @property {{ source: string, name: string, type: string, drop: boolean }[]|null} [columnMap=null]
+ *   Rename, drop, reorder and retype CSV columns (see syncColumnMap in convert.js);
+ *   columns with a set type are left out of column inference.
+ * @property {boolean} [unflatten=false] Build nested objects and arrays from path-style
+ *   headers such as `address.city` and `tags[0]`, after all other conversion steps.
+ * @property {string} [pathSeparator='.'] Separator between object keys in those headers;
+ *   `[n]` array indexes up to MAX_PATH_INDEX (9999) are always recognised.
+ * @property {'flat'|'nested'|'scalar'|'error'} [collision='flat'] When one header is both a
+ *   value and a path parent (`address` and `address.city`): keep the deeper header as a flat
+ *   key, drop the scalar column, drop the deeper column, or throw a {@link ParseError}.
+ * @property {'suffix'|'array'|'first'|'last'|'fail'} [duplicateHeaders='suffix'] Columns with
+ *   the same name, in the file or after a column mapping's renames: rename the later ones
+ *   `name_2`, `name_3`, …, collect their values into an array, keep the first or the last,
+ *   or throw a {@link ParseError}. Blank headers are named `col_N` and reported.
+ * @property {boolean} [strict=false] Treat a quote inside an unquoted field as a literal
+ *   character instead of the start of a quoted section.
+ * @property {boolean} [failOnMalformed=false] Throw a {@link ParseError} when any
+ *   diagnostic is found instead of converting what could be read.
+ * @property {'drop'|'keep'} [extraCells='drop'] What to do with cells beyond the header:
+ *   drop them, or keep them as `_extra_1`, `_extra_2`, … keys.
+ * @property {string} [transform=''] A pipeline (see transform.js) run over the converted
+ *   objects last, in either mode; `rowLines` follow the rows it keeps.
+ */
+
+/**
+ * A problem found in the input. `row`, `line` and `column` are 1-based (the header is
+ * row 1); `offset` is the 0-based character offset into the input, or null for
+ * whole-row findings.
+ *
+ * @typedef {Object} Diagnostic
+ * @property {'unterminated-quote'|'stray-quote'|'ragged-row'|'extra-columns'|'header-collision'|'blank-header'|'duplicate-header'} kind
+ * @property {number} row
+ * @property {number|null} line
+ * @property {number} column
+ * @property {number|null} offset
+ * @property {string} message
+ */
+
+/**
+ * Thrown when the input cannot be parsed (invalid JSON in `ddb` mode), or when
+ * `failOnMalformed` is set and the CSV has diagnostics, which are attached.
+ * Header notes (blank and duplicate headers) only stop a conversion through
+ * `duplicateHeaders: 'fail'`.
+ */
+export class ParseError extends Error {
+  constructor(message, diagnostics = []) {
+    super(message);
+    this.name = 'ParseError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+export const DEFAULT_OPTIONS = Object.freeze({
+  mode: 'csv',
+  delimiter: null,
+  fixedColumns: null,
+  quote: null,
+  escape: null,
+  comment: '',
+  skipLines: 0,
+  trim: false,
+  header: true,
+  parseNestedJSON: true,
+  doUnmarshall: true,
+  numbers: 'number',
+  binary: 'base64',
+  streamOutput: 'images',
+  doInferTypes: true,
+  inferBy: 'cell',
+  nullTokens: DEFAULT_NULL_TOKENS,
+  preserve: 'column',
+  columnMap: null,
+  unflatten: false,
+  pathSeparator: '.',
+  collision: 'flat',
+  duplicateHeaders: 'suffix',
+  strict: false,
+  failOnMalformed: false,
+  extraCells: 'drop',
+  transform: ''
+});
+
+/**
+ * Converts CSV, fixed-width or DynamoDB JSON text into an array of plain objects.
+ *
+ * @param {string} text
+ * @param {ConvertOptions} [options]
+ * @returns {{ objects: object[], delimiter: string|null, dialect: { delimiter: string, quote: string, escape: string }|null,
+ *   delimiterReport: { candidates: object[], close: boolean, runnerUp: string|null }|null,
+ *   headerRow: { header: boolean, reason: string|null, detected: boolean }|null,
+ *   diagnostics: Diagnostic[], columns: ColumnType[]|null, precisionLoss: string[],
+ *   envelope: { format: string, count: number|null, lastEvaluatedKey: object|null }|null, headers: string[]|null,
+ *   rowLines: (number|null)[]|null, columnSources: object[]|null }}
+ *   `delimiter` is the one used (detected or given) in `csv` mode, `null` in the others;
+ *   `dialect` adds the quote and escape characters used, `null` in the others;
+ *   `delimiterReport` holds the per-candidate scores when the delimiter was detected
+ *   (see delimiterReport in csv.js); `headerRow` says whether the first row was taken
+ *   as the header and, when detected, why;
+ *   `envelope` describes the DynamoDB input format in `ddb` mode, `null` in `csv` mode;
+ *   `headers` are the CSV's normalized header names, duplicates resolved but before any
+ *   column mapping (the names a mapping's `source` refers to);
+ *   `rowLines` holds the CSV line each object starts on (null for a grouped row) and
+ *   `columnSources` the CSV column behind each property (see columnSources in convert.js),
+ *   both `null` in `ddb` mode;
+ *   `columns` is the per-column type report when `inferBy` is 'column';
+ *   `precisionLoss` lists attribute paths whose N value does not fit a JS number
+ *   (rounded in `numbers: 'number'` mode, kept as text in 'safe' mode);
+ *   `fixedColumns`, in `fixed` mode only, is the layout used (given or suggested).
+ * @throws {ParseError}
+ * @throws {Error} When `transform` is not a valid pipeline, before anything is parsed,
+ *   or a given `fixedColumns` layout is malformed.
+ */
+export function convert(text, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const { mode, delimiter, doUnmarshall, doInferTypes } = opts;
+  const precisionLoss = [];
+  const stages = compilePipeline(opts.transform);
+
+  if (mode === 'ddb') {
+    const raw = text.trim();
+    if (!raw) return { objects: [], delimiter: null, dialect: null, delimiterReport: null, headerRow: null, diagnostics: [], columns: null, precisionLoss, envelope: null, headers: null, rowLines: null, columnSources: null };
+    let docs;
+    try {
+      // A single object, an array of them, or JSON Lines
+      docs = parseJSONRecords(raw);
+    } catch (err) {
+      throw new ParseError('Invalid JSON: ' + (err.message || String(err)));
+    }
+    const { format, items, records, count, lastEvaluatedKey } = unwrapDynamoDBExport(docs);
+    const avOptions = unmarshallOptions({ ...opts, precisionLoss });
+    let objects;
+    if (format === 'stream' && opts.streamOutput === 'changes') {
+      objects = streamRecordChanges(records, avOptions);
+    } else {
+      objects = items.map(item => {
+        if (doUnmarshall) return unmarshallItem(item, avOptions);
+        return doInferTypes ? coerceDeep(item) : item;
+      });
+    }
+    ({ objects } = applyTransform(objects, stages));
+    // lastEvaluatedKey stays marshalled so it can be passed back as ExclusiveStartKey
+    const envelope = { format, count, lastEvaluatedKey };
+    return { objects, delimiter: null, dialect: null, delimiterReport: null, headerRow: null, diagnostics: [], columns: null, precisionLoss: [...new Set(precisionLoss)], envelope, headers: null, rowLines: null, columnSources: null };
+  }
+
+  if (mode === 'fixed') {
+    const { comment, skipLines } = opts;
+    const fixedColumns = opts.fixedColumns ?? suggestFixedColumns(text, { comment, skipLines });
+    if (!fixedColumns.length) return { ...convertTable([], [], [], opts, stages), delimiter: null, dialect: null, delimiterReport: null, fixedColumns };
+    checkFixedColumns(fixedColumns);
+    const { rows, lines, diagnostics } = parseFixedWidth(text, fixedColumns, { comment, skipLines });
+    // The layout names the columns; a header line in the text is dropped, not read
+    const first = rows.findIndex(r => !isBlankRow(r));
+    const headerRow = opts.header === 'auto'
+      ? { ...detectHeaderRow(rows.slice(Math.max(0, first), first + HEADER_SAMPLE_ROWS + 1)), detected: true }
+      : { header: opts.header !== false, reason: null, detected: false };
+    const data = headerRow.header && first >= 0 ? [rows.slice(first + 1), lines.slice(first + 1)] : [rows, lines];
+    const result = convertTable(
+      [fixedColumns.map(c => c.name), ...data[0]],
+      [headerRow.header && first >= 0 ? lines[first] : null, ...data[1]],
+      diagnostics, { ...opts, header: true }, stages
+    );
+    return { ...result, headerRow, delimiter: null, dialect: null, delimiterReport: null, fixedColumns };
+  }
+
+  if (mode !== 'csv') throw new Error(`Unknown mode "${mode}"`);
+  const { comment, skipLines, trim, strict } = opts;
+  const { report: delimiterReport, ...dialect } = detectDialect(text.slice(0, 4000), { delimiter, quote: opts.quote, escape: opts.escape, comment, skipLines });
+  const delim = dialect.delimiter;
+  const { rows, lines, diagnostics } = parseCSVWithDiagnostics(text, delim, { ...dialect, comment, skipLines, trim, strict });
+  return { ...convertTable(rows, lines, diagnostics, opts, stages), delimiter: delim, dialect, delimiterReport };
+}
+
+// Parsed rows → the result of convert(), less the delimiter fields: header
+// detection, cell conversion, header checks, column types, unflattening and
+// the pipeline. Shared by delimited text and workbook sheets.
+function convertTable(rows, lines, diagnostics, opts, stages) {
+  const { doInferTypes } = opts;
+  const precisionLoss = [];
+  const headerRow = opts.header === 'auto'
+    ? { ...detectHeaderRow(rows.slice(0, HEADER_SAMPLE_ROWS + 1)), detected: true }
+    : { header: opts.header !== false, reason: null, detected: false };
+  const objectLines = [];
+  let objects = convertRowsToObjects(rows, { ...opts, header: headerRow.header, rowLines: lines, objectLines, diagnostics, precisionLoss });
+  const fileHeaders = !rows.length ? [] : headerRow.header ? normalizeHeaders(rows[0]) : generatedHeaders(rows[0].length);
+  if (rows.length) diagnostics.push(...headerDiagnostics(headerRow.header ? rows[0] : fileHeaders, opts, lines[0] ?? 1));
+  const plan = opts.unflatten && rows.length ? headerPaths(mappedHeaders(fileHeaders, opts), opts) : null;
+  if (plan) diagnostics.push(...headerCollisionDiagnostics(plan, lines[0] ?? 1));
+  diagnostics.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || a.column - b.column);
+  diagnostics.length = Math.min(diagnostics.length, MAX_DIAGNOSTICS);
+  if (plan?.conflicts.length && opts.collision === 'error') {
+    throw new ParseError(
+      `${plan.conflicts.length} header path collision(s); first: "${plan.conflicts[0].header}" and "${plan.conflicts[0].other}"`,
+      diagnostics.filter(d => d.kind === 'header-collision')
+    );
+  }
+  const duplicates = diagnostics.filter(d => d.kind === 'duplicate-header');
+  if (duplicates.length && opts.duplicateHeaders === 'fail') {
+    throw new ParseError(`${duplicates.length} duplicate header(s); first: ${duplicates[0].message}`, duplicates);
+  }
+  const malformed = diagnostics.filter(d => !HEADER_NOTE_KINDS.includes(d.kind));
+  if (opts.failOnMalformed && malformed.length) {
+    const [first] = malformed;
+    throw new ParseError(
+      `${malformed.length} problem(s) in the input; first at line ${first.line}, column ${first.column}: ${first.message}`,
+      malformed
+    );
+  }
+  let columns = null;
+  if (doInferTypes && opts.inferBy === 'column') {
+    ({ objects, columns } = inferColumnTypes(objects, { ...opts, skip: fixedTypeColumns(opts.columnMap) }));
+  }
+  if (plan) objects = objects.map(o => unflattenObject(o, plan.paths));
+  let rowLines;
+  ({ objects, rowLines } = applyTransform(objects, stages, { rowLines: objectLines }));
+  const headers = dedupeHeaders(fileHeaders, opts);
+  return {
+    objects, headerRow, diagnostics, columns, precisionLoss: [...new Set(precisionLoss)], envelope: null, headers,
+    rowLines, columnSources: columnSources(fileHeaders, opts)
+  };
+}
+
+/**
+ * Converts the rows of a workbook sheet (see readWorkbook) like parsed CSV rows.
+ * Cells keep their native types: numbers, booleans and dates read from the sheet
+ * are not guessed from text, and only text cells go through type inference.
+ * `skipLines` skips leading rows and `trim` trims text cells; the options that
+ * concern parsing text (delimiter, quote, escape, comment, strict) do not apply.
+ * `rowLines` and diagnostics give sheet row numbers as lines.
+ *
+ * @param {(string|number|boolean|null)[][]} rows
+ * @param {ConvertOptions} [options]
+ * @returns {ReturnType<typeof convert>} With `delimiter`, `dialect` and `delimiterReport` null.
+ * @throws {ParseError}
+ * @throws {Error} When `transform` is not a valid pipeline.
+ */
+export function convertSheet(rows, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options, mode: 'csv' };
+  const stages = compilePipeline(opts.transform);
+  const skip = Math.max(0, opts.skipLines || 0);
+  const kept = rows.slice(skip).map(r => opts.trim ? r.map(c => typeof c === 'string' ? c.trim() : c) : r);
+  const lines = kept.map((_, i) => skip + i + 1);
+  return { ...convertTable(kept, lines, [], opts, stages), delimiter: null, dialect: null, delimiterReport: null };
+}
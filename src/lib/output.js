@@ -0,0 +1,214 @@
+import { createSQLColumnStats, createSQLFormatter, DEFAULT_SQL_BATCH_SIZE } from "./sql.js";
+
+// ————————————————————————————————————————————————————————————
+// Output formats for converted rows: a JSON array (indented or minified),
+// NDJSON, an object keyed by one column, YAML, a simple XML document and SQL.
+//
+// Every format except 'keyed' is written row by row (see createRowFormatter),
+// so the streaming worker produces the same bytes as serializeObjects(). SQL
+// needs its columns first (createSQLColumnStats), which the worker gets from
+// an extra pass.
+// ————————————————————————————————————————————————————————————
+export const OUTPUT_FORMATS = [
+  { value: 'json', label: "JSON array", extension: "json", contentType: "application/json" },
+  { value: 'ndjson', label: "NDJSON (one object per line)", extension: "ndjson", contentType: "application/x-ndjson" },
+  { value: 'keyed', label: "JSON object keyed by a column", extension: "json", contentType: "application/json" },
+  { value: 'yaml', label: "YAML", extension: "yaml", contentType: "application/yaml" },
+  { value: 'xml', label: "XML", extension: "xml", contentType: "application/xml" },
+  { value: 'sql', label: "SQL (CREATE TABLE + INSERT)", extension: "sql", contentType: "application/sql" }
+];
+
+// What 'keyed' output does when two rows have the same key.
+export const DUPLICATE_KEY_POLICIES = ['fail', 'first', 'last', 'array'];
+
+export function outputFormat(value) {
+  const format = OUTPUT_FORMATS.find(f => f.value === value);
+  if (!format) throw new Error(`Unknown output format "${value}"`);
+  return format;
+}
+
+// "orders.2024.csv" → "orders.2024.yaml"; without a source name, "converted.yaml".
+export function outputFileName(sourceName, extension) {
+  const base = (sourceName || "").split(/[\\/]/).pop().replace(/\.[^.]*$/, "");
+  return `${base || "converted"}.${extension}`;
+}
+
+/**
+ * Indexes rows by one of their values: `{ [row[keyBy]]: row }`.
+ *
+ * @param {object[]} objects
+ * @param {string} keyBy Top-level property to key by.
+ * @param {{ duplicateKeys?: 'fail'|'first'|'last'|'array' }} [opts] With 'array'
+ *   every key holds an array of rows, so all values have the same shape.
+ * @returns {object}
+ * @throws {Error} When a row has no value for `keyBy`, or with 'fail' on a repeated key.
+ */
+export function keyObjects(objects, keyBy, { duplicateKeys = 'fail' } = {}) {
+  if (!keyBy) throw new Error("Choose the column to key the output by");
+  const out = new Map();
+  const firstRow = new Map();
+  objects.forEach((row, i) => {
+    const v = row?.[keyBy];
+    if (v === undefined || v === null || v === "") throw new Error(`Row ${i + 1} has no "${keyBy}" value to key it by`);
+    const key = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    if (!out.has(key)) {
+      out.set(key, duplicateKeys === 'array' ? [row] : row);
+      firstRow.set(key, i + 1);
+    } else if (duplicateKeys === 'fail') {
+      throw new Error(`Rows ${firstRow.get(key)} and ${i + 1} share the key "${key}"`);
+    } else if (duplicateKeys === 'array') {
+      out.get(key).push(row);
+    } else if (duplicateKeys === 'last') {
+      out.set(key, row);
+    }
+  });
+  // fromEntries defines own properties, so a "__proto__" key stays data
+  return Object.fromEntries(out);
+}
+
+// ————————————————————————————————————————————————————————————
+// YAML (block style; strings are quoted unless they cannot be misread)
+// ————————————————————————————————————————————————————————————
+const YAML_PLAIN = /^[A-Za-z_][\w .\/@-]*$/;
+const YAML_RESERVED = new Set(["y", "n", "yes", "no", "on", "off", "true", "false", "null"]);
+
+function yamlString(s) {
+  return YAML_PLAIN.test(s) && !s.endsWith(" ") && !YAML_RESERVED.has(s.toLowerCase()) ? s : JSON.stringify(s);
+}
+
+function yamlScalar(v) {
+  if (v === null || v === undefined) return "null";
+  if (typeof v === 'string') return yamlString(v);
+  return String(v);
+}
+
+function isCollection(v) {
+  return !!v && typeof v === 'object' && Object.keys(v).length > 0;
+}
+
+function emptyCollection(v) {
+  return Array.isArray(v) ? "[]" : "{}";
+}
+
+// Lines for a non-empty array or object. Sequence items are always "- " wide,
+// which is what lets a mapping start on the dash's line.
+function yamlLines(value, pad, step) {
+  const lines = [];
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (isCollection(item)) {
+        const [first, ...rest] = yamlLines(item, pad + "  ", step);
+        lines.push(`${pad}- ${first.slice(pad.length + 2)}`, ...rest);
+      } else {
+        lines.push(`${pad}- ${item && typeof item === 'object' ? emptyCollection(item) : yamlScalar(item)}`);
+      }
+    }
+    return lines;
+  }
+  for (const [k, v] of Object.entries(value)) {
+    if (isCollection(v)) {
+      lines.push(`${pad}${yamlString(k)}:`, ...yamlLines(v, pad + step, step));
+    } else {
+      lines.push(`${pad}${yamlString(k)}: ${v && typeof v === 'object' ? emptyCollection(v) : yamlScalar(v)}`);
+    }
+  }
+  return lines;
+}
+
+export function toYAML(value, { indent = 2 } = {}) {
+  if (!isCollection(value)) return (value && typeof value === 'object' ? emptyCollection(value) : yamlScalar(value)) + "\n";
+  return yamlLines(value, "", " ".repeat(Math.max(indent, 1))).join("\n") + "\n";
+}
+
+// ————————————————————————————————————————————————————————————
+// XML: <rows><row><key>value</key>…</row>…</rows>. Arrays hold <item>
+// elements, null is <key nil="true"/>, and a key that is not a valid element
+// name is rewritten and kept in a name="…" attribute.
+// ————————————————————————————————————————————————————————————
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+const XML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+
+function xmlEscape(s) {
+  // Control characters are not allowed in XML 1.0 at all
+  return s.replace(/[&<>"']/g, c => XML_ENTITIES[c]).replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\uFFFE\uFFFF]/g, "\uFFFD");
+}
+
+function xmlTag(key) {
+  let name = String(key).replace(/[^\w.-]/g, "_");
+  if (!/^[A-Za-z_]/.test(name) || /^xml/i.test(name)) name = "_" + name;
+  return name === key ? { open: name, close: name } : { open: `${name} name="${xmlEscape(String(key))}"`, close: name };
+}
+
+function xmlElement(key, value, pad, step, nl) {
+  const { open, close } = xmlTag(key);
+  if (value === null || value === undefined) return `${pad}<${open} nil="true"/>`;
+  if (typeof value !== 'object') return `${pad}<${open}>${xmlEscape(String(value))}</${close}>`;
+  const children = Array.isArray(value)
+    ? value.map(v => xmlElement("item", v, pad + step, step, nl))
+    : Object.entries(value).map(([k, v]) => xmlElement(k, v, pad + step, step, nl));
+  if (!children.length) return `${pad}<${open}/>`;
+  return `${pad}<${open}>${nl}${children.join(nl)}${nl}${pad}</${close}>`;
+}
+
+// ————————————————————————————————————————————————————————————
+// Row-by-row writers
+// ————————————————————————————————————————————————————————————
+/**
+ * The pieces of a row-by-row format: output is `open + rows joined by separator
+ * + close`, or `empty` when there are no rows.
+ *
+ * @param {'json'|'ndjson'|'yaml'|'xml'|'sql'} format
+ * @param {{ indent?: number, sqlColumns?: object[], sqlDialect?: string, sqlTable?: string,
+ *   primaryKey?: string, batchSize?: number }} [opts] Spaces per level; 0 minifies JSON and XML.
+ *   NDJSON is always compact and YAML always indents (by 2 when given 0). SQL
+ *   ignores the indent and needs `sqlColumns` from createSQLColumnStats().
+ * @returns {{ open: string, separator: string, close: string, empty: string, row: (value: *) => string }}
+ */
+export function createRowFormatter(format, { indent = 2, sqlColumns, sqlDialect = 'postgres', sqlTable = "data", primaryKey = "", batchSize = DEFAULT_SQL_BATCH_SIZE } = {}) {
+  const step = " ".repeat(indent);
+  switch (format) {
+    case 'json':
+      return indent > 0
+        ? { open: "[\n", separator: ",\n", close: "\n]", empty: "[]", row: v => step + JSON.stringify(v, null, indent).replace(/\n/g, "\n" + step) }
+        : { open: "[", separator: ",", close: "]", empty: "[]", row: v => JSON.stringify(v) };
+    case 'ndjson':
+      return { open: "", separator: "", close: "", empty: "", row: v => JSON.stringify(v) + "\n" };
+    case 'yaml':
+      return { open: "", separator: "", close: "", empty: "[]\n", row: v => toYAML([v], { indent: indent || 2 }) };
+    case 'xml': {
+      const nl = indent > 0 ? "\n" : "";
+      return {
+        open: `${XML_DECLARATION}${nl}<rows>${nl}`,
+        separator: nl,
+        close: `${nl}</rows>\n`,
+        empty: `${XML_DECLARATION}${nl}<rows/>\n`,
+        row: v => xmlElement("row", v, step, step, nl)
+      };
+    }
+    case 'sql':
+      return createSQLFormatter(sqlColumns, { dialect: sqlDialect, tableName: sqlTable, primaryKey, batchSize });
+    default:
+      throw new Error(`"${format}" output cannot be written row by row`);
+  }
+}
+
+/**
+ * Serializes converted rows in one of {@link OUTPUT_FORMATS}.
+ *
+ * @param {*[]} objects
+ * @param {{ format?: string, indent?: number, keyBy?: string, duplicateKeys?: string,
+ *   sqlDialect?: string, sqlTable?: string, primaryKey?: string, batchSize?: number }} [opts]
+ *   `keyBy` and `duplicateKeys` apply to 'keyed' output (see keyObjects), the
+ *   sql* options, `primaryKey` and `batchSize` to 'sql' (see createSQLFormatter).
+ * @returns {string}
+ */
+export function serializeObjects(objects, { format = 'json', indent = 2, keyBy = "", duplicateKeys = 'fail', ...sql } = {}) {
+  if (format === 'keyed') return JSON.stringify(keyObjects(objects, keyBy, { duplicateKeys }), null, indent || undefined);
+  if (format === 'sql') {
+    const stats = createSQLColumnStats();
+    objects.forEach(stats.observe);
+    sql.sqlColumns = stats.finish();
+  }
+  const f = createRowFormatter(format, { indent, ...sql });
+  return objects.length ? f.open + objects.map(f.row).join(f.separator) + f.close : f.empty;
+}
@@ -0,0 +1,185 @@
+import { COLUMN_TYPES, DUPLICATE_HEADER_STRATEGIES } from "./convert.js";
+import { ENCODINGS } from "./encoding.js";
+import { OUTPUT_FORMATS, DUPLICATE_KEY_POLICIES } from "./output.js";
+import { SQL_DIALECTS } from "./sql.js";
+import { DIFF_FORMATS } from "./diff.js";
+import { checkFixedColumns } from "./fixedWidth.js";
+
+// ————————————————————————————————————————————————————————————
+// Conversion presets: the page's settings (never the input data) saved under
+// a name in localStorage, exported/imported as a JSON file, or carried in a
+// URL hash (#preset=…) so a link reproduces the exact configuration.
+//
+// Everything read back from storage, a file or a URL goes through
+// sanitizeSettings(), which keeps only known settings with valid values.
+// ————————————————————————————————————————————————————————————
+export const PRESETS_STORAGE_KEY = "csv-json:presets";
+export const PRESET_FILE_FORMAT = "csv-json-presets";
+const HASH_PREFIX = "#preset=";
+
+const oneOf = (...values) => v => values.includes(v);
+const isBoolean = v => typeof v === 'boolean';
+const isString = v => typeof v === 'string';
+const isCharOrAuto = v => v === 'auto' || (isString(v) && v.length <= 1);
+
+function isColumnMap(v) {
+  return v === null || (Array.isArray(v) && v.every(c =>
+    c && isString(c.source) && isString(c.name) && COLUMN_TYPES.includes(c.type) && isBoolean(c.drop)));
+}
+
+function isFixedLayout(v) {
+  if (v === null) return true;
+  try {
+    checkFixedColumns(v);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Setting name → validator. Mirrors the state in App.jsx.
+const SETTINGS = {
+  inputMode: oneOf('csv', 'fixed', 'ddb', 'json', 'marshall', 'compare'),
+  delimiter: v => isString(v) && v.length > 0,
+  autoDelim: isBoolean,
+  fixedColumns: isFixedLayout,
+  quote: isCharOrAuto,
+  escape: isCharOrAuto,
+  comment: isString,
+  skipLines: v => Number.isInteger(v) && v >= 0,
+  trim: isBoolean,
+  header: oneOf('auto', 'yes', 'no'),
+  encoding: oneOf('auto', ...ENCODINGS.map(e => e.value)),
+  parseNestedJSON: isBoolean,
+  doUnmarshall: isBoolean,
+  numbers: oneOf('number', 'safe', 'string', 'decimal'),
+  binary: oneOf('base64', 'hex', 'utf8'),
+  streamOutput: oneOf('images', 'changes'),
+  doInferTypes: isBoolean,
+  inferBy: oneOf('cell', 'column'),
+  nullTokensText: isString,
+  preserve: oneOf('column', 'value'),
+  flattenMode: oneOf('dot', 'json'),
+  ddbOutput: oneOf('plain', 'items', 'batch'),
+  tableName: isString,
+  detectSets: isBoolean,
+  outputFormat: oneOf(...OUTPUT_FORMATS.map(f => f.value)),
+  indent: v => Number.isInteger(v) && v >= 0 && v <= 8,
+  keyBy: isString,
+  duplicateKeys: oneOf(...DUPLICATE_KEY_POLICIES),
+  sqlDialect: oneOf(...SQL_DIALECTS.map(d => d.value)),
+  sqlTable: isString,
+  primaryKey: isString,
+  batchSize: v => Number.isInteger(v) && v >= 1,
+  validationSchema: isString,
+  transform: isString,
+  strict: isBoolean,
+  failOnMalformed: isBoolean,
+  extraCells: oneOf('drop', 'keep'),
+  unflatten: isBoolean,
+  pathSeparator: isString,
+  collision: oneOf('flat', 'nested', 'scalar', 'error'),
+  duplicateHeaders: oneOf(...DUPLICATE_HEADER_STRATEGIES),
+  compareFormat: oneOf('csv', 'ddb'),
+  compareKeys: isString,
+  compareIgnore: isString,
+  ignoreWhitespace: isBoolean,
+  ignoreCase: isBoolean,
+  diffFormat: oneOf(...DIFF_FORMATS.map(f => f.value)),
+  columnMap: isColumnMap
+};
+
+export const SETTING_NAMES = Object.keys(SETTINGS);
+
+/**
+ * Keeps the known settings whose values are valid; anything else is dropped
+ * and named in `ignored`.
+ *
+ * @param {object} settings
+ * @returns {{ settings: object, ignored: string[] }}
+ */
+export function sanitizeSettings(settings) {
+  const out = {};
+  const ignored = [];
+  for (const [key, value] of Object.entries(settings && typeof settings === 'object' ? settings : {})) {
+    if (SETTINGS[key]?.(value)) out[key] = value;
+    else ignored.push(key);
+  }
+  return { settings: out, ignored };
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s) {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+export function settingsToHash(settings) {
+  return HASH_PREFIX + toBase64Url(JSON.stringify(sanitizeSettings(settings).settings));
+}
+
+// Settings from a location.hash, or null when it holds no preset.
+// Throws when the hash is a preset that cannot be read.
+export function settingsFromHash(hash) {
+  if (!hash?.startsWith(HASH_PREFIX)) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+  } catch {
+    throw new Error("The preset link is damaged or incomplete");
+  }
+  return sanitizeSettings(parsed);
+}
+
+// ————————————————————————————————————————————————————————————
+// Named presets: [{ name, settings }], kept sorted by name
+// ————————————————————————————————————————————————————————————
+function normalizePresets(list) {
+  const byName = new Map();
+  for (const p of Array.isArray(list) ? list : []) {
+    const name = isString(p?.name) ? p.name.trim() : "";
+    if (name) byName.set(name, { name, settings: sanitizeSettings(p.settings).settings });
+  }
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function loadPresets(storage) {
+  try {
+    return normalizePresets(JSON.parse(storage.getItem(PRESETS_STORAGE_KEY) || "[]"));
+  } catch {
+    return []; // unreadable storage starts over rather than breaking the page
+  }
+}
+
+// Throws what storage.setItem throws (QuotaExceededError when full); callers report it.
+export function savePresets(storage, presets) {
+  storage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(normalizePresets(presets)));
+}
+
+// Adds or replaces the preset called `name`; returns the new list.
+export function upsertPreset(presets, name, settings) {
+  return normalizePresets([...presets.filter(p => p.name !== name.trim()), { name, settings }]);
+}
+
+export function presetsToFile(presets) {
+  return JSON.stringify({ format: PRESET_FILE_FORMAT, version: 1, presets: normalizePresets(presets) }, null, 2);
+}
+
+// Reads an exported presets file, or a single { name, settings } object.
+export function presetsFromFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error("Not a JSON file: " + (err.message || String(err)));
+  }
+  if (parsed?.format === PRESET_FILE_FORMAT) return normalizePresets(parsed.presets);
+  if (isString(parsed?.name) && parsed.settings) return normalizePresets([parsed]);
+  throw new Error("Not a presets file");
+}
@@ -0,0 +1,139 @@
+import { dateKind } from "./columnTypes.js";
+
+// ————————————————————————————————————————————————————————————
+// Column profiles of converted rows: for every top-level field, how often it
+// is filled, null, empty or missing, its distinct and most frequent values,
+// the mix of types it holds, and its range (min/max/mean of numbers, shortest
+// and longest string, earliest and latest ISO date).
+//
+// Like the shape stats, a profile is built with observe() one row at a time,
+// so the streaming worker never has to keep the rows.
+// ————————————————————————————————————————————————————————————
+export const PROFILE_TOP_VALUES = 5;
+// Distinct values remembered per column; past this the distinct count is a lower bound
+export const MAX_PROFILE_DISTINCT = 100000;
+
+// The order types are listed in; 'date' and 'datetime' are strings in ISO 8601 form.
+const TYPE_ORDER = ['string', 'date', 'datetime', 'integer', 'number', 'boolean', 'object', 'array'];
+
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  if (typeof v === 'bigint') return 'integer';
+  if (typeof v === 'string') return dateKind(v) ?? 'string';
+  return typeof v; // 'object' or 'boolean'
+}
+
+function emptyColumn(name, missing) {
+  return {
+    name,
+    filled: 0,
+    nulls: 0,
+    empty: 0,
+    missing, // rows before the field first appeared
+    counts: new Map(), // JSON text of a value → how many rows hold it
+    capped: false,
+    types: {},
+    numbers: null,
+    lengths: null,
+    dates: null
+  };
+}
+
+function observeValue(col, v) {
+  if (v === undefined) {
+    col.missing++;
+    return;
+  }
+  const type = v === null || v === "" ? null : typeOf(v);
+  if (v === null) col.nulls++;
+  else if (v === "") col.empty++;
+  else {
+    col.filled++;
+    col.types[type] = (col.types[type] ?? 0) + 1;
+  }
+  const key = JSON.stringify(typeof v === 'bigint' ? v.toString() : v);
+  const seen = col.counts.get(key);
+  if (seen !== undefined) col.counts.set(key, seen + 1);
+  else if (col.counts.size < MAX_PROFILE_DISTINCT) col.counts.set(key, 1);
+  else col.capped = true;
+  if (type === 'integer' || type === 'number') {
+    const n = Number(v);
+    const s = col.numbers ??= { min: n, max: n, sum: 0, count: 0 };
+    if (n < s.min) s.min = n;
+    if (n > s.max) s.max = n;
+    s.sum += n;
+    s.count++;
+  } else if (typeof v === 'string' && v !== "") {
+    const l = col.lengths ??= { min: v.length, max: v.length };
+    if (v.length < l.min) l.min = v.length;
+    if (v.length > l.max) l.max = v.length;
+    if (type === 'date' || type === 'datetime') {
+      const d = col.dates ??= { min: v, max: v };
+      if (v < d.min) d.min = v;
+      if (v > d.max) d.max = v;
+    }
+  }
+}
+
+function finishColumn(col, rows, topN) {
+  const top = [...col.counts]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topN)
+    .map(([key, count]) => ({ value: JSON.parse(key), count }));
+  const types = Object.fromEntries(TYPE_ORDER.filter(t => col.types[t]).map(t => [t, col.types[t]]));
+  // A key column is filled in every row with no repeated value, and holds ids rather than flags or objects
+  const keyTypes = Object.keys(types).every(t => t === 'string' || t === 'integer');
+  const likelyKey = rows > 1 && col.filled === rows && !col.capped && col.counts.size === rows && keyTypes;
+  return {
+    name: col.name,
+    filled: col.filled,
+    nulls: col.nulls,
+    empty: col.empty,
+    missing: col.missing,
+    distinct: col.counts.size,
+    distinctCapped: col.capped,
+    top,
+    types,
+    number: col.numbers && { min: col.numbers.min, max: col.numbers.max, mean: col.numbers.sum / col.numbers.count },
+    length: col.lengths,
+    date: col.dates,
+    likelyKey
+  };
+}
+
+/**
+ * Accumulates a profile of every top-level field. Call observe() for each
+ * converted row object, then finish().
+ *
+ * @param {{ topN?: number }} [opts] How many of the most frequent values to report.
+ * @returns {{ observe: (row: object) => void, finish: () => { rows: number, columns: object[] } }}
+ *   Each column is { name, filled, nulls, empty, missing, distinct, distinctCapped, top, types,
+ *   number, length, date, likelyKey }: `filled` counts values that are neither null nor "",
+ *   `missing` the rows without the field, `top` the most frequent values as { value, count },
+ *   `types` how many filled values had each type, and `number` ({ min, max, mean }), `length`
+ *   ({ min, max } of non-empty strings) and `date` ({ min, max } of ISO dates) are null when
+ *   the column has no such values. `likelyKey` marks a column filled in every row with no
+ *   value repeated. Columns are in order of first appearance.
+ */
+export function createProfileStats({ topN = PROFILE_TOP_VALUES } = {}) {
+  const columns = new Map();
+  let rows = 0;
+  return {
+    observe(row) {
+      const obj = row !== null && typeof row === 'object' && !Array.isArray(row) ? row : { value: row };
+      for (const key of Object.keys(obj)) {
+        if (!columns.has(key)) columns.set(key, emptyColumn(key, rows));
+      }
+      for (const col of columns.values()) observeValue(col, obj[col.name]);
+      rows++;
+    },
+    finish: () => ({ rows, columns: [...columns.values()].map(col => finishColumn(col, rows, topN)) })
+  };
+}
+
+export function profileRows(objects, opts) {
+  const stats = createProfileStats(opts);
+  objects.forEach(row => stats.observe(row));
+  return stats.finish();
+}
@@ -0,0 +1,210 @@
+// ————————————————————————————————————————————————————————————
+// Schemas for converted rows: the shapes of all rows are merged into one
+// description (which fields every row has, which types each field took, and
+// the nested objects and arrays that came from parsed JSON cells), then
+// written out as JSON Schema (draft 2020-12), TypeScript or a Zod schema.
+// Each describes a single row.
+//
+// Like the column type stats, the shape is built with observe() one row at a
+// time, so the streaming worker never has to keep the rows.
+// ————————————————————————————————————————————————————————————
+export const SCHEMA_FORMATS = [
+  { value: 'json-schema', label: "JSON Schema", extension: "schema.json", contentType: "application/schema+json" },
+  { value: 'typescript', label: "TypeScript interfaces", extension: "ts", contentType: "text/plain" },
+  { value: 'zod', label: "Zod schema", extension: "zod.ts", contentType: "text/plain" }
+];
+
+// The order kinds are listed in unions; 'integer' is dropped when 'number' is present.
+const KIND_ORDER = ['object', 'array', 'string', 'integer', 'number', 'boolean', 'null'];
+
+function emptyShape() {
+  return { types: new Set(), objects: 0, properties: new Map(), items: null };
+}
+
+function kindOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  if (typeof v === 'bigint') return 'integer';
+  return typeof v; // 'object', 'string' or 'boolean'
+}
+
+function observeValue(shape, v) {
+  const kind = kindOf(v);
+  shape.types.add(kind);
+  if (kind === 'array') {
+    shape.items ??= emptyShape();
+    for (const item of v) observeValue(shape.items, item);
+  } else if (kind === 'object') {
+    shape.objects++;
+    for (const [key, value] of Object.entries(v)) {
+      if (value === undefined) continue;
+      let prop = shape.properties.get(key);
+      if (!prop) {
+        prop = { shape: emptyShape(), count: 0 };
+        shape.properties.set(key, prop);
+      }
+      prop.count++;
+      observeValue(prop.shape, value);
+    }
+  }
+}
+
+/**
+ * Merges the shape of every row passed to observe(); finish() returns it.
+ * A property is required when every object at its level has it.
+ */
+export function createShapeStats() {
+  const root = emptyShape();
+  return { observe: row => observeValue(root, row), finish: () => root };
+}
+
+export function inferShape(objects) {
+  const stats = createShapeStats();
+  objects.forEach(stats.observe);
+  return stats.finish();
+}
+
+function kindsOf(shape) {
+  const kinds = KIND_ORDER.filter(k => shape.types.has(k));
+  return shape.types.has('number') ? kinds.filter(k => k !== 'integer') : kinds;
+}
+
+function isRequired(shape, prop) {
+  return prop.count === shape.objects;
+}
+
+// ————————————————————————————————————————————————————————————
+// JSON Schema
+// ————————————————————————————————————————————————————————————
+function jsonSchemaFor(shape) {
+  const kinds = kindsOf(shape);
+  if (!kinds.length) return {};
+  const out = { type: kinds.length === 1 ? kinds[0] : kinds };
+  if (kinds.includes('object')) {
+    const props = [...shape.properties];
+    out.properties = Object.fromEntries(props.map(([key, prop]) => [key, jsonSchemaFor(prop.shape)]));
+    const required = props.filter(([, prop]) => isRequired(shape, prop)).map(([key]) => key);
+    if (required.length) out.required = required;
+  }
+  if (kinds.includes('array')) out.items = jsonSchemaFor(shape.items);
+  return out;
+}
+
+export function toJSONSchema(shape, { name = "Row" } = {}) {
+  const schema = { $schema: "https://json-schema.org/draft/2020-12/schema", title: name, ...jsonSchemaFor(shape) };
+  return JSON.stringify(schema, null, 2) + "\n";
+}
+
+// ————————————————————————————————————————————————————————————
+// TypeScript: one interface per object shape, named after the path to it
+// (Row, RowAddress, RowItemsItem, …)
+// ————————————————————————————————————————————————————————————
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function propertyKey(key) {
+  return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+// "shipping address" → "ShippingAddress"; never empty, never starting with a digit.
+function typeName(s) {
+  const name = String(s).split(/[^A-Za-z0-9]+/).filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1)).join("");
+  return /^[A-Za-z]/.test(name) ? name : "T" + name;
+}
+
+export function toTypeScript(shape, { name = "Row" } = {}) {
+  const declarations = [];
+  const used = new Set();
+
+  function uniqueName(base) {
+    let n = base;
+    for (let i = 2; used.has(n); i++) n = base + i;
+    used.add(n);
+    return n;
+  }
+
+  function objectType(s, hint) {
+    if (!s.properties.size) return "Record<string, unknown>";
+    const n = uniqueName(hint);
+    const slot = declarations.push("") - 1; // a parent is listed before the types of its properties
+    const lines = [...s.properties].map(([key, prop]) =>
+      `  ${propertyKey(key)}${isRequired(s, prop) ? "" : "?"}: ${typeFor(prop.shape, n + typeName(key))};`);
+    declarations[slot] = `export interface ${n} {\n${lines.join("\n")}\n}`;
+    return n;
+  }
+
+  function typeFor(s, hint) {
+    const kinds = kindsOf(s);
+    if (!kinds.length) return "unknown";
+    const parts = kinds.map(kind => {
+      if (kind === 'object') return objectType(s, hint);
+      if (kind === 'array') {
+        const item = typeFor(s.items, hint + "Item");
+        return /[ |]/.test(item) ? `(${item})[]` : `${item}[]`;
+      }
+      return kind === 'integer' ? "number" : kind;
+    });
+    return parts.join(" | ");
+  }
+
+  const root = typeName(name);
+  const kinds = kindsOf(shape);
+  if (kinds.length === 1 && kinds[0] === 'object' && shape.properties.size) {
+    objectType(shape, root);
+  } else {
+    used.add(root);
+    const slot = declarations.push("") - 1;
+    declarations[slot] = `export type ${root} = ${typeFor(shape, root + "Object")};`;
+  }
+  return declarations.join("\n\n") + "\n";
+}
+
+// ————————————————————————————————————————————————————————————
+// Zod
+// ————————————————————————————————————————————————————————————
+function zodFor(shape, pad) {
+  const kinds = kindsOf(shape);
+  if (!kinds.length) return "z.unknown()";
+  const nullable = kinds.length > 1 && kinds.includes('null');
+  const parts = kinds.filter(k => !nullable || k !== 'null').map(kind => {
+    switch (kind) {
+      case 'object': return zodObject(shape, pad);
+      case 'array': return `z.array(${zodFor(shape.items, pad)})`;
+      case 'integer': return "z.number().int()";
+      default: return `z.${kind}()`;
+    }
+  });
+  const base = parts.length === 1 ? parts[0] : `z.union([${parts.join(", ")}])`;
+  return nullable ? base + ".nullable()" : base;
+}
+
+function zodObject(shape, pad) {
+  if (!shape.properties.size) return "z.record(z.string(), z.unknown())";
+  const inner = pad + "  ";
+  const lines = [...shape.properties].map(([key, prop]) =>
+    `${inner}${propertyKey(key)}: ${zodFor(prop.shape, inner)}${isRequired(shape, prop) ? "" : ".optional()"},`);
+  return `z.object({\n${lines.join("\n")}\n${pad}})`;
+}
+
+export function toZod(shape, { name = "Row" } = {}) {
+  const type = typeName(name);
+  const schema = type[0].toLowerCase() + type.slice(1) + "Schema";
+  return `import { z } from "zod";\n\nexport const ${schema} = ${zodFor(shape, "")};\n\nexport type ${type} = z.infer<typeof ${schema}>;\n`;
+}
+
+/**
+ * Writes a shape from createShapeStats()/inferShape() in one of {@link SCHEMA_FORMATS}.
+ *
+ * @param {object} shape
+ * @param {'json-schema'|'typescript'|'zod'} format
+ * @param {{ name?: string }} [opts] Name of the row type (the schema title for JSON Schema).
+ * @returns {string}
+ */
+export function generateSchema(shape, format, opts) {
+  switch (format) {
+    case 'json-schema': return toJSONSchema(shape, opts);
+    case 'typescript': return toTypeScript(shape, opts);
+    case 'zod': return toZod(shape, opts);
+    default: throw new Error(`Unknown schema format "${format}"`);
+  }
+}
@@ -0,0 +1,408 @@
+import { isZip, zipEntries, readZipEntry } from "./zip.js";
+
+// ————————————————————————————————————————————————————————————
+// Excel (.xlsx) and OpenDocument (.ods) workbooks, read entirely in the
+// browser. Each sheet becomes a grid of cells with their native types, ready
+// for the same rows → objects conversion as parsed CSV (see convertSheet):
+//   numbers and booleans stay numbers and booleans,
+//   dates become ISO strings (2024-03-01, 2024-03-01T09:30:00, or 09:30:00 for a time),
+//   formulas give their cached value, error cells their text (#N/A),
+//   empty cells are null.
+// Grids are rectangular: rows are padded with null to the widest row, and
+// rows missing from the file (gaps in the sheet) are empty, so row i of the
+// grid is sheet row i + 1.
+// ————————————————————————————————————————————————————————————
+export const SPREADSHEET_FORMATS = [
+  { value: 'xlsx', label: "Excel workbook", extension: "xlsx" },
+  { value: 'ods', label: "OpenDocument spreadsheet", extension: "ods" }
+];
+
+export function isSpreadsheetName(name) {
+  return /\.(xlsx|xlsm|ods)$/i.test(name || "");
+}
+
+// ————————————————————————————————————————————————————————————
+// XML scanning: just enough for spreadsheet parts. Handlers get local names
+// (no namespace prefix); a self-closing element is an open() then a close().
+// ————————————————————————————————————————————————————————————
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+const ATTRIBUTE_RE = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decodeEntities(s) {
+  if (!s.includes("&")) return s;
+  return s.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (m, e) => {
+    if (e[0] !== "#") return XML_ENTITIES[e] ?? m;
+    return String.fromCodePoint(e[1] === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+  });
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(":") + 1);
+}
+
+function scanXML(text, { open = () => {}, close = () => {}, text: onText = () => {} }) {
+  const malformed = () => new Error("Malformed XML in the workbook");
+  let i = 0;
+  while (i < text.length) {
+    const lt = text.indexOf("<", i);
+    if (lt < 0) {
+      onText(decodeEntities(text.slice(i)));
+      break;
+    }
+    if (lt > i) onText(decodeEntities(text.slice(i, lt)));
+    if (text.startsWith("<!--", lt)) {
+      i = text.indexOf("-->", lt);
+      if (i < 0) throw malformed();
+      i += 3;
+    } else if (text.startsWith("<![CDATA[", lt)) {
+      i = text.indexOf("]]>", lt);
+      if (i < 0) throw malformed();
+      onText(text.slice(lt + 9, i));
+      i += 3;
+    } else if (text[lt + 1] === "?" || text[lt + 1] === "!") {
+      i = text.indexOf(">", lt);
+      if (i < 0) throw malformed();
+      i++;
+    } else {
+      // Attribute values may hold ">", so the tag ends at the first one outside quotes
+      let end = lt + 1;
+      for (let quote = null; end < text.length; end++) {
+        const c = text[end];
+        if (quote) {
+          if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+          quote = c;
+        } else if (c === ">") {
+          break;
+        }
+      }
+      if (end >= text.length) throw malformed();
+      const body = text.slice(lt + 1, end);
+      i = end + 1;
+      if (body[0] === "/") {
+        close(localName(body.slice(1).trim()));
+        continue;
+      }
+      const selfClosing = body.endsWith("/");
+      const nameEnd = body.search(/[\s/]|$/);
+      const name = localName(body.slice(0, nameEnd));
+      const attrs = {};
+      for (const m of body.slice(nameEnd).matchAll(ATTRIBUTE_RE)) attrs[localName(m[1])] = decodeEntities(m[2] ?? m[3]);
+      open(name, attrs);
+      if (selfClosing) close(name);
+    }
+  }
+}
+
+// Pads every row with null to the widest, and fills gaps between rows.
+function toGrid(rows) {
+  const width = rows.reduce((w, r) => Math.max(w, r?.length ?? 0), 0);
+  return Array.from(rows, r => {
+    const row = Array.from({ length: width }, (_, j) => r?.[j] ?? null);
+    return row;
+  });
+}
+
+// ————————————————————————————————————————————————————————————
+// .xlsx (Office Open XML)
+// ————————————————————————————————————————————————————————————
+// Built-in number formats that show a date or time
+const BUILTIN_DATE_FORMATS = { 14: 'date', 15: 'date', 16: 'date', 17: 'date', 18: 'time', 19: 'time', 20: 'time', 21: 'time', 22: 'datetime', 45: 'time', 46: 'time', 47: 'time' };
+
+// 'date', 'datetime', 'time' or null for a number format.
+function dateKind(id, code) {
+  if (code === undefined) return BUILTIN_DATE_FORMATS[id] ?? ((id >= 27 && id <= 36) || (id >= 50 && id <= 58) ? 'date' : null);
+  // Ignore quoted text, escaped characters and [Red]/[$-409] sections, but keep elapsed [h]
+  const bare = code.split(";")[0].replace(/"[^"]*"|\\.|\[(?![hms]+\])[^\]]*\]/gi, "");
+  if (/[yd]/i.test(bare)) return /[hs]/i.test(bare) ? 'datetime' : 'date';
+  return /[hs]/i.test(bare) ? 'time' : null;
+}
+
+// Excel's 1900 date system counts the fictional 1900-02-29 as day 60.
+function serialToISO(serial, kind, date1904) {
+  if (!Number.isFinite(serial) || serial < 0) return serial;
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : serial < 60 ? Date.UTC(1899, 11, 31) : Date.UTC(1899, 11, 30);
+  const iso = new Date(epoch + Math.round(serial * 86400) * 1000).toISOString();
+  if (kind === 'date') return iso.slice(0, 10);
+  return kind === 'time' ? iso.slice(11, 19) : iso.slice(0, 19);
+}
+
+// "_x000D_" is how OOXML writes characters XML cannot hold.
+function unescapeOOXML(s) {
+  return s.replace(/_x([0-9A-Fa-f]{4})_/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// "AB12" → 27 (0-based column)
+function columnIndex(ref) {
+  let n = 0;
+  for (const c of /^[A-Za-z]+/.exec(ref)?.[0] ?? "") n = n * 26 + (c.toUpperCase().charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function resolvePath(base, target) {
+  const parts = (target.startsWith("/") ? target.slice(1) : base + target).split("/");
+  const out = [];
+  for (const p of parts) {
+    if (p === "..") out.pop();
+    else if (p !== ".") out.push(p);
+  }
+  return out.join("/");
+}
+
+function parseRelationships(text, base) {
+  const rels = [];
+  if (text) {
+    scanXML(text, {
+      open(name, a) {
+        if (name === 'Relationship' && a.TargetMode !== 'External') rels.push({ id: a.Id, type: a.Type || "", target: resolvePath(base, a.Target || "") });
+      }
+    });
+  }
+  return rels;
+}
+
+function parseSharedStrings(text) {
+  const strings = [];
+  if (!text) return strings;
+  let current = null;
+  let inText = false;
+  let phonetic = 0; // <rPh> runs repeat the reading of the text, not the text
+  scanXML(text, {
+    open(name) {
+      if (name === 'si') current = "";
+      else if (name === 'rPh') phonetic++;
+      else if (name === 't') inText = true;
+    },
+    close(name) {
+      if (name === 'si') strings.push(unescapeOOXML(current));
+      else if (name === 'rPh') phonetic--;
+      else if (name === 't') inText = false;
+    },
+    text(s) {
+      if (inText && !phonetic && current !== null) current += s;
+    }
+  });
+  return strings;
+}
+
+// The date kind of each cell style (the s="…" index).
+function parseStyles(text) {
+  const custom = new Map();
+  const styles = [];
+  if (!text) return styles;
+  let inCellXfs = false;
+  scanXML(text, {
+    open(name, a) {
+      if (name === 'numFmt') custom.set(Number(a.numFmtId), a.formatCode ?? "");
+      else if (name === 'cellXfs') inCellXfs = true;
+      else if (name === 'xf' && inCellXfs) styles.push(Number(a.numFmtId ?? 0));
+    },
+    close(name) {
+      if (name === 'cellXfs') inCellXfs = false;
+    }
+  });
+  return styles.map(id => dateKind(id, custom.get(id)));
+}
+
+function xlsxCellValue({ type, style, value, inline }, { strings, styles, date1904 }) {
+  switch (type) {
+    case 's': return value === null ? null : strings[Number(value)] ?? null;
+    case 'inlineStr': return unescapeOOXML(inline);
+    case 'str': return value === null ? null : unescapeOOXML(value); // a formula's text result
+    case 'b': return value === null ? null : value.trim() === "1" || value.trim() === "true";
+    case 'e': return value; // #N/A, #DIV/0!, …
+    case 'd': return value; // already ISO 8601
+    default: {
+      if (value === null || value.trim() === "") return null;
+      const n = Number(value);
+      const kind = styles[style];
+      return kind ? serialToISO(n, kind, date1904) : n;
+    }
+  }
+}
+
+function parseXlsxSheet(text, context) {
+  const rows = [];
+  let row = null;
+  let rowIndex = 0;
+  let col = 0;
+  let cell = null;
+  let capture = null; // 'value' inside <v>, 'inline' inside <is><t>
+  scanXML(text, {
+    open(name, a) {
+      if (name === 'row') {
+        if (a.r) rowIndex = Number(a.r) - 1;
+        row = rows[rowIndex] = [];
+        col = 0;
+      } else if (name === 'c' && row) {
+        if (a.r) col = columnIndex(a.r);
+        cell = { type: a.t ?? 'n', style: Number(a.s ?? 0), value: null, inline: "" };
+      } else if (name === 'v' && cell) {
+        capture = 'value';
+        cell.value = "";
+      } else if (name === 't' && cell) {
+        capture = 'inline';
+      } else if (name === 'rPh') {
+        capture = null;
+      }
+    },
+    close(name) {
+      if (name === 'v' || name === 't') {
+        capture = null;
+      } else if (name === 'c' && cell) {
+        row[col++] = xlsxCellValue(cell, context);
+        cell = null;
+      } else if (name === 'row') {
+        rowIndex++;
+        row = null;
+      }
+    },
+    text(s) {
+      if (capture === 'value') cell.value += s;
+      else if (capture === 'inline') cell.inline += s;
+    }
+  });
+  return toGrid(rows);
+}
+
+async function readXlsx(read) {
+  const rootRels = parseRelationships(await read("_rels/.rels"), "");
+  const workbookPath = rootRels.find(r => r.type.endsWith("/officeDocument"))?.target || "xl/workbook.xml";
+  const slash = workbookPath.lastIndexOf("/") + 1;
+  const base = workbookPath.slice(0, slash);
+  const rels = parseRelationships(await read(`${base}_rels/${workbookPath.slice(slash)}.rels`), base);
+  const partOf = (type, fallback) => rels.find(r => r.type.endsWith(type))?.target ?? base + fallback;
+
+  const workbook = await read(workbookPath);
+  if (workbook === null) throw new Error("The workbook has no workbook part");
+  const listed = [];
+  let date1904 = false;
+  scanXML(workbook, {
+    open(name, a) {
+      if (name === 'sheet') listed.push({ name: a.name, id: a.id, hidden: a.state === 'hidden' || a.state === 'veryHidden' });
+      else if (name === 'workbookPr') date1904 = a.date1904 === "1" || a.date1904 === "true";
+    }
+  });
+  const context = {
+    strings: parseSharedStrings(await read(partOf("/sharedStrings", "sharedStrings.xml"))),
+    styles: parseStyles(await read(partOf("/styles", "styles.xml"))),
+    date1904
+  };
+  const sheets = [];
+  for (const s of listed) {
+    const target = rels.find(r => r.id === s.id)?.target;
+    const text = target ? await read(target) : null;
+    // Chart sheets and dialog sheets have no cells
+    if (text !== null && rels.find(r => r.id === s.id).type.endsWith("/worksheet")) {
+      sheets.push({ name: s.name, hidden: s.hidden, rows: parseXlsxSheet(text, context) });
+    }
+  }
+  return sheets;
+}
+
+// ————————————————————————————————————————————————————————————
+// .ods (OpenDocument): every sheet is a <table:table> in content.xml
+// ————————————————————————————————————————————————————————————
+function odsCellValue({ type, attrs, text }) {
+  switch (type) {
+    case 'float':
+    case 'percentage':
+    case 'currency': return Number(attrs.value);
+    case 'boolean': return attrs['boolean-value'] === "true";
+    case 'date': return attrs['date-value'] ?? null;
+    case 'time': {
+      // PT09H30M00S → 09:30:00
+      const m = /^-?PT(\d+)H(\d+)M(\d+)/.exec(attrs['time-value'] ?? "");
+      return m ? [m[1], m[2], m[3]].map(p => p.padStart(2, "0")).join(":") : attrs['time-value'] ?? null;
+    }
+    case 'string': return attrs['string-value'] ?? text.join("\n");
+    default: return text.length ? text.join("\n") : null;
+  }
+}
+
+function parseOdsContent(content) {
+  const sheets = [];
+  let sheet = null;
+  let row = null;
+  let rowRepeat = 1;
+  let cell = null;
+  let annotation = 0; // comments hold paragraphs of their own
+  // Formatting often repeats empty rows and cells to the sheet's edge; they are
+  // only added when something follows them.
+  let emptyRows = 0;
+  let emptyCells = 0;
+  const append = s => {
+    if (cell && cell.text.length && !annotation) cell.text[cell.text.length - 1] += s;
+  };
+  scanXML(content, {
+    open(name, a) {
+      if (name === 'table') {
+        sheet = { name: a.name ?? `Sheet${sheets.length + 1}`, hidden: false, rows: [] };
+        emptyRows = 0;
+      } else if (name === 'table-row' && sheet) {
+        row = [];
+        rowRepeat = Number(a['number-rows-repeated'] ?? 1);
+        emptyCells = 0;
+      } else if ((name === 'table-cell' || name === 'covered-table-cell') && row) {
+        cell = { type: a['value-type'], attrs: a, text: [], repeat: Number(a['number-columns-repeated'] ?? 1) };
+      } else if (name === 'annotation') {
+        annotation++;
+      } else if (cell && !annotation) {
+        if (name === 'p') cell.text.push("");
+        else if (name === 's') append(" ".repeat(Number(a.c ?? 1)));
+        else if (name === 'tab') append("\t");
+        else if (name === 'line-break') append("\n");
+      }
+    },
+    close(name) {
+      if ((name === 'table-cell' || name === 'covered-table-cell') && cell) {
+        const v = odsCellValue(cell);
+        if (v === null) {
+          emptyCells += cell.repeat;
+        } else {
+          for (; emptyCells > 0; emptyCells--) row.push(null);
+          for (let k = 0; k < cell.repeat; k++) row.push(v);
+        }
+        cell = null;
+      } else if (name === 'annotation') {
+        annotation--;
+      } else if (name === 'table-row' && row) {
+        if (!row.length) {
+          emptyRows += rowRepeat;
+        } else {
+          for (; emptyRows > 0; emptyRows--) sheet.rows.push([]);
+          for (let k = 0; k < rowRepeat; k++) sheet.rows.push(row);
+        }
+        row = null;
+      } else if (name === 'table' && sheet) {
+        sheets.push({ ...sheet, rows: toGrid(sheet.rows) });
+        sheet = null;
+      }
+    },
+    text: s => append(s)
+  });
+  return sheets;
+}
+
+/**
+ * Reads every sheet of an .xlsx or .ods workbook.
+ *
+ * @param {Uint8Array} bytes The whole file.
+ * @returns {Promise<{ format: 'xlsx'|'ods', sheets: { name: string, hidden: boolean, rows: (string|number|boolean|null)[][] }[] }>}
+ * @throws {Error} When the file is not a workbook this can read.
+ */
+export async function readWorkbook(bytes) {
+  if (!isZip(bytes)) throw new Error("Not an .xlsx or .ods workbook; older .xls files need to be saved as .xlsx first");
+  const entries = zipEntries(bytes);
+  const utf8 = new TextDecoder();
+  const read = async path => {
+    const entry = entries.get(path);
+    return entry ? utf8.decode(await readZipEntry(bytes, entry)) : null;
+  };
+  const mimetype = await read("mimetype");
+  if (mimetype?.trim() === "application/vnd.oasis.opendocument.spreadsheet" || (!mimetype && entries.has("content.xml"))) {
+    return { format: 'ods', sheets: parseOdsContent(await read("content.xml")) };
+  }
+  if (entries.has("[Content_Types].xml")) return { format: 'xlsx', sheets: await readXlsx(read) };
+  throw new Error("Not an .xlsx or .ods workbook");
+}
@@ -0,0 +1,229 @@
+// ————————————————————————————————————————————————————————————
+// SQL output: a CREATE TABLE whose column types come from the converted
+// values (the numbers, booleans and nulls inferScalar produced, ISO dates,
+// nested JSON), then batched multi-row INSERT statements.
+//
+// Like the other whole-table steps this runs in two parts: observe every row
+// into column stats, then write SQL with the finished columns, which lets the
+// worker stream the INSERTs on a second pass.
+// ————————————————————————————————————————————————————————————
+export const SQL_DIALECTS = [
+  { value: 'postgres', label: "PostgreSQL" },
+  { value: 'mysql', label: "MySQL" },
+  { value: 'sqlite', label: "SQLite" }
+];
+
+export const DEFAULT_SQL_BATCH_SIZE = 500;
+
+const INT32_MAX = 2 ** 31 - 1;
+const DATE_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const DATETIME_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])[T ]([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?$/;
+
+// The patterns allow day 31 in any month; Date rolls 2024-02-31 over to March 2,
+// so a day that does not come back unchanged is one the month does not have.
+function isCalendarDay(s) {
+  const day = s.slice(0, 10);
+  return new Date(`${day}T00:00:00Z`).toISOString().slice(0, 10) === day;
+}
+
+function kindOf(v) {
+  if (typeof v === 'boolean') return 'boolean';
+  if (typeof v === 'number') return !Number.isInteger(v) ? 'number' : Math.abs(v) > INT32_MAX ? 'bigint' : 'integer';
+  if (typeof v === 'object') return 'json';
+  const s = String(v);
+  if (DATE_RE.test(s)) return isCalendarDay(s) ? 'date' : 'string';
+  if (DATETIME_RE.test(s)) return isCalendarDay(s) ? 'datetime' : 'string';
+  return 'string';
+}
+
+/**
+ * Collects per-column kinds of value. Columns are every top-level key, in the
+ * order first seen; a key missing from a row counts as null there, and so does
+ * a blank cell ("") unless the column holds text.
+ *
+ * @returns {{ observe: (row: object) => void, finish: () => SQLColumn[] }}
+ *   A SQLColumn is { name, kind, nullable, maxLength, precision, scale }, `kind` being one of
+ *   'null', 'boolean', 'integer', 'bigint', 'number', 'date', 'datetime', 'json' or 'string'.
+ *   `precision` and `scale` are the digits in all and after the point that a 'number'
+ *   column needs, or null when some value is only written with an exponent.
+ */
+export function createSQLColumnStats() {
+  const stats = new Map();
+  let rows = 0;
+
+  function observe(row) {
+    rows++;
+    for (const [name, v] of Object.entries(row)) {
+      let s = stats.get(name);
+      if (!s) {
+        s = { kinds: new Set(), values: 0, blanks: 0, maxLength: 0, intDigits: 0, scale: 0, exponent: false };
+        stats.set(name, s);
+      }
+      if (v === null || v === undefined || (typeof v === 'number' && !Number.isFinite(v))) continue;
+      if (v === "") {
+        s.blanks++;
+        continue;
+      }
+      s.values++;
+      const kind = kindOf(v);
+      s.kinds.add(kind);
+      if (kind === 'string') s.maxLength = Math.max(s.maxLength, v.length);
+      if (typeof v === 'number') {
+        const m = /^-?(\d+)(?:\.(\d+))?$/.exec(String(v));
+        if (!m) s.exponent = true;
+        else {
+          s.intDigits = Math.max(s.intDigits, m[1].length);
+          s.scale = Math.max(s.scale, m[2]?.length ?? 0);
+        }
+      }
+    }
+  }
+
+  // Blank cells are '' in a text column (or one with nothing else) and NULL in any other
+  function finish() {
+    return [...stats].map(([name, s]) => {
+      const kind = !s.kinds.size && s.blanks ? 'string' : columnKind(s.kinds);
+      const values = kind === 'string' ? s.values + s.blanks : s.values;
+      const exact = kind === 'number' && !s.exponent;
+      return {
+        name, kind, nullable: values < rows, maxLength: s.maxLength,
+        precision: exact ? s.intDigits + s.scale : null, scale: exact ? s.scale : null
+      };
+    });
+  }
+
+  return { observe, finish };
+}
+
+// One kind per column: numbers widen (integer → bigint → number), anything else mixed is text.
+function columnKind(kinds) {
+  if (!kinds.size) return 'null';
+  if (kinds.size === 1) return [...kinds][0];
+  const numeric = ['integer', 'bigint', 'number'];
+  if ([...kinds].every(k => numeric.includes(k))) return kinds.has('number') ? 'number' : 'bigint';
+  if ([...kinds].every(k => k === 'date' || k === 'datetime')) return 'datetime';
+  return 'string';
+}
+
+const COLUMN_TYPES = {
+  postgres: { boolean: "BOOLEAN", integer: "INTEGER", bigint: "BIGINT", number: "NUMERIC", date: "DATE", datetime: "TIMESTAMP", json: "JSONB" },
+  mysql: { boolean: "BOOLEAN", integer: "INT", bigint: "BIGINT", number: "DOUBLE", date: "DATE", datetime: "DATETIME", json: "JSON" },
+  sqlite: { boolean: "INTEGER", integer: "INTEGER", bigint: "INTEGER", number: "REAL", date: "TEXT", datetime: "TEXT", json: "TEXT" }
+};
+
+// MySQL cannot index TEXT without a prefix length, so its keys are VARCHARs.
+// Its decimals are a DECIMAL sized to the digits seen, which keeps them exact like
+// NUMERIC; past DECIMAL's 65 digits (30 after the point) they fall back to DOUBLE.
+function sqlType(column, dialect, isKey) {
+  if (dialect === 'mysql' && column.kind === 'number' && column.precision !== null && column.precision <= 65 && column.scale <= 30) {
+    return `DECIMAL(${column.precision},${column.scale})`;
+  }
+  const type = COLUMN_TYPES[dialect][column.kind];
+  if (type) return type;
+  if (dialect === 'mysql' && (isKey || column.maxLength <= 255)) return `VARCHAR(${Math.max(255, column.maxLength)})`;
+  return "TEXT";
+}
+
+export function quoteIdentifier(name, dialect) {
+  return dialect === 'mysql' ? "`" + name.replace(/`/g, "``") + "`" : '"' + name.replace(/"/g, '""') + '"';
+}
+
+// "shop.orders" names table orders in schema shop.
+function tableIdentifier(tableName, dialect) {
+  return tableName.split(".").map(part => quoteIdentifier(part, dialect)).join(".");
+}
+
+// MySQL reads backslashes in strings as escapes unless NO_BACKSLASH_ESCAPES is set.
+export function quoteString(s, dialect) {
+  const text = dialect === 'mysql' ? s.replace(/\\/g, "\\\\").replace(/\0/g, "\\0") : s;
+  return "'" + text.replace(/'/g, "''") + "'";
+}
+
+function literal(v, column, dialect) {
+  if (v === null || v === undefined || (typeof v === 'number' && !Number.isFinite(v))) return "NULL";
+  if (v === "" && column.kind !== 'string') return "NULL";
+  switch (column.kind) {
+    case 'boolean':
+      return dialect === 'sqlite' ? (v ? "1" : "0") : (v ? "TRUE" : "FALSE");
+    case 'integer':
+    case 'bigint':
+    case 'number':
+      return String(v);
+    case 'json': {
+      const text = quoteString(JSON.stringify(v), dialect);
+      return dialect === 'postgres' ? text + "::jsonb" : text;
+    }
+    default:
+      return quoteString(typeof v === 'object' ? JSON.stringify(v) : String(v), dialect);
+  }
+}
+
+function primaryKeyColumns(primaryKey, columns) {
+  const names = primaryKey.split(",").map(k => k.trim()).filter(Boolean);
+  for (const name of names) {
+    const column = columns.find(c => c.name === name);
+    if (!column) throw new Error(`Primary key column "${name}" is not in the data`);
+    if (column.nullable) throw new Error(`Primary key column "${name}" is empty in some rows`);
+  }
+  return names;
+}
+
+/**
+ * @param {SQLColumn[]} columns From createSQLColumnStats().finish().
+ * @param {{ dialect?: string, tableName?: string, primaryKey?: string }} [opts]
+ *   `primaryKey` is a column name, or several separated by commas.
+ * @returns {string}
+ * @throws {Error} When a key column is missing or has empty values.
+ */
+export function createTableSQL(columns, { dialect = 'postgres', tableName = "data", primaryKey = "" } = {}) {
+  if (!columns.length) throw new Error("No columns to create a table from");
+  const keys = primaryKeyColumns(primaryKey, columns);
+  const lines = columns.map(c =>
+    `  ${quoteIdentifier(c.name, dialect)} ${sqlType(c, dialect, keys.includes(c.name))}${c.nullable ? "" : " NOT NULL"}`);
+  if (keys.length) lines.push(`  PRIMARY KEY (${keys.map(k => quoteIdentifier(k, dialect)).join(", ")})`);
+  return `CREATE TABLE ${tableIdentifier(tableName, dialect)} (\n${lines.join(",\n")}\n);\n`;
+}
+
+/**
+ * The SQL writer in the shape of createRowFormatter(): CREATE TABLE, then rows
+ * grouped batchSize to an INSERT. row() counts the rows it has written, so use
+ * each formatter for one output only. Without columns (no rows, e.g. after a
+ * filter) the script is only a comment saying so.
+ *
+ * @param {SQLColumn[]} columns
+ * @param {{ dialect?: string, tableName?: string, primaryKey?: string, batchSize?: number }} [opts]
+ */
+export function createSQLFormatter(columns, { dialect = 'postgres', tableName = "data", primaryKey = "", batchSize = DEFAULT_SQL_BATCH_SIZE } = {}) {
+  if (!columns.length) {
+    const empty = `-- No rows: nothing to create or insert into ${tableIdentifier(tableName, dialect)}\n`;
+    return { open: empty, separator: "", close: "", empty, row: () => "" };
+  }
+  const create = createTableSQL(columns, { dialect, tableName, primaryKey });
+  const insert = `INSERT INTO ${tableIdentifier(tableName, dialect)} (${columns.map(c => quoteIdentifier(c.name, dialect)).join(", ")}) VALUES\n`;
+  let count = 0;
+  return {
+    open: `${create}\n${insert}`,
+    separator: "",
+    close: ";\n",
+    empty: create,
+    row: v => {
+      const prefix = count === 0 ? "" : count % batchSize === 0 ? `;\n\n${insert}` : ",\n";
+      count++;
+      return `${prefix}  (${columns.map(c => literal(v[c.name], c, dialect)).join(", ")})`;
+    }
+  };
+}
+
+/**
+ * CREATE TABLE plus batched INSERTs for converted rows.
+ *
+ * @param {object[]} objects
+ * @param {{ dialect?: string, tableName?: string, primaryKey?: string, batchSize?: number }} [opts]
+ * @returns {string}
+ */
+export function toSQL(objects, opts = {}) {
+  const stats = createSQLColumnStats();
+  objects.forEach(stats.observe);
+  const f = createSQLFormatter(stats.finish(), opts);
+  return objects.length ? f.open + objects.map(f.row).join(f.separator) + f.close : f.empty;
+}
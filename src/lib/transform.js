@@ -0,0 +1,594 @@
+import { deepEqual } from "./diff.js";
+
+// ————————————————————————————————————————————————————————————
+// Query and transform pipelines over converted rows. A pipeline is a list of
+// stages separated by "|":
+//
+//   where total > 100 and status == "paid"
+//   | set net = total - discount
+//   | select id, customer.name as name, net
+//   | sort net desc, id
+//   | limit 10
+//
+//   where <expr>                      keep rows for which <expr> is true
+//   select <expr> [as <name>], …      keep only these fields
+//   set <name> = <expr>, …            add or replace fields
+//   rename <field> as <name>, …       rename top-level fields, in place
+//   drop <field>, …                   remove top-level fields
+//   sort <expr> [asc|desc], …         stable; nulls last either way
+//   limit <n>
+//   group [by <expr> [as <name>], …] [with <aggregate> [as <name>], …]
+//                                     one row per distinct key; aggregates are
+//                                     count(), count(x), sum(x), min(x), max(x)
+//
+// Expressions have field paths (address.city, tags[0], tags.0, `unit price`),
+// numbers, "strings", true/false/null, + - * / %, comparisons (== or =, !=, <,
+// <=, >, >=, contains), and/or/not (&&, ||, !), parentheses and lower(),
+// upper(), length() and round(x[, digits]). Nothing is evaluated as
+// JavaScript: a missing field, a property of a non-object or arithmetic on
+// anything but numbers gives null, so running a pipeline never throws. An
+// unnamed field is named by its path's last key, or else by its expression as
+// written (tags[0], count()). Keywords are case-insensitive; backticks quote a
+// field named like one.
+//
+// Every stage but sort and group passes rows straight through, so the
+// streaming worker holds no more rows than those two need.
+// ————————————————————————————————————————————————————————————
+const KEYWORDS = new Set(["and", "or", "not", "true", "false", "null", "as", "asc", "desc", "contains", "by", "with"]);
+const SYMBOLS = ["==", "!=", "<=", ">=", "&&", "||", "<", ">", "=", "+", "-", "*", "/", "%", "(", ")", "[", "]", ",", ".", "!", "|"];
+const ESCAPES = { n: "\n", t: "\t", r: "\r" };
+
+const FUNCTIONS = {
+  lower: { arity: [1, 1], fn: s => (typeof s === 'string' ? s.toLowerCase() : null) },
+  upper: { arity: [1, 1], fn: s => (typeof s === 'string' ? s.toUpperCase() : null) },
+  length: {
+    arity: [1, 1],
+    fn: v => (typeof v === 'string' || Array.isArray(v) ? v.length : v && typeof v === 'object' ? Object.keys(v).length : null)
+  },
+  round: {
+    arity: [1, 2],
+    fn: (n, digits = 0) => {
+      if (typeof n !== 'number' || !Number.isInteger(digits)) return null;
+      const scale = 10 ** digits;
+      return Math.round(n * scale) / scale;
+    }
+  }
+};
+const AGGREGATES = ['count', 'sum', 'min', 'max'];
+
+function syntaxError(message, pos) {
+  const err = new Error(`Pipeline, character ${pos + 1}: ${message}`);
+  err.offset = pos;
+  return err;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    const start = i;
+    if (/\d/.test(c)) {
+      const m = /^\d+(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i));
+      i += m[0].length;
+      tokens.push({ type: 'num', value: Number(m[0]), pos: start, end: i });
+    } else if (c === '"' || c === "'") {
+      let value = "";
+      for (i++; text[i] !== c; i++) {
+        if (i >= text.length) throw syntaxError("unterminated string", start);
+        if (text[i] === "\\" && i + 1 < text.length) value += ESCAPES[text[++i]] ?? text[i];
+        else value += text[i];
+      }
+      i++;
+      tokens.push({ type: 'str', value, pos: start, end: i });
+    } else if (c === "`") {
+      let value = "";
+      for (i++; ; i++) {
+        if (i >= text.length) throw syntaxError("unterminated `field name`", start);
+        if (text[i] === "`") {
+          if (text[i + 1] !== "`") break;
+          i++;
+        }
+        value += text[i];
+      }
+      i++;
+      tokens.push({ type: 'ident', value, quoted: true, pos: start, end: i });
+    } else if (/[A-Za-z_$]/.test(c)) {
+      const m = /^[\w$]+/.exec(text.slice(i));
+      i += m[0].length;
+      tokens.push({ type: 'ident', value: m[0], quoted: false, pos: start, end: i });
+    } else {
+      const op = SYMBOLS.find(s => text.startsWith(s, i));
+      if (!op) throw syntaxError(`unexpected "${c}"`, i);
+      i += op.length;
+      tokens.push({ type: 'op', value: op, pos: start, end: i });
+    }
+  }
+  tokens.push({ type: 'eof', value: "", pos: text.length, end: text.length });
+  return tokens;
+}
+
+function describe(token) {
+  return token.type === 'eof' ? "the end" : token.type === 'str' ? JSON.stringify(token.value) : `"${token.value}"`;
+}
+
+// ————————————————————————————————————————————————————————————
+// Values
+// ————————————————————————————————————————————————————————————
+function truthy(v) {
+  return v !== null && v !== false && v !== 0 && v !== "";
+}
+
+function getKey(v, key) {
+  if (v === null || typeof v !== 'object' || !Object.hasOwn(v, key)) return null;
+  return v[key] ?? null;
+}
+
+// Defines rather than assigns, so a field named "__proto__" stays data.
+function setKey(obj, key, value) {
+  Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  return null;
+}
+
+function arithmetic(op, a, b) {
+  if (op === '+' && (typeof a === 'string' || typeof b === 'string')) {
+    const scalar = v => v !== null && typeof v !== 'object';
+    return scalar(a) && scalar(b) ? String(a) + String(b) : null;
+  }
+  if (typeof a !== 'number' || typeof b !== 'number') return null;
+  const r = op === '+' ? a + b : op === '-' ? a - b : op === '*' ? a * b : op === '/' ? a / b : a % b;
+  return Number.isFinite(r) ? r : null;
+}
+
+const TYPE_RANK = { number: 0, string: 1, boolean: 2, object: 3 };
+
+// Sort order: numbers, strings, booleans, then objects and arrays; nulls always last.
+function sortCompare(a, b, desc) {
+  if (a === null || b === null) return a === null ? (b === null ? 0 : 1) : -1;
+  const rank = TYPE_RANK[typeof a] - TYPE_RANK[typeof b];
+  let d = rank;
+  if (!rank) d = typeof a === 'object' ? sortCompare(JSON.stringify(a), JSON.stringify(b), false) : compareValues(a, b) ?? Number(a) - Number(b);
+  return desc ? -d : d;
+}
+
+// ————————————————————————————————————————————————————————————
+// Parser: stages hold compiled expressions, row => value
+// ————————————————————————————————————————————————————————————
+function createParser(text) {
+  const tokens = tokenize(text);
+  let i = 0;
+  const peek = () => tokens[i];
+  const next = () => tokens[i++];
+  const isWord = (t, word) => t.type === 'ident' && !t.quoted && t.value.toLowerCase() === word;
+  const isOp = (t, op) => t.type === 'op' && t.value === op;
+
+  function accept(word) {
+    const t = peek();
+    return isWord(t, word) || isOp(t, word) ? next() : null;
+  }
+
+  function expect(word) {
+    return accept(word) || fail(`expected "${word}"`);
+  }
+
+  function fail(message, t = peek()) {
+    throw syntaxError(`${message}, found ${describe(t)}`, t.pos);
+  }
+
+  function fieldName() {
+    const t = peek();
+    if (t.type === 'str' || (t.type === 'ident' && (t.quoted || !KEYWORDS.has(t.value.toLowerCase())))) return next().value;
+    return fail("expected a field name");
+  }
+
+  function list(item) {
+    const items = [item()];
+    while (accept(",")) items.push(item());
+    return items;
+  }
+
+  // ——— expressions, lowest precedence first ———
+  function expression() {
+    return or();
+  }
+
+  function or() {
+    let left = and();
+    while (accept("or") || accept("||")) {
+      const a = left, b = and();
+      left = row => truthy(a(row)) || truthy(b(row));
+    }
+    return left;
+  }
+
+  function and() {
+    let left = not();
+    while (accept("and") || accept("&&")) {
+      const a = left, b = not();
+      left = row => truthy(a(row)) && truthy(b(row));
+    }
+    return left;
+  }
+
+  function not() {
+    if (accept("not") || accept("!")) {
+      const a = not();
+      return row => !truthy(a(row));
+    }
+    return comparison();
+  }
+
+  function comparison() {
+    const a = additive();
+    const t = peek();
+    const op = t.type === 'op' && ["==", "=", "!=", "<", "<=", ">", ">="].includes(t.value) ? t.value : isWord(t, "contains") ? "contains" : null;
+    if (!op) return a;
+    next();
+    const b = additive();
+    switch (op) {
+      case "==":
+      case "=": return row => deepEqual(a(row), b(row));
+      case "!=": return row => !deepEqual(a(row), b(row));
+      case "contains": return row => {
+        const hay = a(row), needle = b(row);
+        if (typeof hay === 'string') return typeof needle === 'string' && hay.includes(needle);
+        return Array.isArray(hay) && hay.some(v => deepEqual(v, needle));
+      };
+      default: return row => {
+        const d = compareValues(a(row), b(row));
+        return d !== null && (op === "<" ? d < 0 : op === "<=" ? d <= 0 : op === ">" ? d > 0 : d >= 0);
+      };
+    }
+  }
+
+  function additive() {
+    let left = multiplicative();
+    for (let t = peek(); isOp(t, "+") || isOp(t, "-"); t = peek()) {
+      next();
+      const a = left, b = multiplicative(), op = t.value;
+      left = row => arithmetic(op, a(row), b(row));
+    }
+    return left;
+  }
+
+  function multiplicative() {
+    let left = unary();
+    for (let t = peek(); isOp(t, "*") || isOp(t, "/") || isOp(t, "%"); t = peek()) {
+      next();
+      const a = left, b = unary(), op = t.value;
+      left = row => arithmetic(op, a(row), b(row));
+    }
+    return left;
+  }
+
+  function unary() {
+    if (accept("-")) {
+      const a = unary();
+      return row => {
+        const v = a(row);
+        return typeof v === 'number' ? -v : null;
+      };
+    }
+    return primary();
+  }
+
+  function primary() {
+    const t = peek();
+    if (t.type === 'num' || t.type === 'str') {
+      next();
+      return () => t.value;
+    }
+    if (accept("(")) {
+      const e = expression();
+      expect(")");
+      return e;
+    }
+    if (t.type !== 'ident') return fail("expected a value");
+    const word = t.quoted ? null : t.value.toLowerCase();
+    if (word === "true" || word === "false" || word === "null") {
+      next();
+      const value = word === "null" ? null : word === "true";
+      return () => value;
+    }
+    if (word && isOp(tokens[i + 1], "(")) return call();
+    return path().get;
+  }
+
+  function call() {
+    const t = next();
+    const name = t.value.toLowerCase();
+    const f = FUNCTIONS[name];
+    if (!f) {
+      if (AGGREGATES.includes(name)) throw syntaxError(`${name}() only works after "group … with"`, t.pos);
+      throw syntaxError(`unknown function "${t.value}"`, t.pos);
+    }
+    expect("(");
+    const args = isOp(peek(), ")") ? [] : list(expression);
+    const [min, max] = f.arity;
+    if (args.length < min || args.length > max) {
+      throw syntaxError(`${name}() takes ${min === max ? min : `${min} or ${max}`} argument(s)`, t.pos);
+    }
+    expect(")");
+    return row => f.fn(...args.map(a => a(row)));
+  }
+
+  // A field path; `last` is its final key, the default name of a selected field
+  // (null when that is an array index).
+  function path() {
+    const keys = [fieldName()];
+    for (;;) {
+      if (accept(".")) {
+        keys.push(peek().type === 'num' && Number.isInteger(peek().value) ? next().value : fieldName());
+      } else if (accept("[")) {
+        const t = next();
+        if (!(t.type === 'str' || (t.type === 'num' && Number.isInteger(t.value)))) fail("expected an index or a quoted key", t);
+        keys.push(t.value);
+        expect("]");
+      } else {
+        break;
+      }
+    }
+    const last = keys[keys.length - 1];
+    return { keys, last: typeof last === 'number' ? null : last, get: row => keys.reduce(getKey, row) };
+  }
+
+  // An expression with its default name.
+  function named() {
+    const start = peek();
+    const save = i;
+    let name = null;
+    let get;
+    if (start.type === 'ident' && !isOp(tokens[i + 1], "(") && (start.quoted || !KEYWORDS.has(start.value.toLowerCase()))) {
+      const p = path();
+      const t = peek();
+      if (t.type === 'eof' || isOp(t, ",") || isOp(t, "|") || isWord(t, "as") || isWord(t, "with")) ({ last: name, get } = p);
+      else i = save; // the path starts a larger expression
+    }
+    get ??= expression();
+    name ??= text.slice(start.pos, tokens[i - 1].end);
+    if (accept("as")) name = fieldName();
+    return { name, get };
+  }
+
+  function aggregate() {
+    const t = peek();
+    const name = t.type === 'ident' && !t.quoted ? t.value.toLowerCase() : "";
+    if (!AGGREGATES.includes(name)) fail("expected count(), sum(), min() or max()");
+    next();
+    expect("(");
+    const arg = isOp(peek(), ")") ? null : expression();
+    if (!arg && name !== 'count') fail(`${name}() needs a field`);
+    expect(")");
+    const field = accept("as") ? fieldName() : text.slice(t.pos, tokens[i - 1].end);
+    return { fn: name, arg, field };
+  }
+
+  function stage() {
+    const t = peek();
+    const kind = t.type === 'ident' && !t.quoted ? t.value.toLowerCase() : "";
+    switch (kind) {
+      case 'where':
+        next();
+        return { kind, test: expression() };
+      case 'select':
+        next();
+        return { kind, fields: list(named) };
+      case 'set':
+        next();
+        return {
+          kind,
+          fields: list(() => {
+            const name = fieldName();
+            expect("=");
+            return { name, get: expression() };
+          })
+        };
+      case 'rename':
+        next();
+        return {
+          kind,
+          names: new Map(list(() => {
+            const from = fieldName();
+            expect("as");
+            return [from, fieldName()];
+          }))
+        };
+      case 'drop':
+        next();
+        return { kind, names: new Set(list(fieldName)) };
+      case 'sort':
+        next();
+        return {
+          kind,
+          keys: list(() => {
+            const get = expression();
+            const desc = !!accept("desc");
+            if (!desc) accept("asc");
+            return { get, desc };
+          })
+        };
+      case 'limit': {
+        next();
+        const n = next();
+        if (n.type !== 'num' || !Number.isInteger(n.value)) fail("expected a whole number of rows", n);
+        return { kind, count: n.value };
+      }
+      case 'group': {
+        next();
+        const keys = accept("by") ? list(named) : [];
+        const aggregates = accept("with") ? list(aggregate) : [];
+        if (!keys.length && !aggregates.length) fail('expected "by" or "with"');
+        return { kind, keys, aggregates };
+      }
+      default:
+        return fail("expected where, select, set, rename, drop, sort, limit or group");
+    }
+  }
+
+  function pipeline() {
+    if (peek().type === 'eof') return [];
+    const stages = [stage()];
+    while (accept("|")) stages.push(stage());
+    if (peek().type !== 'eof') fail('expected "|" or the end');
+    return stages;
+  }
+
+  return { pipeline };
+}
+
+/**
+ * Parses pipeline text into stages for createTransform(). Blank text is the
+ * empty pipeline.
+ *
+ * @param {string} text
+ * @returns {object[]}
+ * @throws {Error} On a syntax error, with `offset` set to where it was found.
+ */
+export function compilePipeline(text) {
+  return createParser(text ?? "").pipeline();
+}
+
+// ————————————————————————————————————————————————————————————
+// Running a pipeline
+// ————————————————————————————————————————————————————————————
+function createAggregate({ fn, arg }) {
+  let acc = fn === 'count' || fn === 'sum' ? 0 : null;
+  return {
+    add(row) {
+      const v = arg ? arg(row) : true;
+      if (v === null) return;
+      if (fn === 'count') acc++;
+      else if (fn === 'sum') acc += typeof v === 'number' ? v : 0;
+      else if (acc === null || sortCompare(v, acc, fn === 'max') < 0) acc = v;
+    },
+    value: () => acc
+  };
+}
+
+// One stage over { row, line } records, feeding `next`.
+function stageProcessor(stage, next) {
+  switch (stage.kind) {
+    case 'where':
+      return { push: rec => truthy(stage.test(rec.row)) && next.push(rec), end: next.end };
+    case 'select':
+      return {
+        push: rec => {
+          const out = {};
+          for (const f of stage.fields) setKey(out, f.name, f.get(rec.row));
+          next.push({ row: out, line: rec.line });
+        },
+        end: next.end
+      };
+    case 'set':
+      return {
+        push: rec => {
+          const out = { ...rec.row };
+          for (const f of stage.fields) setKey(out, f.name, f.get(out));
+          next.push({ row: out, line: rec.line });
+        },
+        end: next.end
+      };
+    case 'rename':
+    case 'drop':
+      return {
+        push: rec => {
+          const entries = Object.entries(rec.row);
+          const kept = stage.kind === 'drop'
+            ? entries.filter(([k]) => !stage.names.has(k))
+            : entries.map(([k, v]) => [stage.names.get(k) ?? k, v]);
+          next.push({ row: Object.fromEntries(kept), line: rec.line });
+        },
+        end: next.end
+      };
+    case 'limit': {
+      let n = 0;
+      return { push: rec => n++ < stage.count && next.push(rec), end: next.end };
+    }
+    case 'sort': {
+      const held = [];
+      return {
+        push: rec => held.push({ rec, keys: stage.keys.map(k => k.get(rec.row)) }),
+        end: () => {
+          held.sort((a, b) => {
+            for (let k = 0; k < stage.keys.length; k++) {
+              const d = sortCompare(a.keys[k], b.keys[k], stage.keys[k].desc);
+              if (d) return d;
+            }
+            return 0;
+          });
+          held.forEach(h => next.push(h.rec));
+          next.end();
+        }
+      };
+    }
+    case 'group': {
+      const groups = new Map();
+      const open = values => {
+        const id = JSON.stringify(values);
+        if (!groups.has(id)) groups.set(id, { values, aggregates: stage.aggregates.map(createAggregate) });
+        return groups.get(id);
+      };
+      if (!stage.keys.length) open([]); // a whole-input summary has its row even with no input
+      return {
+        push: rec => open(stage.keys.map(k => k.get(rec.row))).aggregates.forEach(a => a.add(rec.row)),
+        end: () => {
+          for (const g of groups.values()) {
+            const out = {};
+            stage.keys.forEach((k, j) => setKey(out, k.name, g.values[j]));
+            stage.aggregates.forEach((a, j) => setKey(out, a.field, g.aggregates[j].value()));
+            next.push({ row: out, line: null });
+          }
+          next.end();
+        }
+      };
+    }
+    default:
+      throw new Error(`Unknown pipeline stage "${stage.kind}"`);
+  }
+}
+
+/**
+ * Runs rows through compiled stages as they arrive. `emit` gets each output
+ * row with the line of the input row it came from (null for group rows);
+ * end() flushes sort and group.
+ *
+ * @param {object[]} stages From compilePipeline().
+ * @param {(row: object, line: number|null) => void} emit
+ * @returns {{ push: (row: object, line?: number|null) => void, end: () => void }}
+ */
+export function createTransform(stages, emit) {
+  let head = { push: rec => emit(rec.row, rec.line), end: () => {} };
+  for (const stage of [...stages].reverse()) head = stageProcessor(stage, head);
+  return { push: (row, line = null) => head.push({ row, line }), end: () => head.end() };
+}
+
+/**
+ * Runs a whole array through a pipeline.
+ *
+ * @param {object[]} objects
+ * @param {object[]} stages From compilePipeline().
+ * @param {{ rowLines?: (number|null)[]|null }} [opts] The input line of each row,
+ *   which is carried to the output rows.
+ * @returns {{ objects: object[], rowLines: (number|null)[]|null }}
+ */
+export function applyTransform(objects, stages, { rowLines = null } = {}) {
+  if (!stages.length) return { objects, rowLines };
+  const out = [];
+  const lines = [];
+  const t = createTransform(stages, (row, line) => {
+    out.push(row);
+    lines.push(line);
+  });
+  objects.forEach((row, i) => t.push(row, rowLines?.[i] ?? null));
+  t.end();
+  return { objects: out, rowLines: rowLines && lines };
+}
@@ -0,0 +1,289 @@
+import { deepEqual } from "./diff.js";
+
+// ————————————————————————————————————————————————————————————
+// Validation of converted rows against a user-supplied JSON Schema.
+//
+// Covers the keywords export checks need: type, enum, const, required,
+// properties, additionalProperties, patternProperties, items/prefixItems,
+// min/max (length, items, properties, value), exclusive bounds, multipleOf,
+// pattern, a few formats, uniqueItems, allOf/anyOf/oneOf/not and local
+// $refs (#/$defs/…). Other keywords are ignored, as the spec allows.
+//
+// An error is { path, keyword, message } with `path` the keys leading to the
+// value; a missing required property is reported at the property's own path,
+// so it can be traced back to the CSV column it would have come from.
+// ————————————————————————————————————————————————————————————
+export const MAX_ERRORS_PER_ROW = 20;
+// Failing rows listed in a report; later ones are only counted.
+export const MAX_REPORTED_ROWS = 1000;
+
+const TYPE_TESTS = {
+  null: v => v === null,
+  boolean: v => typeof v === 'boolean',
+  integer: v => Number.isInteger(v),
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  string: v => typeof v === 'string',
+  array: v => Array.isArray(v),
+  object: v => !!v && typeof v === 'object' && !Array.isArray(v)
+};
+
+const FORMAT_TESTS = {
+  date: v => /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(v),
+  "date-time": v => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(v) && !Number.isNaN(Date.parse(v)),
+  time: v => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(v),
+  email: v => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uuid: v => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+  uri: v => /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/.test(v)
+};
+
+function describe(v) {
+  const s = JSON.stringify(v);
+  return s.length > 40 ? s.slice(0, 37) + "…" : s;
+}
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+
+/**
+ * Reads schema text, failing with a message fit for the status line.
+ *
+ * @param {string} text
+ * @returns {object|boolean}
+ */
+export function parseJSONSchema(text) {
+  let schema;
+  try {
+    schema = JSON.parse(text);
+  } catch (err) {
+    throw new Error("The schema is not valid JSON: " + (err.message || String(err)));
+  }
+  if (typeof schema !== 'boolean' && !TYPE_TESTS.object(schema)) throw new Error("A JSON Schema must be an object or true/false");
+  return schema;
+}
+
+/**
+ * Builds a function returning the errors (at most MAX_ERRORS_PER_ROW) of one value.
+ * Patterns are compiled up front, so a bad regular expression fails here.
+ *
+ * @param {object|boolean} root
+ * @returns {(value: *) => { path: (string|number)[], keyword: string, message: string }[]}
+ */
+export function compileSchema(root) {
+  const patterns = new Map();
+
+  function regex(source) {
+    if (!patterns.has(source)) {
+      try {
+        patterns.set(source, new RegExp(source, "u"));
+      } catch {
+        throw new Error(`The schema's pattern ${describe(source)} is not a valid regular expression`);
+      }
+    }
+    return patterns.get(source);
+  }
+
+  function resolve(ref) {
+    if (!ref.startsWith("#")) throw new Error(`Cannot resolve $ref ${describe(ref)}; only references inside the schema (#/…) are supported`);
+    let target = root;
+    for (const raw of ref.slice(1).split("/").slice(1)) {
+      const key = decodeURIComponent(raw).replace(/~1/g, "/").replace(/~0/g, "~");
+      target = target?.[key];
+    }
+    if (target === undefined) throw new Error(`Cannot resolve $ref ${describe(ref)}`);
+    return target;
+  }
+
+  // Checks patterns and refs once, so a broken schema fails before any row is read
+  (function walk(s) {
+    if (!s || typeof s !== 'object') return;
+    if (typeof s.pattern === 'string') regex(s.pattern);
+    if (s.patternProperties) Object.keys(s.patternProperties).forEach(regex);
+    if (typeof s.$ref === 'string') resolve(s.$ref);
+    for (const v of Object.values(s)) walk(v);
+  })(root);
+
+  function check(schema, value, path, errors) {
+    if (errors.length >= MAX_ERRORS_PER_ROW) return;
+    const fail = (keyword, message, at = path) => {
+      if (errors.length < MAX_ERRORS_PER_ROW) errors.push({ path: at, keyword, message });
+    };
+    if (schema === true || schema === undefined) return;
+    if (schema === false) return fail('false', "is not allowed");
+    if (schema.$ref !== undefined) check(resolve(schema.$ref), value, path, errors);
+
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some(t => TYPE_TESTS[t]?.(value))) {
+        return fail('type', `must be ${types.join(" or ")}, not ${typeOf(value)}${typeof value === 'object' ? "" : ` ${describe(value)}`}`);
+      }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(e => deepEqual(e, value))) {
+      fail('enum', `must be one of ${schema.enum.map(describe).join(", ")}, not ${describe(value)}`);
+    }
+    if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+      fail('const', `must be ${describe(schema.const)}, not ${describe(value)}`);
+    }
+
+    if (typeof value === 'string') {
+      const length = [...value].length;
+      if (schema.minLength !== undefined && length < schema.minLength) fail('minLength', `must be at least ${schema.minLength} character(s) long`);
+      if (schema.maxLength !== undefined && length > schema.maxLength) fail('maxLength', `must be at most ${schema.maxLength} character(s) long`);
+      if (schema.pattern !== undefined && !regex(schema.pattern).test(value)) fail('pattern', `${describe(value)} does not match ${schema.pattern}`);
+      if (schema.format !== undefined && FORMAT_TESTS[schema.format] && !FORMAT_TESTS[schema.format](value)) {
+        fail('format', `${describe(value)} is not a valid ${schema.format}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be ≥ ${schema.minimum}, not ${value}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be ≤ ${schema.maximum}, not ${value}`);
+      if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+        fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}, not ${value}`);
+      }
+      if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+        fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}, not ${value}`);
+      }
+      if (schema.multipleOf !== undefined) {
+        const q = value / schema.multipleOf;
+        if (Math.abs(q - Math.round(q)) > 1e-9) fail('multipleOf', `must be a multiple of ${schema.multipleOf}, not ${value}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} item(s), not ${value.length}`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} item(s), not ${value.length}`);
+      if (schema.uniqueItems) {
+        const dup = value.findIndex((v, i) => value.slice(0, i).some(w => deepEqual(v, w)));
+        if (dup !== -1) fail('uniqueItems', `item ${dup} repeats an earlier item`, [...path, dup]);
+      }
+      // Draft 2020-12 prefixItems + items; an items array is the older tuple form
+      const prefix = schema.prefixItems ?? (Array.isArray(schema.items) ? schema.items : []);
+      const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+      value.forEach((item, i) => check(i < prefix.length ? prefix[i] : rest, item, [...path, i], errors));
+    }
+
+    if (TYPE_TESTS.object(value)) {
+      const keys = Object.keys(value);
+      for (const key of schema.required ?? []) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) fail('required', "is required", [...path, key]);
+      }
+      if (schema.minProperties !== undefined && keys.length < schema.minProperties) fail('minProperties', `must have at least ${schema.minProperties} properties`);
+      if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) fail('maxProperties', `must have at most ${schema.maxProperties} properties`);
+      const properties = schema.properties ?? {};
+      const patternEntries = Object.entries(schema.patternProperties ?? {});
+      for (const key of keys) {
+        let matched = false;
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+          matched = true;
+          check(properties[key], value[key], [...path, key], errors);
+        }
+        for (const [pattern, sub] of patternEntries) {
+          if (regex(pattern).test(key)) {
+            matched = true;
+            check(sub, value[key], [...path, key], errors);
+          }
+        }
+        if (!matched && schema.additionalProperties !== undefined) {
+          if (schema.additionalProperties === false) fail('additionalProperties', "is not an allowed property", [...path, key]);
+          else check(schema.additionalProperties, value[key], [...path, key], errors);
+        }
+      }
+    }
+
+    for (const sub of schema.allOf ?? []) check(sub, value, path, errors);
+    if (schema.anyOf && !schema.anyOf.some(sub => passes(sub, value))) fail('anyOf', "does not match any of the allowed schemas");
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(sub => passes(sub, value)).length;
+      if (matches !== 1) fail('oneOf', matches ? `matches ${matches} of the schemas; exactly one is allowed` : "does not match any of the allowed schemas");
+    }
+    if (schema.not !== undefined && passes(schema.not, value)) fail('not', "matches a schema it must not match");
+  }
+
+  function passes(schema, value) {
+    const errors = [];
+    check(schema, value, [], errors);
+    return !errors.length;
+  }
+
+  return value => {
+    const errors = [];
+    check(root, value, [], errors);
+    return errors;
+  };
+}
+
+// "/items/0/sku" for ["items", 0, "sku"], as in a JSON Pointer.
+export function pointer(path) {
+  return path.map(k => "/" + String(k).replace(/~/g, "~0").replace(/\//g, "~1")).join("");
+}
+
+// The CSV column a path leads into: the source whose path is the longest prefix
+// of it, or else the first source inside it (an error on a whole nested object).
+function locate(sources, path) {
+  if (!sources) return null;
+  const startsWith = (a, b) => b.length <= a.length && b.every((k, i) => a[i] === k);
+  let best = null;
+  for (const s of sources) {
+    if (startsWith(path, s.path) && (!best || s.path.length > best.path.length)) best = s;
+  }
+  best ??= sources.find(s => path.length && startsWith(s.path, path)) ?? null;
+  return best && { column: best.column, header: best.header };
+}
+
+/**
+ * Checks rows one at a time. check() returns whether a row is valid; finish()
+ * returns the report: counts plus the first MAX_REPORTED_ROWS failing rows as
+ * { row, line, errors: [{ path, keyword, message, column, header }] }, where `line`
+ * is the row's first CSV line and `column`/`header` the CSV column (null when unknown).
+ *
+ * @param {object|boolean} schema
+ * @param {{ columnSources?: { path: (string|number)[], column: number, header: string }[] }} [opts]
+ *   From columnSources(); without it errors carry no column.
+ */
+export function createRowValidator(schema, { columnSources = null } = {}) {
+  const validate = compileSchema(schema);
+  const failures = [];
+  let valid = 0;
+  let rejected = 0;
+
+  function check(value, { row, line = null }) {
+    const errors = validate(value);
+    if (!errors.length) {
+      valid++;
+      return true;
+    }
+    rejected++;
+    if (failures.length < MAX_REPORTED_ROWS) {
+      failures.push({
+        row,
+        line,
+        errors: errors.map(e => ({ ...e, path: pointer(e.path), column: null, header: null, ...locate(columnSources, e.path) }))
+      });
+    }
+    return false;
+  }
+
+  return { check, finish: () => ({ valid, rejected, failures, truncated: rejected > failures.length }) };
+}
+
+/**
+ * Validates converted rows, splitting them into valid and rejected ones.
+ *
+ * @param {object[]} objects
+ * @param {object|boolean} schema
+ * @param {{ rowLines?: (number|null)[], columnSources?: object[] }} [opts] `rowLines`
+ *   holds each row's CSV line, as returned by convert().
+ * @returns {{ report: object, valid: object[], rejected: object[] }}
+ */
+export function validateRows(objects, schema, { rowLines = null, columnSources = null } = {}) {
+  const validator = createRowValidator(schema, { columnSources });
+  const valid = [];
+  const rejected = [];
+  objects.forEach((obj, i) => {
+    (validator.check(obj, { row: i + 1, line: rowLines?.[i] ?? null }) ? valid : rejected).push(obj);
+  });
+  return { report: validator.finish(), valid, rejected };
+}
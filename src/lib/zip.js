@@ -0,0 +1,75 @@
+// ————————————————————————————————————————————————————————————
+// Minimal ZIP reading for spreadsheet files (.xlsx and .ods are ZIP archives
+// of XML). Entries are found through the central directory and inflated with
+// DecompressionStream, which browsers and Node 18+ both provide. Only stored
+// and deflated entries are supported; ZIP64 and encryption are not.
+// ————————————————————————————————————————————————————————————
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const MAX_COMMENT = 0xffff;
+
+export function isZip(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+/**
+ * Lists the entries of a ZIP archive.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Map<string, { method: number, offset: number, compressedSize: number }>}
+ *   By entry name; `offset` is that of the entry's local header.
+ * @throws {Error} When the bytes are not a ZIP archive this can read.
+ */
+export function zipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - MAX_COMMENT); i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP archive (no end of central directory)");
+  const count = view.getUint16(eocd + 10, true);
+  let at = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || at === 0xffffffff) throw new Error("ZIP64 archives are not supported");
+  const names = new TextDecoder();
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (at + 46 > bytes.length || view.getUint32(at, true) !== CENTRAL_SIGNATURE) throw new Error("Damaged ZIP central directory");
+    const flags = view.getUint16(at + 8, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const name = names.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    if (flags & 1) throw new Error(`ZIP entry "${name}" is encrypted`);
+    entries.set(name, {
+      method: view.getUint16(at + 10, true),
+      compressedSize: view.getUint32(at + 20, true),
+      offset: view.getUint32(at + 42, true)
+    });
+    at += 46 + nameLength + view.getUint16(at + 30, true) + view.getUint16(at + 32, true);
+  }
+  return entries;
+}
+
+async function inflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * The uncompressed bytes of one entry from zipEntries().
+ *
+ * @param {Uint8Array} bytes
+ * @param {{ method: number, offset: number, compressedSize: number }} entry
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(entry.offset, true) !== LOCAL_SIGNATURE) throw new Error("Damaged ZIP entry");
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return inflateRaw(data);
+  throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+}
@@ -0,0 +1,343 @@
+import { createCSVParser, parseCSV, detectDialect, MAX_DIAGNOSTICS } from "../lib/csv.js";
+import {
+  normalizeHeaders,
+  generatedHeaders,
+  detectHeaderRow,
+  HEADER_SAMPLE_ROWS,
+  isBlankRow,
+  rowToObject,
+  rowWidthDiagnostic,
+  headerPaths,
+  headerCollisionDiagnostics,
+  unflattenObject,
+  mappedHeaders,
+  fixedTypeColumns,
+  columnSources,
+  dedupeHeaders,
+  headerDiagnostics,
+  HEADER_NOTE_KINDS
+} from "../lib/convert.js";
+import { marshallItem, BATCH_WRITE_LIMIT } from "../lib/dynamodb.js";
+import { createColumnTypeStats, applyColumnTypes } from "../lib/columnTypes.js";
+import { createDecoder } from "../lib/encoding.js";
+import { createRowFormatter, outputFormat } from "../lib/output.js";
+import { createSQLColumnStats } from "../lib/sql.js";
+import { compilePipeline, createTransform } from "../lib/transform.js";
+import { createShapeStats } from "../lib/schema.js";
+import { createProfileStats } from "../lib/profile.js";
+import { createRowValidator } from "../lib/validate.js";
+
+// ————————————————————————————————————————————————————————————
+// Streaming CSV → JSON conversion, off the main thread.
+//
+// In:  { type: 'start', file, encoding, delimiter (null = auto-detect), options,
+//        ddbOutput, tableName, detectSets, output: { format, indent, sqlDialect, sqlTable, primaryKey,
+//        batchSize }, validation }
+//      (options carries the rest of the dialect: quote, escape, comment, skipLines, trim,
+//      and header: 'auto' | true | false, and the transform pipeline text; output.format is
+//      any row-by-row format of OUTPUT_FORMATS, JSON with indent 2 by default; validation is
+//      a parsed JSON Schema or null; 'sql' takes one more pass to type the columns before writing)
+// Out: { type: 'progress', bytesRead, totalBytes, rows, pass, passes }
+//      { type: 'done', blob, rows, outputRows, delimiter, dialect, delimiterReport, headerRow, preview, truncated,
+//        hasHeader, diagnostics, columns, precisionLoss, headers, sample, shape, profile,
+//        validation, validBlob, rejectedBlob }
+//      (`outputRows` is the number of rows left after the transform pipeline;
+//      `headers` are the CSV's normalized headers with duplicates resolved, `sample` the first SAMPLE_ROWS
+//      plain row objects before the pipeline, for the preview table; `hasHeader` is false for empty input,
+//      `headerRow` says whether the first row was used as the header, and why; `shape` is
+//      every plain row merged by createShapeStats, for the schema view, and `profile` the
+//      createProfileStats result of the same rows, for the profile view; with a schema,
+//      `validation` is createRowValidator's report and the two blobs split the output
+//      into the rows that passed and those that did not)
+//      { type: 'error', message, diagnostics }
+//
+// The file is read as a stream and the output is collected as Blob parts, so
+// neither the whole input text nor the whole output string is ever held in memory.
+// Cancelling is done by the page terminating the worker. With
+// options.failOnMalformed the run stops at the first diagnostic.
+// ————————————————————————————————————————————————————————————
+const SNIFF_CHARS = 4000; // same sample size the main thread uses for detection
+const FLUSH_CHARS = 1 << 20; // fold pending text into a Blob every ~1M chars
+const PREVIEW_CHARS = 100000;
+const PROGRESS_INTERVAL_MS = 100;
+const SAMPLE_ROWS = 50;
+
+// Writes rows with createRowFormatter, so the result is byte-identical to
+// serializeObjects(rows, output) for the same format and options.
+function createRowWriter({ format = 'json', indent = 2, ...rest } = {}) {
+  const formatter = createRowFormatter(format, { indent, ...rest });
+  const { contentType } = outputFormat(format);
+  const blobs = [];
+  let pending = [];
+  let pendingChars = 0;
+  let count = 0;
+  let preview = "";
+  let truncated = false;
+
+  function write(s) {
+    pending.push(s);
+    pendingChars += s.length;
+    const room = PREVIEW_CHARS - preview.length;
+    if (room > 0) preview += s.slice(0, room);
+    if (s.length > room) truncated = true;
+    if (pendingChars >= FLUSH_CHARS) flush();
+  }
+
+  function flush() {
+    if (!pending.length) return;
+    blobs.push(new Blob(pending));
+    pending = [];
+    pendingChars = 0;
+  }
+
+  function item(value) {
+    write((count++ === 0 ? formatter.open : formatter.separator) + formatter.row(value));
+  }
+
+  function close() {
+    write(count ? formatter.close : formatter.empty);
+    flush();
+    return { blob: new Blob(blobs, { type: `${contentType};charset=utf-8` }), preview, truncated };
+  }
+
+  return { item, close };
+}
+
+// Reads the file once, calling onRow() with each converted row object, the header
+// path plan to build nested objects from (with options.unflatten) and the row's line.
+// onHeaders() gets the normalized headers once they are known.
+async function streamRows(file, { encoding, delimiter, options, pass, passes, onRow, onHeaders }) {
+  const reader = file.stream().getReader();
+  const decoder = createDecoder(encoding);
+  let parser = null;
+  let dialect = null;
+  let delimiterReport = null;
+  let headerRow = null;
+  let sniff = "";
+  let headers = null;
+  let plan = null;
+  let rows = 0;
+  let bytesRead = 0;
+  let lastProgress = 0;
+  let rowIndex = 0; // 1-based index into all parsed rows, header included
+  const lines = [];
+  const diagnostics = [];
+
+  function record(d) {
+    if (options.failOnMalformed && !HEADER_NOTE_KINDS.includes(d.kind)) {
+      const err = new Error(`Malformed CSV at line ${d.line}, column ${d.column}: ${d.message}`);
+      err.diagnostics = [d];
+      throw err;
+    }
+    if (diagnostics.length < MAX_DIAGNOSTICS) diagnostics.push(d);
+  }
+
+  // Moves the parser's quote diagnostics into our list as they appear.
+  function drainParserDiagnostics() {
+    while (parser.diagnostics.length) record(parser.diagnostics.shift());
+  }
+
+  function handleRows(completed) {
+    drainParserDiagnostics();
+    completed.forEach((r, i) => {
+      rowIndex++;
+      if (!headers) {
+        headers = headerRow.header ? normalizeHeaders(r) : generatedHeaders(r.length);
+        const notes = headerDiagnostics(headerRow.header ? r : headers, options, lines[i]);
+        const duplicates = notes.filter(d => d.kind === 'duplicate-header');
+        if (duplicates.length && options.duplicateHeaders === 'fail') {
+          const err = new Error(`${duplicates.length} duplicate header(s); first: ${duplicates[0].message}`);
+          err.diagnostics = duplicates;
+          throw err;
+        }
+        notes.forEach(record);
+        onHeaders?.(headers);
+        if (options.unflatten) {
+          plan = headerPaths(mappedHeaders(headers, options), options);
+          const found = headerCollisionDiagnostics(plan, lines[i]);
+          if (found.length && options.collision === 'error') {
+            const err = new Error(`Header "${plan.conflicts[0].header}" collides with "${plan.conflicts[0].other}"`);
+            err.diagnostics = found;
+            throw err;
+          }
+          found.forEach(record);
+        }
+        if (headerRow.header) return;
+      }
+      if (isBlankRow(r)) return;
+      const d = rowWidthDiagnostic(headers, r, rowIndex, lines[i]);
+      if (d) record(d);
+      onRow(rowToObject(headers, r, options), plan, lines[i]);
+      rows++;
+    });
+    lines.length = 0;
+  }
+
+  // Buffers the first few KB so dialect detection sees the same sample as convert() would.
+  function feed(text, final = false) {
+    if (!parser) {
+      sniff += text;
+      if (sniff.length < SNIFF_CHARS && !final) return;
+      const { quote = null, escape = null, comment = "", skipLines = 0, trim = false, strict = false } = options;
+      const sample = sniff.slice(0, SNIFF_CHARS);
+      ({ report: delimiterReport, ...dialect } = detectDialect(sample, { delimiter, quote, escape, comment, skipLines }));
+      const parserOptions = { ...dialect, comment, skipLines, trim, strict };
+      if (options.header === true || options.header === false) {
+        headerRow = { header: options.header, reason: null, detected: false };
+      } else {
+        // The sample's last row may be cut short unless the sample is the whole file
+        const sampleRows = parseCSV(sample, dialect.delimiter, parserOptions);
+        if (!final || sniff.length > SNIFF_CHARS) sampleRows.pop();
+        headerRow = { ...detectHeaderRow(sampleRows.slice(0, HEADER_SAMPLE_ROWS + 1)), detected: true };
+      }
+      parser = createCSVParser(dialect.delimiter, parserOptions);
+      text = sniff;
+      sniff = "";
+    }
+    handleRows(parser.push(text, [], lines));
+  }
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytesRead += value.byteLength;
+    feed(decoder.decode(value, { stream: true }));
+    const now = Date.now();
+    if (now - lastProgress >= PROGRESS_INTERVAL_MS) {
+      lastProgress = now;
+      self.postMessage({ type: 'progress', bytesRead, totalBytes: file.size, rows, pass, passes });
+    }
+  }
+  feed(decoder.decode(), true);
+  handleRows(parser.end([], lines));
+  diagnostics.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || a.column - b.column);
+  return {
+    rows,
+    delimiter: dialect.delimiter,
+    dialect,
+    delimiterReport,
+    headerRow,
+    hasHeader: !!headers,
+    headers: headers && dedupeHeaders(headers, options),
+    diagnostics
+  };
+}
+
+async function run({
+  file, encoding = 'utf-8', delimiter, options, ddbOutput = 'plain', tableName = "", detectSets = false, output, validation = null
+}) {
+  // Keyed output needs every row before it can check keys, so it is not streamed
+  if (output?.format === 'keyed') throw new Error("Keyed output is not available for large files; choose JSON, NDJSON, YAML, XML or SQL");
+  const toSQL = output?.format === 'sql';
+  if (toSQL && ddbOutput !== 'plain') throw new Error("SQL output is for plain rows; choose another format for DynamoDB items");
+  const stages = compilePipeline(options.transform);
+  const byColumn = options.doInferTypes && options.inferBy === 'column';
+  const passes = (byColumn ? 2 : 1) + (toSQL ? 1 : 0);
+  // Paths are kept once each however many rows hit them; unmarshallDeep only calls push().
+  const lossPaths = new Set();
+  const precisionLoss = { push: path => lossPaths.add(path) };
+  const sample = [];
+  const shapeStats = createShapeStats();
+  const profileStats = createProfileStats();
+
+  // Writes plain rows per the DynamoDB output settings; end() writes the last partial batch.
+  function createEmitter(sqlColumns) {
+    const writer = createRowWriter({ ...output, sqlColumns });
+    let batch = [];
+    function emit(obj) {
+      if (ddbOutput === 'plain') return writer.item(obj);
+      const item = marshallItem(obj, { detectSets });
+      if (ddbOutput === 'items') return writer.item(item);
+      batch.push({ PutRequest: { Item: item } });
+      if (batch.length === BATCH_WRITE_LIMIT) {
+        writer.item({ RequestItems: { [tableName]: batch } });
+        batch = [];
+      }
+    }
+    function end() {
+      if (batch.length) writer.item({ RequestItems: { [tableName]: batch } });
+      return writer.close();
+    }
+    return { emit, end };
+  }
+
+  // Column inference needs every value before it can type any row: the first
+  // pass only gathers stats, the second converts.
+  let columns = null;
+  if (byColumn) {
+    const stats = createColumnTypeStats({ ...options, skip: fixedTypeColumns(options.columnMap) });
+    await streamRows(file, { encoding, delimiter, options, pass: 1, passes, onRow: stats.observe });
+    columns = stats.finish(options);
+  }
+  const toObject = (row, plan) => {
+    const typed = columns ? applyColumnTypes(row, columns, options) : row;
+    return plan ? unflattenObject(typed, plan.paths) : typed;
+  };
+
+  // Likewise CREATE TABLE comes first but needs the types of every converted row.
+  let sqlColumns;
+  if (toSQL) {
+    const stats = createSQLColumnStats();
+    const transform = createTransform(stages, stats.observe);
+    await streamRows(file, { encoding, delimiter, options, pass: passes - 1, passes, onRow: (row, plan) => transform.push(toObject(row, plan)) });
+    transform.end();
+    sqlColumns = stats.finish();
+  }
+
+  const out = createEmitter(sqlColumns);
+  // With a schema, rows also go to one of two more outputs; the validator is
+  // created once the headers are known, so errors can name their CSV column.
+  const passed = validation === null ? null : createEmitter(sqlColumns);
+  const failed = validation === null ? null : createEmitter(sqlColumns);
+  let validator = null;
+  let rowNumber = 0;
+  // The sample is taken before the pipeline, for the table view's column editing.
+  const transform = createTransform(stages, (obj, line) => {
+    shapeStats.observe(obj);
+    profileStats.observe(obj);
+    out.emit(obj);
+    rowNumber++;
+    if (validator) (validator.check(obj, { row: rowNumber, line }) ? passed : failed).emit(obj);
+  });
+  const result = await streamRows(file, {
+    encoding,
+    delimiter,
+    options: { ...options, precisionLoss },
+    pass: passes,
+    passes,
+    onHeaders: headers => {
+      if (validation !== null) validator = createRowValidator(validation, { columnSources: columnSources(headers, options) });
+    },
+    onRow: (row, plan, line) => {
+      const obj = toObject(row, plan);
+      if (sample.length < SAMPLE_ROWS) sample.push(obj);
+      transform.push(obj, line);
+    }
+  });
+  transform.end();
+
+  const { blob, preview, truncated } = out.end();
+  self.postMessage({
+    type: 'done',
+    blob,
+    preview,
+    truncated,
+    columns,
+    precisionLoss: [...lossPaths],
+    sample,
+    outputRows: rowNumber,
+    shape: shapeStats.finish(),
+    profile: profileStats.finish(),
+    validation: validator?.finish() ?? null,
+    validBlob: passed?.end().blob ?? null,
+    rejectedBlob: failed?.end().blob ?? null,
+    ...result
+  });
+}
+
+self.onmessage = e => {
+  if (e.data?.type !== 'start') return;
+  run(e.data).catch(err => {
+    self.postMessage({ type: 'error', message: err?.message || String(err), diagnostics: err?.diagnostics || [] });
+  });
+};
@@ -0,0 +1,19 @@
+import { profileRows } from "../lib/profile.js";
+
+// ————————————————————————————————————————————————————————————
+// Column profile of rows converted on the main thread, so profiling a large
+// paste does not block the page. (Files large enough to stream are profiled by
+// convertWorker.js as it converts them.)
+//
+// In:  { type: 'start', rows, topN }
+// Out: { type: 'done', profile }   (see createProfileStats)
+//      { type: 'error', message }
+// ————————————————————————————————————————————————————————————
+self.onmessage = e => {
+  if (e.data?.type !== 'start') return;
+  try {
+    self.postMessage({ type: 'done', profile: profileRows(e.data.rows, { topN: e.data.topN }) });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err) });
+  }
+};